@@ -0,0 +1,5282 @@
+// app.js (ESM) — Express + Postgres + Shopify App Proxy verification
+//
+// Builds the Express app without listening, so tests can import it;
+// server.js listens and starts the background workers.
+//
+// Supports actions: list, get, upsert, delete, orderify, draftpad, todraft (alias tocart),
+// upload (multipart "file"; returns po_file_url for draftpad),
+// padpreview (parse + match pasted order pad lines without submitting),
+// export (list as CSV/XLSX), import (multipart CSV/XLSX "file" into a list),
+// additem, setqty, removeitem, reorder, rename (item-level list edits),
+// setnote (per-line note), setmeta (description, jobsite, pinned, color, label),
+// history (past order pad submissions), resubmit (clone one into a new draft),
+// orders (customer's past Shopify orders), orderdraft (reorder a past order
+// as a new draft), ordertolist (save a past order's SKUs as a list),
+// approvals (submissions waiting for this approver), approve, reject,
+// schedules, setschedule, pauseschedule, resumeschedule, skipnext, deleteschedule,
+// scheduleruns (recurring orders from a list, see schedule.js)
+//
+// Order submissions (draftpad, todraft, orderdraft, resubmit, scheduled runs) that trip the
+// company's approval rules come back with pending_approval instead of a draft.
+//
+// List writes accept an optional version (from list/get); a stale version
+// gets a 409 instead of overwriting someone else's change.
+//
+// list returns one page (limit, default 50) and a next_cursor for the next;
+// q searches names, sku keeps lists containing that SKU, sort is updated
+// (default), created or name, dir asc or desc.
+//
+// App Proxy endpoint: /proxy
+// Shopify proxy URL: https://YOUR-STORE.myshopify.com/apps/b2b-lists/proxy
+// The customer is the one in Shopify's signed logged_in_customer_id; a
+// customer_id param is optional and must match it. Anonymous requests and
+// signatures older than APP_PROXY_MAX_AGE_SECONDS are rejected. Without
+// SHOPIFY_APP_SECRET nothing can be verified, so every proxy request gets a 500.
+//
+// ENV required:
+//   DATABASE_URL
+//   SHOPIFY_APP_SECRET
+//   SHOPIFY_STORE_DOMAIN
+//   SHOPIFY_ADMIN_ACCESS_TOKEN
+//
+// Optional:
+//   SHOPIFY_API_VERSION, SHOPIFY_TIMEOUT_MS, SHOPIFY_MAX_RETRIES (Admin API client, see shopify.js)
+//   ADMIN_API_KEY (enables /admin routes; send as Bearer token or X-Admin-Key)
+//   SHOPIFY_API_KEY (app client id; lets /admin accept App Bridge session tokens)
+//   APP_PROXY_MAX_AGE_SECONDS (accepted App Proxy timestamp skew, default 300)
+//   MIGRATE_ON_START=0 (don't apply migrations at startup; refuse to start unless
+//     they were applied with npm run migrate)
+//   WEBHOOK_WORKER_INTERVAL_MS (webhook queue poll interval, default 5000)
+//   PROMO_SCHEDULER_INTERVAL_MS (promo campaign start/end check, default 60000)
+//   SCHEDULE_WORKER_INTERVAL_MS (recurring list order check, default 60000)
+//   NOTIFY_SMTP_URL, NOTIFY_EMAIL_FROM (email notifications, see notifications.js)
+//   NOTIFY_EMAILS (comma-separated CSR addresses), NOTIFY_WEBHOOK_URL, NOTIFY_WEBHOOK_FORMAT ("slack" | "json")
+//   NOTIFY_EVENTS (events the NOTIFY_* recipients get, default pending_approval,draft_created,failed)
+//   NOTIFY_WORKER_INTERVAL_MS (notification queue poll interval, default 5000)
+//   WEBHOOK_SYNC_ON_START=1 (apply webhook-sync.js at startup; needs PUBLIC_BASE_URL)
+//   PUBLIC_BASE_URL (app's https:// URL: webhook callbacks, local upload URLs)
+//   PO_UPLOAD_STORAGE ("cloudinary" | "local"; default cloudinary when CLOUDINARY_URL is set)
+//   PO_UPLOAD_DIR (local storage root, default ./uploads/po)
+//   PO_UPLOAD_MAX_BYTES (default 10485760)
+//   CLOUDINARY_URL
+//
+// Lists are personal (owner_type customer) or shared with a B2B company or
+// company location; upsert/import take owner, company_id and
+// company_location_id to create shared lists.
+//
+// Actions that resolve SKUs accept an optional company_location_id (numeric or GID)
+// to resolve B2B catalog pricing for that company location. It must be one of
+// the customer's own company locations (403 otherwise).
+//
+// CSR dashboard: /admin (admin/dashboard.html) on top of /admin/search,
+// /admin/customers/:id/actions/:action (list actions run as that customer)
+// and /admin/submissions.
+//
+// Product tag commands (bosch_promo_tags.csv format, see tag-commands.js):
+// /admin/tag-commands, or scripts/tag-commands.js from the command line.
+// Scheduled promo campaigns that add tags and take them off again at the
+// end: /admin/promo-campaigns.
+
+import express from "express";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import pg from "pg";
+import multer from "multer";
+import { v2 as cloudinary } from "cloudinary";
+import ExcelJS from "exceljs";
+import { shopifyGql, shopifyPaginate } from "./shopify.js";
+import { splitCsvLine, toCsv, unguardCsvCell } from "./csv.js";
+import { migrate, migrationStatus, migrationLabel } from "./migrate.js";
+import { encodeOrderPadNote, decodeOrderPadNote } from "./order-pad-note.js";
+import {
+  scheduleCron,
+  scheduleFields,
+  isValidTimeZone,
+  nextRunAt,
+  upcomingRuns,
+  renderPoTemplate,
+} from "./schedule.js";
+import { NOTIFY_EVENTS, DEFAULT_TEMPLATES, templateVars, renderTemplate, sendNotification } from "./notifications.js";
+import { planWebhookSync, applyWebhookSync, formatWebhookPlan } from "./webhook-sync.js";
+import {
+  productGid,
+  parseTagCommandCsv,
+  fetchProductTags,
+  planTagCommands,
+  applyTagCommands,
+  summarizeTagCommands,
+  formatTagCommandLog,
+} from "./tag-commands.js";
+
+const { Pool } = pg;
+
+const app = express();
+app.set("trust proxy", 1);
+
+app.use((req, res, next) => {
+  if (databaseReady) return next();
+  res.setHeader("Retry-After", "5");
+  return json(res, 503, { ok: false, error: "Starting up" });
+});
+
+const DATABASE_URL = process.env.DATABASE_URL;
+const SHOPIFY_APP_SECRET = process.env.SHOPIFY_APP_SECRET;
+const SHOPIFY_STORE_DOMAIN = process.env.SHOPIFY_STORE_DOMAIN;
+const SHOPIFY_ADMIN_ACCESS_TOKEN = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
+const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY || "";
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+const PO_UPLOAD_STORAGE =
+  process.env.PO_UPLOAD_STORAGE || (process.env.CLOUDINARY_URL ? "cloudinary" : "local");
+const PO_UPLOAD_DIR = path.resolve(process.env.PO_UPLOAD_DIR || "uploads/po");
+const APP_PROXY_MAX_AGE_SECONDS = Number.parseInt(process.env.APP_PROXY_MAX_AGE_SECONDS || "", 10) || 300;
+const PO_UPLOAD_MAX_BYTES = Number.parseInt(process.env.PO_UPLOAD_MAX_BYTES || "", 10) || 10 * 1024 * 1024;
+
+if (!DATABASE_URL) console.warn("Missing env DATABASE_URL");
+if (!SHOPIFY_APP_SECRET) console.warn("Missing env SHOPIFY_APP_SECRET");
+if (!SHOPIFY_STORE_DOMAIN) console.warn("Missing env SHOPIFY_STORE_DOMAIN");
+if (!SHOPIFY_ADMIN_ACCESS_TOKEN) console.warn("Missing env SHOPIFY_ADMIN_ACCESS_TOKEN");
+
+const pool = new Pool({
+  connectionString: DATABASE_URL,
+  ssl: process.env.NODE_ENV === "production" ? { rejectUnauthorized: false } : false,
+});
+
+// ---------- helpers ----------
+function json(res, status, obj) {
+  res.status(status);
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.send(JSON.stringify(obj));
+}
+
+function customerGidFromNumericId(customerIdNumeric) {
+  if (!customerIdNumeric) return null;
+  return `gid://shopify/Customer/${customerIdNumeric}`;
+}
+
+function orderGidFromNumericId(orderIdNumeric) {
+  if (!orderIdNumeric) return null;
+  return `gid://shopify/Order/${orderIdNumeric}`;
+}
+
+function normalizeCustomerId(raw) {
+  if (raw == null) return null;
+  const s = String(raw).trim();
+  if (!s) return null;
+  if (!/^\d+$/.test(s)) return null;
+  return s;
+}
+
+function nowIso() {
+  return Date.now().toString();
+}
+
+// Accepts a JSON string (App Proxy form fields) or an already-parsed array
+// (JSON bodies on the admin API).
+function safeParseItems(itemsStr) {
+  if (!itemsStr) return [];
+  try {
+    const arr = Array.isArray(itemsStr) ? itemsStr : JSON.parse(itemsStr);
+    if (!Array.isArray(arr)) return [];
+    return arr
+      .map((x) => ({
+        sku: (x?.sku || "").toString().trim(),
+        quantity: Number.parseInt(x?.quantity ?? 1, 10),
+        note: itemNoteFrom(x?.note),
+      }))
+      .filter((x) => x.sku && Number.isFinite(x.quantity) && x.quantity > 0)
+      .map((x) => ({ sku: x.sku, quantity: x.quantity, note: x.note }));
+  } catch {
+    return [];
+  }
+}
+
+function safeParseCartItems(cartItemsStr) {
+  if (!cartItemsStr) return [];
+  try {
+    const arr = Array.isArray(cartItemsStr) ? cartItemsStr : JSON.parse(cartItemsStr);
+    if (!Array.isArray(arr)) return [];
+    return arr;
+  } catch {
+    return [];
+  }
+}
+
+function toVariantGid(variantId) {
+  const n = Number.parseInt(String(variantId || "").trim(), 10);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return `gid://shopify/ProductVariant/${n}`;
+}
+
+// ---------- SKU -> variant resolution ----------
+const SKU_LOOKUP_BATCH = 50;
+
+function numericIdFromGid(gid) {
+  if (!gid) return null;
+  const m = String(gid).match(/\/(\d+)$/);
+  return m ? m[1] : null;
+}
+
+function toCompanyLocationGid(raw) {
+  const s = (raw || "").toString().trim();
+  if (!s) return null;
+  if (/^gid:\/\/shopify\/CompanyLocation\/\d+$/.test(s)) return s;
+  if (/^\d+$/.test(s)) return `gid://shopify/CompanyLocation/${s}`;
+  return null;
+}
+
+function skuKey(sku) {
+  return (sku || "").toString().trim().toLowerCase();
+}
+
+function skuSearchTerm(sku) {
+  const escaped = String(sku).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  return `sku:"${escaped}"`;
+}
+
+// Shopify's search is tokenised, so a query can return near-misses; only exact
+// (case-insensitive) SKU matches are kept. When several variants share a SKU,
+// an active product wins over an archived/draft one.
+async function lookupVariantsBySku(skus, { companyLocationId } = {}) {
+  const unique = [...new Set(skus.map(skuKey).filter(Boolean))];
+  const found = new Map();
+  if (!unique.length) return found;
+
+  const query = `
+    query VariantsBySku($query: String!, $first: Int!, $withContext: Boolean!, $context: ContextualPricingContext!) {
+      productVariants(first: $first, query: $query) {
+        edges {
+          node {
+            id
+            sku
+            title
+            price
+            availableForSale
+            inventoryQuantity
+            image {
+              url
+            }
+            product {
+              id
+              title
+              handle
+              status
+              featuredImage {
+                url
+              }
+            }
+            contextualPricing(context: $context) @include(if: $withContext) {
+              price {
+                amount
+                currencyCode
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  for (let i = 0; i < unique.length; i += SKU_LOOKUP_BATCH) {
+    const batch = unique.slice(i, i + SKU_LOOKUP_BATCH);
+    const wanted = new Set(batch);
+
+    const data = await shopifyGql(query, {
+      query: batch.map(skuSearchTerm).join(" OR "),
+      // Headroom for multiple variants sharing a SKU.
+      first: Math.min(250, batch.length * 2),
+      withContext: !!companyLocationId,
+      context: companyLocationId ? { companyLocationId } : {},
+    });
+
+    for (const edge of data?.productVariants?.edges || []) {
+      const node = edge?.node;
+      const key = skuKey(node?.sku);
+      if (!node || !wanted.has(key)) continue;
+
+      const prev = found.get(key);
+      if (prev && prev.product?.status === "ACTIVE") continue;
+      found.set(key, node);
+    }
+  }
+
+  return found;
+}
+
+function variantItemStatus(variant) {
+  if (!variant) return "unknown_sku";
+  if (variant.product?.status !== "ACTIVE") return "archived";
+  if (!variant.availableForSale) return "out_of_stock";
+  return "found";
+}
+
+// Enriches { sku, quantity } rows with live variant data. A failed lookup does
+// not fail the request: rows come back unresolved alongside resolve_error.
+async function resolveListItems(items, { companyLocationId } = {}) {
+  let variants;
+  try {
+    variants = await lookupVariantsBySku(
+      items.map((x) => x.sku),
+      { companyLocationId }
+    );
+  } catch (e) {
+    console.error("SKU resolution failed:", e);
+    return {
+      items: items.map((x) => ({ sku: x.sku, quantity: x.quantity, status: null })),
+      resolve_error: e.message || "SKU resolution failed",
+    };
+  }
+
+  return {
+    items: items.map((x) => {
+      const v = variants.get(skuKey(x.sku)) || null;
+      const catalogPrice = v?.contextualPricing?.price || null;
+      return {
+        sku: x.sku,
+        quantity: x.quantity,
+        status: variantItemStatus(v),
+        variant_id: v ? numericIdFromGid(v.id) : null,
+        product_id: v ? numericIdFromGid(v.product?.id) : null,
+        product_title: v?.product?.title || null,
+        product_handle: v?.product?.handle || null,
+        variant_title: v?.title || null,
+        image_url: v?.image?.url || v?.product?.featuredImage?.url || null,
+        price: v?.price ?? null,
+        catalog_price: catalogPrice ? catalogPrice.amount : null,
+        currency_code: catalogPrice ? catalogPrice.currencyCode : null,
+        inventory_quantity: v && Number.isFinite(v.inventoryQuantity) ? v.inventoryQuantity : null,
+        available_for_sale: v ? !!v.availableForSale : false,
+      };
+    }),
+    resolve_error: null,
+  };
+}
+
+// ---------- B2B company context ----------
+// Lists can be owned by a customer, a Shopify B2B company or a company
+// location. Which companies/locations a customer belongs to comes from their
+// company contact profiles and is cached briefly per customer.
+const COMPANY_CONTEXT_TTL_MS = 60 * 1000;
+const companyContextCache = new Map();
+
+// Location roles (besides the company's main contact) that may edit shared lists.
+const LIST_EDITOR_ROLE_RE = /admin/i;
+
+const LIST_OWNER_TYPES = ["customer", "company", "company_location"];
+
+async function fetchCompanyContext(customerId) {
+  const query = `
+    query CustomerCompanies($id: ID!) {
+      customer(id: $id) {
+        companyContactProfiles {
+          isMainContact
+          company {
+            id
+            name
+          }
+          roleAssignments(first: 50) {
+            edges {
+              node {
+                role {
+                  name
+                }
+                companyLocation {
+                  id
+                  name
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await shopifyGql(query, { id: customerGidFromNumericId(customerId) });
+  const profiles = data?.customer?.companyContactProfiles || [];
+
+  return {
+    customerId: String(customerId),
+    companies: profiles
+      .filter((p) => p?.company?.id)
+      .map((p) => ({
+        id: numericIdFromGid(p.company.id),
+        name: p.company.name || "",
+        isMainContact: !!p.isMainContact,
+        locations: (p.roleAssignments?.edges || [])
+          .map((e) => e?.node)
+          .filter((n) => n?.companyLocation?.id)
+          .map((n) => ({
+            id: numericIdFromGid(n.companyLocation.id),
+            name: n.companyLocation.name || "",
+            role: n.role?.name || "",
+          })),
+      })),
+  };
+}
+
+// Never throws: if the Admin API is unavailable the customer only sees their
+// personal lists until the next successful lookup.
+async function getCompanyContext(customerId) {
+  const key = String(customerId);
+  const hit = companyContextCache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.ctx;
+
+  try {
+    const ctx = await fetchCompanyContext(key);
+    companyContextCache.set(key, { ctx, expires: Date.now() + COMPANY_CONTEXT_TTL_MS });
+    return ctx;
+  } catch (e) {
+    console.error("Company context lookup failed:", e);
+    return { customerId: key, companies: [], error: e.message || "Company lookup failed" };
+  }
+}
+
+function companyIdsOf(ctx) {
+  return ctx.companies.map((c) => c.id);
+}
+
+function locationIdsOf(ctx) {
+  return ctx.companies.flatMap((c) => c.locations.map((l) => l.id));
+}
+
+function companyForLocation(ctx, locationId) {
+  return ctx.companies.find((c) => c.locations.some((l) => l.id === String(locationId))) || null;
+}
+
+// A company_location_id sent by the customer (numeric or GID), checked
+// against their own companies before it reaches catalog pricing or an order;
+// without one, `fallback` (the list's or order's stored location) is used.
+// Returns { companyLocationId } (numeric id or null) or { status, error }.
+async function checkedCompanyLocation(customerId, raw, fallback = null) {
+  const s = (raw ?? "").toString().trim();
+  if (!s) return { companyLocationId: fallback == null ? null : String(fallback) };
+
+  const id = numericIdFromGid(toCompanyLocationGid(s));
+  if (!id) return { status: 400, error: "Invalid company_location_id" };
+
+  const ctx = await getCompanyContext(customerId);
+  if (ctx.error) return { status: 502, error: "Could not check company_location_id" };
+  if (!locationIdsOf(ctx).includes(id)) {
+    return { status: 403, error: "company_location_id is not one of your company locations" };
+  }
+  return { companyLocationId: id };
+}
+
+// checkedCompanyLocation for the request's company_location_id (body, then query).
+function requestCompanyLocation(customerId, req, fallback = null) {
+  return checkedCompanyLocation(customerId, req.body?.company_location_id ?? req.query.company_location_id, fallback);
+}
+
+function canEditOwner(ctx, { owner_type, customer_id, company_id, company_location_id }) {
+  if (owner_type === "customer") return String(customer_id) === ctx.customerId;
+
+  if (owner_type === "company") {
+    const company = ctx.companies.find((c) => c.id === String(company_id));
+    if (!company) return false;
+    return company.isMainContact || company.locations.some((l) => LIST_EDITOR_ROLE_RE.test(l.role));
+  }
+
+  if (owner_type === "company_location") {
+    const company = companyForLocation(ctx, company_location_id);
+    if (!company) return false;
+    if (company.isMainContact) return true;
+    const loc = company.locations.find((l) => l.id === String(company_location_id));
+    return LIST_EDITOR_ROLE_RE.test(loc?.role || "");
+  }
+
+  return false;
+}
+
+function verifyAppProxy(req, res, next) {
+  try {
+    if (!SHOPIFY_APP_SECRET) return json(res, 500, { ok: false, error: "App proxy not configured" });
+
+    const q = { ...req.query };
+    const provided = (q.signature || "").toString();
+    if (!provided) return json(res, 401, { ok: false, error: "Missing signature" });
+
+    delete q.signature;
+
+    const message = Object.keys(q)
+      .sort()
+      .map((k) => `${k}=${Array.isArray(q[k]) ? q[k].join(",") : q[k]}`)
+      .join("");
+
+    const digest = crypto.createHmac("sha256", SHOPIFY_APP_SECRET).update(message).digest("hex");
+
+    const a = Buffer.from(digest, "utf8");
+    const b = Buffer.from(provided, "utf8");
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+      return json(res, 401, { ok: false, error: "Invalid signature" });
+    }
+
+    // The timestamp is signed, so this bounds how long a captured URL can be
+    // replayed.
+    const ts = Number.parseInt((q.timestamp || "").toString(), 10);
+    if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > APP_PROXY_MAX_AGE_SECONDS) {
+      return json(res, 401, { ok: false, error: "Expired signature" });
+    }
+
+    next();
+  } catch (e) {
+    console.error("Proxy verify error:", e);
+    return json(res, 500, { ok: false, error: "Proxy verification failed" });
+  }
+}
+
+function verifyWebhookHmac(rawBody, hmacHeader) {
+  if (!SHOPIFY_APP_SECRET || !rawBody || !hmacHeader) return false;
+
+  const digest = crypto
+    .createHmac("sha256", SHOPIFY_APP_SECRET)
+    .update(rawBody)
+    .digest("base64");
+
+  const a = Buffer.from(digest, "utf8");
+  const b = Buffer.from(hmacHeader, "utf8");
+  if (a.length !== b.length) return false;
+
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Shape of the custom.orderpad_items metafield, read back from the note
+// header written by encodeOrderPadNote (see order-pad-note.js).
+function extractOrderPadJsonFromNote(note) {
+  const decoded = decodeOrderPadNote(note);
+  if (!decoded) return null;
+
+  const { fields } = decoded;
+  const result = {
+    note: fields.note,
+    raw_lines: fields.note
+      .split("\n")
+      .map((l) => l.trim())
+      .filter(Boolean),
+    cart_items: [],
+    po_number: fields.poNumber,
+    contact_name: fields.siteContactName,
+    contact_phone: fields.siteContactPhone,
+    po_file_url: fields.poFileUrl,
+    company_name: fields.companyName,
+    location_name: fields.locationName,
+    customer_email: fields.customerEmail,
+    customer_id: decoded.customerId,
+    note_version: decoded.version,
+    created_at: new Date().toISOString(),
+  };
+
+  if (
+    !result.note &&
+    !result.po_number &&
+    !result.contact_name &&
+    !result.contact_phone &&
+    !result.po_file_url &&
+    !result.company_name &&
+    !result.location_name &&
+    !result.customer_email
+  ) {
+    return null;
+  }
+
+  return result;
+}
+
+// ---------- order pad note parsing ----------
+const QTY_RE = /^\d{1,6}$/;
+const SKU_RE = /^[A-Za-z0-9][A-Za-z0-9._\/#-]*$/;
+const HEADER_CELL_RE = /^(sku|item|part|part\s*(no|number|#)|product|code|qty|quantity|count)$/i;
+
+// Picks { sku, quantity } out of spreadsheet cells. The quantity is the first
+// all-digit cell next to a SKU-looking cell; extra columns (title, price) are
+// ignored.
+function skuQtyFromCells(cells) {
+  const c = cells.filter((x) => x !== "");
+  if (c.length === 1 && SKU_RE.test(c[0])) return { sku: c[0], quantity: 1 };
+  if (c.length < 2) return null;
+
+  if (SKU_RE.test(c[0]) && QTY_RE.test(c[1])) return { sku: c[0], quantity: Number(c[1]) };
+  if (QTY_RE.test(c[0]) && SKU_RE.test(c[1])) return { sku: c[1], quantity: Number(c[0]) };
+  if (SKU_RE.test(c[0])) {
+    const q = c.slice(1).find((x) => QTY_RE.test(x));
+    if (q) return { sku: c[0], quantity: Number(q) };
+  }
+  return null;
+}
+
+// Free-text forms: "SKU x 5", "SKU x5", "SKU 5", "5 x SKU", "5x SKU", "5 SKU",
+// "SKU". The "x" must be set off by a space so SKUs like "M12X25" stay whole.
+// When both tokens are numbers ("12 3456") the first is taken as the quantity,
+// matching how people write "QTY SKU".
+function skuQtyFromText(line) {
+  const t = line.replace(/\s+/g, " ").trim();
+  let m;
+
+  if ((m = t.match(/^(\S+) [x×*] ?(\d{1,6})$/i)) && SKU_RE.test(m[1]) && !QTY_RE.test(m[1])) {
+    return { sku: m[1], quantity: Number(m[2]) };
+  }
+  if ((m = t.match(/^(\d{1,6}) ?[x×*] (\S+)$/i)) && SKU_RE.test(m[2])) {
+    return { sku: m[2], quantity: Number(m[1]) };
+  }
+  if ((m = t.match(/^(\d{1,6}) (\S+)$/)) && SKU_RE.test(m[2])) {
+    return { sku: m[2], quantity: Number(m[1]) };
+  }
+  if ((m = t.match(/^(\S+) (\d{1,6})$/)) && SKU_RE.test(m[1])) {
+    return { sku: m[1], quantity: Number(m[2]) };
+  }
+  if (SKU_RE.test(t)) return { sku: t, quantity: 1 };
+  return null;
+}
+
+function parseOrderPadLines(text) {
+  const lines = [];
+  const unparsed = [];
+
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((raw, idx) => {
+      const line = raw.trim();
+      if (!line) return;
+
+      let parsed;
+      if (raw.includes("\t")) parsed = skuQtyFromCells(raw.split("\t").map((x) => x.trim()));
+      else if (line.includes(",")) {
+        const cells = splitCsvLine(line);
+        if (cells.some((c) => HEADER_CELL_RE.test(c)) && !cells.some((c) => QTY_RE.test(c))) return;
+        parsed = skuQtyFromCells(cells);
+      } else parsed = skuQtyFromText(line);
+
+      if (parsed && HEADER_CELL_RE.test(parsed.sku)) parsed = null;
+
+      if (!parsed || parsed.quantity <= 0) {
+        unparsed.push({ line_number: idx + 1, line, reason: "unparsed" });
+        return;
+      }
+      lines.push({ line_number: idx + 1, line, sku: parsed.sku, quantity: parsed.quantity });
+    });
+
+  return { lines, unparsed };
+}
+
+// Parses and resolves pasted order pad text. Out-of-stock variants still
+// count as matched; everything else lands in unmatched_lines with a reason.
+async function matchOrderPadNote(text, { companyLocationId } = {}) {
+  const { lines, unparsed } = parseOrderPadLines(text);
+  const resolved = await resolveListItems(lines, { companyLocationId });
+
+  const matched = [];
+  const unmatched = [...unparsed];
+
+  resolved.items.forEach((item, i) => {
+    const src = lines[i];
+    if (item.status === "found" || item.status === "out_of_stock") {
+      matched.push({ line_number: src.line_number, line: src.line, ...item });
+    } else {
+      unmatched.push({
+        line_number: src.line_number,
+        line: src.line,
+        sku: src.sku,
+        quantity: src.quantity,
+        reason: resolved.resolve_error ? "lookup_failed" : item.status,
+      });
+    }
+  });
+
+  unmatched.sort((a, b) => a.line_number - b.line_number);
+  return { matched, unmatched, resolve_error: resolved.resolve_error };
+}
+
+// Draft order line items, one per variant, with quantities of repeated lines summed.
+function lineItemsFromMatched(matched) {
+  const byVariant = new Map();
+  for (const m of matched) {
+    const prev = byVariant.get(m.variant_id);
+    if (prev) prev.quantity += m.quantity;
+    else byVariant.set(m.variant_id, { variantId: toVariantGid(m.variant_id), quantity: m.quantity });
+  }
+  return [...byVariant.values()];
+}
+
+// ---------- order pad drafts ----------
+function orderPadFieldsFromBody(body) {
+  return {
+    note: (body?.note || "").toString().trim(),
+    companyName: (body?.company_name || "").toString().trim(),
+    locationName: (body?.location_name || "").toString().trim(),
+    customerEmail: (body?.customer_email || "").toString().trim(),
+    poNumber: (body?.po_number || "").toString().trim(),
+    siteContactName: (body?.site_contact_name || "").toString().trim(),
+    siteContactPhone: (body?.site_contact_phone || "").toString().trim(),
+    poFileUrl: (body?.po_file_url || "").toString().trim(),
+  };
+}
+
+// Creates the draft order plus its custom.orderpad_items metafield. Never
+// throws: Shopify failures come back as { ok: false, error } so every caller
+// can return the result to the storefront as-is.
+async function createOrderPadDraft({ customerId, fields, lineItems, cartItems, customAttributes = [], extra = {} }) {
+  const mutation = `
+    mutation DraftOrderCreate($input: DraftOrderInput!) {
+      draftOrderCreate(input: $input) {
+        draftOrder {
+          id
+          name
+          metafields(first: 10) {
+            edges {
+              node {
+                namespace
+                key
+                type
+                value
+              }
+            }
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const { note } = fields;
+  const orderPadData = {
+    note,
+    raw_lines: note ? note.split("\n").map((line) => line.trim()).filter(Boolean) : [],
+    cart_items: cartItems || [],
+    po_number: fields.poNumber || "",
+    contact_name: fields.siteContactName || "",
+    contact_phone: fields.siteContactPhone || "",
+    po_file_url: fields.poFileUrl || "",
+    company_name: fields.companyName || "",
+    location_name: fields.locationName || "",
+    customer_email: fields.customerEmail || "",
+    ...extra,
+    created_at: new Date().toISOString(),
+  };
+
+  const input = {
+    customerId: customerGidFromNumericId(customerId),
+    ...(fields.customerEmail ? { email: fields.customerEmail } : {}),
+    note: encodeOrderPadNote(customerId, fields),
+    lineItems,
+    ...(customAttributes.length ? { customAttributes } : {}),
+    metafields: [
+      {
+        namespace: "custom",
+        key: "orderpad_items",
+        type: "json",
+        value: JSON.stringify(orderPadData),
+      },
+    ],
+  };
+
+  console.log("ORDERPAD DATA:", JSON.stringify(orderPadData, null, 2));
+  console.log("INPUT METAFIELDS:", JSON.stringify(input.metafields, null, 2));
+
+  try {
+    const data = await shopifyGql(mutation, { input });
+    const out = data?.draftOrderCreate;
+    const userErrors = out?.userErrors || [];
+
+    console.log("draftOrderCreate userErrors:", JSON.stringify(userErrors, null, 2));
+    console.log(
+      "draftOrderCreate metafields:",
+      JSON.stringify(out?.draftOrder?.metafields?.edges || [], null, 2)
+    );
+
+    if (userErrors.length) {
+      return { ok: false, error: userErrors.map((e) => e.message).join(" | ") };
+    }
+
+    if (!out?.draftOrder?.id) {
+      return { ok: false, error: "Draft order not created" };
+    }
+
+    return {
+      ok: true,
+      draft_order_id: out.draftOrder.id,
+      draft_order_name: out.draftOrder.name || null,
+    };
+  } catch (e) {
+    console.error("draftOrderCreate failed:", e);
+    return { ok: false, error: e.message || "Draft order not created" };
+  }
+}
+
+// ---------- PO file uploads ----------
+// Content is sniffed from the file's magic bytes; the client-declared MIME
+// type is only used as a first filter.
+const PO_FILE_TYPES = [
+  { ext: "pdf", mime: "application/pdf", test: (b) => b.subarray(0, 5).toString("latin1") === "%PDF-" },
+  { ext: "png", mime: "image/png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { ext: "jpg", mime: "image/jpeg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    ext: "webp",
+    mime: "image/webp",
+    test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+];
+
+function sniffPoFileType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  return PO_FILE_TYPES.find((t) => t.test(buffer)) || null;
+}
+
+const poUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PO_UPLOAD_MAX_BYTES, files: 1, fields: 20 },
+  fileFilter: (req, file, cb) => {
+    const declared = (file.mimetype || "").toLowerCase();
+    cb(null, PO_FILE_TYPES.some((t) => t.mime === declared));
+  },
+});
+
+const LIST_IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const LIST_IMPORT_MAX_ROWS = 1000;
+
+const listImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: LIST_IMPORT_MAX_BYTES, files: 1, fields: 20 },
+  // Browsers disagree on the MIME type of .csv files, so go by extension here
+  // and by content in readImportRows.
+  fileFilter: (req, file, cb) => cb(null, /\.(csv|xlsx)$/i.test(file.originalname || "")),
+});
+
+// Multer only runs for the multipart actions so every other action keeps the
+// urlencoded body App Proxy sends.
+const MULTIPART_ACTIONS = {
+  upload: { parser: poUpload.single("file"), maxBytes: PO_UPLOAD_MAX_BYTES },
+  import: { parser: listImportUpload.single("file"), maxBytes: LIST_IMPORT_MAX_BYTES },
+};
+
+function parseMultipartUpload(req, res, next) {
+  const action = (req.params?.action || req.query.action || req.query.actions || "").toString().trim();
+  const entry = MULTIPART_ACTIONS[action];
+  if (!entry) return next();
+
+  entry.parser(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const msg =
+        err.code === "LIMIT_FILE_SIZE"
+          ? `File is too large (max ${Math.floor(entry.maxBytes / (1024 * 1024))} MB)`
+          : err.message;
+      return json(res, 400, { ok: false, error: msg });
+    }
+    console.error("Upload parse failed:", err);
+    return json(res, 400, { ok: false, error: "Could not read upload" });
+  });
+}
+
+function createLocalPoStorage(rootDir) {
+  return {
+    name: "local",
+    async save({ folder, fileName, buffer, req }) {
+      const dir = path.join(rootDir, folder);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, fileName), buffer);
+
+      const base = PUBLIC_BASE_URL || `https://${req.get("host")}`;
+      return { url: `${base}/uploads/po/${folder}/${fileName}` };
+    },
+  };
+}
+
+function createCloudinaryPoStorage() {
+  return {
+    name: "cloudinary",
+    save({ folder, fileName, buffer, fileType }) {
+      return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          {
+            folder: `b2b-lists/po/${folder}`,
+            public_id: fileName.replace(/\.[^.]+$/, ""),
+            // PDFs as "raw" so Cloudinary serves the original document.
+            resource_type: fileType.ext === "pdf" ? "raw" : "image",
+            overwrite: false,
+          },
+          (err, result) => {
+            if (err) return reject(new Error(err.message || "Cloudinary upload failed"));
+            resolve({ url: result.secure_url });
+          }
+        );
+        stream.end(buffer);
+      });
+    },
+  };
+}
+
+const poStorage =
+  PO_UPLOAD_STORAGE === "cloudinary" ? createCloudinaryPoStorage() : createLocalPoStorage(PO_UPLOAD_DIR);
+
+// ---------- list import/export ----------
+function exportFileName(listName, ext) {
+  const base = (listName || "list").replace(/[^A-Za-z0-9._-]+/g, "-").replace(/^-+|-+$/g, "") || "list";
+  return `${base}.${ext}`;
+}
+
+async function readImportRows(file) {
+  const buf = file.buffer;
+
+  // XLSX files are zip archives.
+  if (buf.length >= 4 && buf.readUInt32LE(0) === 0x04034b50) {
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(buf);
+    const ws = wb.worksheets[0];
+    if (!ws) return [];
+
+    const rows = [];
+    for (let r = 1; r <= ws.rowCount; r++) {
+      const row = ws.getRow(r);
+      const cells = [];
+      for (let c = 1; c <= Math.max(row.cellCount, 1); c++) cells.push((row.getCell(c).text || "").trim());
+      rows.push(cells);
+    }
+    return rows;
+  }
+
+  return buf
+    .toString("utf8")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line) => (line.trim() ? splitCsvLine(line).map(unguardCsvCell) : []));
+}
+
+// Turns spreadsheet rows into list items. A header row (a "SKU" cell) picks the SKU/quantity/note columns; otherwise column A is the SKU and
+// column B the quantity. Repeated SKUs are merged by summing quantities; the first note wins.
+function listItemsFromRows(rows) {
+  let skuCol = 0;
+  let qtyCol = 1;
+  let noteCol = -1;
+  let start = 0;
+
+  const isSkuHeader = (c) => /^((variant|item)\s+)?sku$/i.test(c);
+  const first = rows.findIndex((r) => r.some((c) => c !== ""));
+  if (first >= 0 && rows[first].some(isSkuHeader)) {
+    const header = rows[first].map((c) => c.toLowerCase());
+    skuCol = header.findIndex(isSkuHeader);
+    const q = header.findIndex((c) => /^(qty|quantity|count)/.test(c));
+    qtyCol = q >= 0 ? q : -1;
+    noteCol = header.findIndex((c) => /^(line\s+)?notes?$/.test(c));
+    start = first + 1;
+  }
+
+  const errors = [];
+  const merged = new Map();
+  let dataRows = 0;
+  let duplicates = 0;
+
+  for (let i = start; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row.some((c) => c !== "")) continue;
+    dataRows++;
+
+    const rowNumber = i + 1;
+    const sku = (row[skuCol] || "").trim();
+    const qtyRaw = qtyCol >= 0 ? (row[qtyCol] || "").trim() : "";
+    const quantity = qtyRaw === "" ? 1 : Number(qtyRaw);
+
+    if (!sku) {
+      errors.push({ row: rowNumber, error: "Missing SKU" });
+      continue;
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.push({ row: rowNumber, sku, error: `Invalid quantity "${qtyRaw}"` });
+      continue;
+    }
+
+    const note = noteCol >= 0 ? itemNoteFrom(row[noteCol]) : "";
+    const key = skuKey(sku);
+    const prev = merged.get(key);
+    if (prev) {
+      prev.quantity += quantity;
+      if (!prev.note) prev.note = note;
+      duplicates++;
+    } else {
+      merged.set(key, { sku, quantity, note });
+    }
+  }
+
+  return { items: [...merged.values()], errors, dataRows, duplicates };
+}
+
+// ---------- webhook processing ----------
+// Handlers get the parsed payload and return a short outcome string. Throwing
+// marks the delivery for retry.
+async function processOrdersCreate(payload) {
+  const orderId = payload?.id;
+  const note = (payload?.note || "").toString();
+
+  if (!orderId) return "No order id";
+
+  const submissionId = submissionIdFromOrder(payload);
+  if (submissionId) {
+    await advanceSubmission({ id: submissionId }, payload?.cancelled_at ? "cancelled" : "completed", {
+      order_id: String(orderId),
+      order_name: payload?.name || null,
+    });
+  }
+
+  if (!decodeOrderPadNote(note)) return "Not an order pad order";
+
+  const orderPadData = extractOrderPadJsonFromNote(note);
+  if (!orderPadData) return "No order pad data found";
+
+  const mutation = `
+    mutation setOrderMetafield($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
+          id
+          namespace
+          key
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const result = await shopifyGql(mutation, {
+    metafields: [
+      {
+        ownerId: orderGidFromNumericId(orderId),
+        namespace: "custom",
+        key: "orderpad_items",
+        type: "json",
+        value: JSON.stringify(orderPadData),
+      },
+    ],
+  });
+
+  const errs = result?.metafieldsSet?.userErrors || [];
+  if (errs.length) {
+    throw new Error(`metafieldsSet: ${errs.map((e) => e.message).join(" | ")}`);
+  }
+
+  console.log("orders-create webhook metafield saved for order", orderId);
+  return "Metafield saved";
+}
+
+function draftOrderGidFromPayload(draft) {
+  if (draft?.admin_graphql_api_id) return String(draft.admin_graphql_api_id);
+  return draft?.id ? `gid://shopify/DraftOrder/${draft.id}` : null;
+}
+
+async function processDraftOrdersUpdate(payload) {
+  const draftGid = draftOrderGidFromPayload(payload);
+  if (!draftGid) return "No draft order id";
+
+  const status = (payload?.status || "").toString();
+  let advanced = null;
+
+  if (status === "invoice_sent") {
+    advanced = await advanceSubmission({ draft_order_id: draftGid }, "invoiced");
+  } else if (status === "completed") {
+    advanced = await advanceSubmission({ draft_order_id: draftGid }, "completed", {
+      ...(payload?.order_id ? { order_id: String(payload.order_id) } : {}),
+    });
+  }
+
+  return advanced ? `Submission ${advanced} -> ${status}` : `No submission change (${status || "no status"})`;
+}
+
+// orders/updated and orders/cancelled: link the order to its submission and
+// follow cancellations. The metafield is only written on orders/create.
+async function processOrderStatusChange(payload) {
+  const orderId = payload?.id;
+  if (!orderId) return "No order id";
+
+  const submissionId = submissionIdFromOrder(payload);
+  const match = submissionId ? { id: submissionId } : { order_id: String(orderId) };
+  const status = payload?.cancelled_at ? "cancelled" : "completed";
+
+  const advanced = await advanceSubmission(match, status, {
+    order_id: String(orderId),
+    ...(payload?.name ? { order_name: payload.name } : {}),
+  });
+  return advanced ? `Submission ${advanced} -> ${status}` : "No submission change";
+}
+
+async function processAppUninstalled(payload) {
+  companyContextCache.clear();
+  console.warn("App uninstalled from", payload?.myshopify_domain || payload?.domain || "(unknown shop)");
+  return "Uninstall noted";
+}
+
+// ---------- compliance (GDPR) topics ----------
+async function exportCustomerData(customerId) {
+  const lists = await pool.query(
+    `
+    SELECT l.id, l.name, l.owner_type, l.company_id, l.company_location_id, l.created_at, l.updated_at,
+           l.description, l.jobsite, l.pinned, l.color, l.label,
+           COALESCE(
+             json_agg(json_build_object('sku', li.sku, 'quantity', li.quantity, 'note', li.note) ORDER BY li.position, li.created_at)
+               FILTER (WHERE li.id IS NOT NULL),
+             '[]'
+           ) AS items
+    FROM lists l
+    LEFT JOIN list_items li ON li.list_id = l.id
+    WHERE l.customer_id = $1
+    GROUP BY l.id
+    ORDER BY l.created_at
+  `,
+    [customerId]
+  );
+  const submissions = await pool.query(
+    `SELECT * FROM order_pad_submissions WHERE customer_id = $1 ORDER BY created_at`,
+    [customerId]
+  );
+  const schedules = await pool.query(
+    `
+    SELECT s.*, l.name AS list_name
+    FROM list_schedules s
+    JOIN lists l ON l.id = s.list_id
+    WHERE s.customer_id = $1
+    ORDER BY s.created_at
+  `,
+    [customerId]
+  );
+
+  return {
+    customer_id: String(customerId),
+    lists: lists.rows,
+    list_schedules: schedules.rows.map(scheduleFromRow),
+    order_pad_submissions: submissions.rows.map(submissionFromRow),
+  };
+}
+
+async function recordComplianceRequest(topic, payload, { customerId = null, exportData = null } = {}) {
+  await pool.query(
+    `
+    INSERT INTO compliance_requests (topic, shop_domain, customer_id, request_payload, export)
+    VALUES ($1, $2, $3, $4, $5)
+  `,
+    [
+      topic,
+      (payload?.shop_domain || "").toString(),
+      customerId,
+      JSON.stringify(payload),
+      exportData ? JSON.stringify(exportData) : null,
+    ]
+  );
+}
+
+async function processCustomersDataRequest(payload) {
+  const customerId = normalizeCustomerId(payload?.customer?.id);
+  if (!customerId) return "No customer id";
+
+  const exportData = await exportCustomerData(customerId);
+  await recordComplianceRequest("customers/data_request", payload, { customerId, exportData });
+  return `Exported ${exportData.lists.length} lists, ${exportData.order_pad_submissions.length} submissions`;
+}
+
+// Personal lists, schedules and submissions are deleted. Shared lists belong
+// to the company, so they stay but lose the link to their creator (customer_id 0).
+async function processCustomersRedact(payload) {
+  const customerId = normalizeCustomerId(payload?.customer?.id);
+  if (!customerId) return "No customer id";
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const lists = await client.query(
+      `DELETE FROM lists WHERE customer_id = $1 AND owner_type = 'customer' RETURNING id`,
+      [customerId]
+    );
+    // Nobody is left to order as, so schedules on shared lists go too.
+    await client.query(`DELETE FROM list_schedules WHERE customer_id = $1`, [customerId]);
+    await client.query(`UPDATE lists SET customer_id = 0 WHERE customer_id = $1`, [customerId]);
+    // Decisions on colleagues' submissions stay in their audit trail, unattributed.
+    await client.query(`UPDATE approval_events SET customer_id = NULL WHERE customer_id = $1`, [customerId]);
+    const subs = await client.query(`DELETE FROM order_pad_submissions WHERE customer_id = $1 RETURNING id`, [
+      customerId,
+    ]);
+
+    // Only the ids are kept: the request payload itself carries the customer's PII.
+    const trail = { shop_domain: payload?.shop_domain, customer: { id: customerId } };
+
+    // Earlier data request exports hold a full copy of the customer's data;
+    // the fact that they were requested stays.
+    await client.query(
+      `UPDATE compliance_requests SET request_payload = $2, export = NULL WHERE customer_id = $1`,
+      [customerId, JSON.stringify(trail)]
+    );
+    // Queued deliveries about the customer go whatever their state, except
+    // redact requests (this one included), which keep only the ids.
+    await client.query(
+      `DELETE FROM webhook_deliveries WHERE payload->'customer'->>'id' = $1 AND topic <> 'customers/redact'`,
+      [customerId]
+    );
+    await client.query(
+      `UPDATE webhook_deliveries SET payload = $2 WHERE payload->'customer'->>'id' = $1 AND topic = 'customers/redact'`,
+      [customerId, JSON.stringify(trail)]
+    );
+    await client.query("COMMIT");
+
+    await recordComplianceRequest("customers/redact", trail, { customerId });
+    return `Redacted ${lists.rowCount} lists, ${subs.rowCount} submissions`;
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Sent 48 hours after uninstall. This app serves a single store, so all of
+// its data goes.
+async function processShopRedact(payload) {
+  const shop = (payload?.shop_domain || "").toString();
+  if (SHOPIFY_STORE_DOMAIN && shop && shop !== SHOPIFY_STORE_DOMAIN) {
+    return `Ignored shop/redact for ${shop}`;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(`DELETE FROM order_pad_submissions`);
+    await client.query(`DELETE FROM lists`);
+    await client.query(`DELETE FROM approval_rules`);
+    await client.query(`DELETE FROM notification_settings`);
+    await client.query(`DELETE FROM notifications`);
+    await client.query(`DELETE FROM tag_command_runs`);
+    await client.query(`DELETE FROM promo_campaigns`);
+    await client.query(`DELETE FROM compliance_requests`);
+    await client.query(`DELETE FROM webhook_deliveries WHERE topic <> 'shop/redact'`);
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  await recordComplianceRequest("shop/redact", { shop_domain: shop });
+  return "Shop data deleted";
+}
+
+const WEBHOOK_HANDLERS = {
+  "orders/create": processOrdersCreate,
+  "orders/updated": processOrderStatusChange,
+  "orders/cancelled": processOrderStatusChange,
+  "draft_orders/update": processDraftOrdersUpdate,
+  "app/uninstalled": processAppUninstalled,
+  "customers/data_request": processCustomersDataRequest,
+  "customers/redact": processCustomersRedact,
+  "shop/redact": processShopRedact,
+};
+
+// ---------- webhook routes FIRST ----------
+// Deliveries are stored by X-Shopify-Webhook-Id and acknowledged straight
+// away; the webhook worker does the actual work. A redelivery of the same id
+// is a no-op. Only a failed insert returns 500, so Shopify retries it.
+//
+// /webhooks takes every topic (routed by X-Shopify-Topic, including the
+// compliance topics); /webhooks/orders-create stays for existing subscriptions.
+function receiveWebhook(defaultTopic) {
+  return async (req, res) => {
+    try {
+      const topic = (req.get("X-Shopify-Topic") || defaultTopic || "").toString().trim();
+      console.log("webhook hit:", topic, req.get("X-Shopify-Shop-Domain"));
+
+      const hmacHeader = req.get("X-Shopify-Hmac-SHA256") || "";
+      const rawBody = req.body;
+
+      if (!verifyWebhookHmac(rawBody, hmacHeader)) {
+        console.error("webhook invalid HMAC");
+        return res.status(401).send("Invalid HMAC");
+      }
+
+      if (!topic) return res.status(400).send("Missing topic");
+
+      let payload;
+      try {
+        payload = JSON.parse(rawBody.toString("utf8"));
+      } catch {
+        return res.status(400).send("Invalid JSON");
+      }
+
+      const webhookId =
+        (req.get("X-Shopify-Webhook-Id") || "").toString().trim() ||
+        crypto.createHash("sha256").update(topic).update(rawBody).digest("hex");
+
+      const inserted = await enqueueWebhook({
+        webhookId,
+        topic,
+        shopDomain: (req.get("X-Shopify-Shop-Domain") || "").toString(),
+        payload,
+      });
+
+      return res.status(200).send(inserted ? "Queued" : "Duplicate");
+    } catch (e) {
+      console.error("webhook enqueue failed:", e);
+      return res.status(500).send("Server error");
+    }
+  };
+}
+
+const rawJson = express.raw({ type: "application/json" });
+app.post("/webhooks", rawJson, receiveWebhook(null));
+app.post("/webhooks/orders-create", rawJson, receiveWebhook("orders/create"));
+
+// IMPORTANT: App Proxy often breaks with JSON bodies; keep urlencoded enabled.
+app.use(express.urlencoded({ extended: false }));
+app.use("/admin", express.json({ limit: "1mb" }));
+
+// ---------- DB init ----------
+// Schema changes are numbered SQL files in migrations/ (see migrate.js and
+// scripts/migrate.js). Until migrateDatabase has finished every request gets
+// a 503; server.js only starts listening once it has.
+let databaseReady = false;
+
+export async function migrateDatabase() {
+  if (process.env.MIGRATE_ON_START === "0") {
+    const pending = (await migrationStatus(pool)).filter((m) => m.status !== "applied");
+    if (pending.length) {
+      throw new Error(
+        `Database is not migrated (${pending.map((m) => `${migrationLabel(m)}: ${m.status}`).join(", ")}); run npm run migrate`
+      );
+    }
+  } else {
+    const applied = await migrate(pool);
+    if (applied.length) console.log(`Applied ${applied.length} migration(s)`);
+  }
+  databaseReady = true;
+}
+
+// ---------- list storage ----------
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Lists visible to a customer. Params: $1 customer id, $2 company ids, $3 location ids.
+const LIST_ACCESS_SQL = `(
+  (l.owner_type = 'customer' AND l.customer_id = $1)
+  OR (l.owner_type = 'company' AND l.company_id = ANY($2::bigint[]))
+  OR (l.owner_type = 'company_location' AND l.company_location_id = ANY($3::bigint[]))
+)`;
+
+function listAccessParams(ctx) {
+  return [ctx.customerId, companyIdsOf(ctx), locationIdsOf(ctx)];
+}
+
+function listOwnerFields(row, ctx) {
+  const company = ctx?.companies.find((c) => c.id === (row.company_id == null ? null : String(row.company_id)));
+  const location = company?.locations.find((l) => l.id === String(row.company_location_id));
+  return {
+    owner_type: row.owner_type,
+    shared: row.owner_type !== "customer",
+    company_id: row.company_id == null ? null : String(row.company_id),
+    company_name: company?.name || null,
+    company_location_id: row.company_location_id == null ? null : String(row.company_location_id),
+    location_name: location?.name || null,
+    // Without a company context the row is a personal list its owner loaded.
+    can_edit: ctx ? canEditOwner(ctx, row) : true,
+  };
+}
+
+// Loads a list the customer may see. Personal lists are checked locally; the
+// Admin API is only consulted for shared lists. Returns null when the list
+// does not exist or is not visible to this customer.
+async function loadListForCustomer(customerId, listIdRaw) {
+  const listId = (listIdRaw || "").toString().trim();
+  if (!UUID_RE.test(listId)) return null;
+
+  const r = await pool.query(
+    `
+    SELECT id, name, customer_id, owner_type, company_id, company_location_id, version,
+           description, jobsite, pinned, color, label,
+           EXTRACT(EPOCH FROM updated_at) * 1000 AS updated_at_ms
+    FROM lists
+    WHERE id = $1
+    LIMIT 1
+  `,
+    [listId]
+  );
+  const list = r.rows[0];
+  if (!list) return null;
+
+  if (list.owner_type === "customer") {
+    if (String(list.customer_id) !== String(customerId)) return null;
+    return { list, ctx: null, canEdit: true };
+  }
+
+  const ctx = await getCompanyContext(customerId);
+  const visible =
+    list.owner_type === "company"
+      ? companyIdsOf(ctx).includes(String(list.company_id))
+      : locationIdsOf(ctx).includes(String(list.company_location_id));
+  if (!visible) return null;
+
+  return { list, ctx, canEdit: canEditOwner(ctx, list) };
+}
+
+// Owner for a list about to be created, from the owner / company_id /
+// company_location_id request fields. Sharing requires edit rights on the
+// target company or location.
+async function resolveNewListOwner(customerId, body) {
+  const ownerType = (body?.owner || "customer").toString().trim();
+  if (!LIST_OWNER_TYPES.includes(ownerType)) {
+    return { status: 400, error: "owner must be customer, company or company_location" };
+  }
+  if (ownerType === "customer") return { owner: { owner_type: "customer" } };
+
+  const ctx = await getCompanyContext(customerId);
+  let owner;
+
+  if (ownerType === "company") {
+    const wanted = numericIdFromGid(body?.company_id) || (body?.company_id || "").toString().trim();
+    const company = wanted
+      ? ctx.companies.find((c) => c.id === wanted)
+      : ctx.companies.length === 1
+        ? ctx.companies[0]
+        : null;
+    if (!company) return { status: 400, error: "Missing or unknown company_id" };
+    owner = { owner_type: "company", company_id: company.id };
+  } else {
+    const wanted = numericIdFromGid(body?.company_location_id) || (body?.company_location_id || "").toString().trim();
+    const company = wanted ? companyForLocation(ctx, wanted) : null;
+    if (!company) return { status: 400, error: "Missing or unknown company_location_id" };
+    owner = { owner_type: "company_location", company_id: company.id, company_location_id: wanted };
+  }
+
+  if (!canEditOwner(ctx, owner)) {
+    return { status: 403, error: "Your company role cannot create shared lists here" };
+  }
+  return { owner };
+}
+
+// Target for a whole-list write (upsert/import): an existing list the customer
+// can edit, or a new list. An unknown list_id creates a new list, as before.
+async function resolveWritableList(customerId, listIdRaw, body) {
+  if (listIdRaw) {
+    const access = await loadListForCustomer(customerId, listIdRaw);
+    if (access && !access.canEdit) {
+      return { status: 403, error: "You do not have permission to edit this list" };
+    }
+    if (access) return { listId: access.list.id };
+  }
+
+  const o = await resolveNewListOwner(customerId, body);
+  if (o.error) return o;
+  return { listId: null, owner: o.owner };
+}
+
+function parseListVersion(raw) {
+  const n = Number.parseInt((raw ?? "").toString().trim(), 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function listConflict(version) {
+  return {
+    status: 409,
+    error: "This list was changed somewhere else. Reload it and try again.",
+    version,
+  };
+}
+
+// ---------- list search ----------
+// The list action pages with an opaque cursor (the last row's sort key)
+// rather than an offset, so lists saved while someone pages through don't
+// shift the pages. Pinned lists come first under every sort.
+const LIST_SORTS = {
+  updated: { expr: "l.updated_at", type: "timestamptz", dir: "desc" },
+  created: { expr: "l.created_at", type: "timestamptz", dir: "desc" },
+  name: { expr: "LOWER(l.name)", type: "text", dir: "asc" },
+};
+const LIST_PAGE_DEFAULT = 50;
+const LIST_PAGE_MAX = 200;
+const LIST_SEARCH_MAX = 200;
+
+function encodeListCursor(sort, dir, row) {
+  const payload = { s: sort, d: dir, p: row.pinned, v: row.sort_key, id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeListCursor(raw) {
+  try {
+    const c = JSON.parse(Buffer.from(raw, "base64url").toString("utf8"));
+    if (!LIST_SORTS[c?.s] || !["asc", "desc"].includes(c.d)) return null;
+    if (typeof c.p !== "boolean" || typeof c.v !== "string" || !UUID_RE.test(c.id || "")) return null;
+    return c;
+  } catch {
+    return null;
+  }
+}
+
+// Paging and filters for the list action: q (name contains), sku (list has
+// this SKU), sort (updated | created | name), dir, limit, cursor. Returns
+// { search } or { error }.
+function listSearchFromQuery(query) {
+  const q = (query?.q || "").toString().trim();
+  const sku = (query?.sku || "").toString().trim();
+  if (q.length > LIST_SEARCH_MAX || sku.length > LIST_SEARCH_MAX) return { error: "Search is too long" };
+
+  const sort = (query?.sort || "updated").toString().trim().toLowerCase();
+  if (!LIST_SORTS[sort]) return { error: `sort must be one of ${Object.keys(LIST_SORTS).join(", ")}` };
+  const dir = (query?.dir || LIST_SORTS[sort].dir).toString().trim().toLowerCase();
+  if (dir !== "asc" && dir !== "desc") return { error: "dir must be asc or desc" };
+
+  const limit = Math.min(
+    Math.max(Number.parseInt(query?.limit || String(LIST_PAGE_DEFAULT), 10) || LIST_PAGE_DEFAULT, 1),
+    LIST_PAGE_MAX
+  );
+
+  let cursor = null;
+  const rawCursor = (query?.cursor || "").toString().trim();
+  if (rawCursor) {
+    cursor = decodeListCursor(rawCursor);
+    if (!cursor) return { error: "Invalid cursor" };
+    if (cursor.s !== sort || cursor.d !== dir) return { error: "Cursor is for a different sort; start again without it" };
+  }
+
+  return { search: { q, sku, sort, dir, limit, cursor } };
+}
+
+// One page of the lists visible to ctx, with item counts for just that page.
+// Returns { rows, nextCursor }.
+async function searchLists(ctx, { q, sku, sort, dir, limit, cursor }) {
+  const { expr, type } = LIST_SORTS[sort];
+  const params = listAccessParams(ctx);
+  const param = (v) => `$${params.push(v)}`;
+
+  const where = [LIST_ACCESS_SQL];
+  if (q) where.push(`l.name ILIKE ${param(`%${q.replace(/[\\%_]/g, "\\$&")}%`)}`);
+  if (sku) {
+    where.push(`EXISTS (SELECT 1 FROM list_items li WHERE li.list_id = l.id AND LOWER(li.sku) = LOWER(${param(sku)}))`);
+  }
+  if (cursor) {
+    const cmp = dir === "desc" ? "<" : ">";
+    const pinned = param(cursor.p);
+    where.push(`(
+      l.pinned < ${pinned}
+      OR (l.pinned = ${pinned} AND (${expr}, l.id) ${cmp} (${param(cursor.v)}::${type}, ${param(cursor.id)}::uuid))
+    )`);
+  }
+  const order = `pinned DESC, sort_key_value ${dir}, id ${dir}`;
+
+  const r = await pool.query(
+    `
+    WITH page AS (
+      SELECT
+        l.id,
+        l.name,
+        l.customer_id,
+        l.owner_type,
+        l.company_id,
+        l.company_location_id,
+        l.version,
+        l.description,
+        l.jobsite,
+        l.pinned,
+        l.color,
+        l.label,
+        EXTRACT(EPOCH FROM l.created_at) * 1000 AS created_at_ms,
+        EXTRACT(EPOCH FROM l.updated_at) * 1000 AS updated_at_ms,
+        ${expr} AS sort_key_value,
+        (${expr})::text AS sort_key
+      FROM lists l
+      WHERE ${where.join("\n        AND ")}
+      ORDER BY ${order}
+      LIMIT ${param(limit + 1)}
+    ),
+    counts AS (
+      SELECT li.list_id, COUNT(*) AS item_count
+      FROM list_items li
+      WHERE li.list_id IN (SELECT id FROM page)
+      GROUP BY li.list_id
+    )
+    SELECT page.*, COALESCE(counts.item_count, 0) AS item_count
+    FROM page
+    LEFT JOIN counts ON counts.list_id = page.id
+    ORDER BY ${order}
+  `,
+    params
+  );
+
+  const rows = r.rows.slice(0, limit);
+  const nextCursor = r.rows.length > limit ? encodeListCursor(sort, dir, rows[rows.length - 1]) : null;
+  return { rows, nextCursor };
+}
+
+// ---------- list metadata ----------
+// Lists carry a description, a jobsite reference, a pinned flag and a
+// color/label; each line can carry a short note ("for level 3 framing").
+const LIST_META_LIMITS = { description: 2000, jobsite: 200, label: 50 };
+const LIST_COLOR_RE = /^#[0-9a-f]{6}$/i;
+const ITEM_NOTE_MAX = 500;
+
+function itemNoteFrom(raw) {
+  return (raw ?? "").toString().trim().slice(0, ITEM_NOTE_MAX);
+}
+
+function parseFlag(raw) {
+  const v = (raw ?? "").toString().trim().toLowerCase();
+  if (["1", "true", "yes", "on"].includes(v)) return true;
+  if (["", "0", "false", "no", "off"].includes(v)) return false;
+  return null;
+}
+
+// Only the fields present in body are returned, so a write that leaves one
+// out keeps the stored value. Returns { meta } or { error }.
+function listMetaFromBody(body) {
+  const meta = {};
+  for (const [key, max] of Object.entries(LIST_META_LIMITS)) {
+    if (body?.[key] == null) continue;
+    const v = body[key].toString().trim();
+    if (v.length > max) return { error: `${key} is too long (max ${max} characters)` };
+    meta[key] = v;
+  }
+  if (body?.color != null) {
+    const color = body.color.toString().trim().toLowerCase();
+    if (color && !LIST_COLOR_RE.test(color)) return { error: "color must be a hex color like #1e88e5" };
+    meta.color = color;
+  }
+  if (body?.pinned != null) {
+    const pinned = parseFlag(body.pinned);
+    if (pinned == null) return { error: "pinned must be true or false" };
+    meta.pinned = pinned;
+  }
+  return { meta };
+}
+
+function listMetaFields(row) {
+  return {
+    description: row.description || "",
+    jobsite: row.jobsite || "",
+    pinned: !!row.pinned,
+    color: row.color || "",
+    label: row.label || "",
+  };
+}
+
+// "SET description = $2, pinned = $3" for the fields in meta; params start
+// at `from`.
+function listMetaAssignments(meta, from) {
+  const keys = Object.keys(meta);
+  return {
+    sql: keys.map((k, i) => `${k} = $${from + i}`).join(", "),
+    params: keys.map((k) => meta[k]),
+  };
+}
+
+async function fetchListItems(listId) {
+  const r = await pool.query(
+    `
+    SELECT id, sku, quantity, position, note
+    FROM list_items
+    WHERE list_id = $1
+    ORDER BY position ASC, created_at ASC
+  `,
+    [listId]
+  );
+  return r.rows.map((x) => ({
+    id: x.id,
+    sku: x.sku,
+    quantity: Number(x.quantity || 1),
+    position: Number(x.position || 0),
+    note: x.note || "",
+  }));
+}
+
+// Saves a list and replaces all of its items in one transaction. listId must
+// already be authorised by the caller; without one a new list is created for
+// owner (personal by default). meta (see listMetaFromBody) updates only the
+// fields it has. Returns { listId, version }, or a 409 result when
+// expectedVersion is given and stale.
+async function replaceListItems(
+  customerId,
+  { listId: existingId, name, items, owner, meta = {}, expectedVersion = null }
+) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    let listId = existingId;
+    let version;
+
+    if (listId) {
+      const cur = await client.query(`SELECT version FROM lists WHERE id = $1 FOR UPDATE`, [listId]);
+      if (!cur.rows.length) {
+        await client.query("ROLLBACK");
+        return { status: 404, error: "List not found" };
+      }
+      if (expectedVersion != null && cur.rows[0].version !== expectedVersion) {
+        await client.query("ROLLBACK");
+        return listConflict(cur.rows[0].version);
+      }
+
+      const set = listMetaAssignments(meta, 3);
+      const up = await client.query(
+        `
+        UPDATE lists
+        SET name = $1, ${set.sql ? `${set.sql}, ` : ""}updated_at = NOW(), version = version + 1
+        WHERE id = $2
+        RETURNING version
+      `,
+        [name, listId, ...set.params]
+      );
+      version = up.rows[0].version;
+    } else {
+      const o = owner || { owner_type: "customer" };
+      const m = listMetaFields(meta);
+      const ins = await client.query(
+        `
+        INSERT INTO lists (customer_id, name, owner_type, company_id, company_location_id, description, jobsite, pinned, color, label)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id, version
+      `,
+        [
+          customerId,
+          name,
+          o.owner_type,
+          o.company_id || null,
+          o.company_location_id || null,
+          m.description,
+          m.jobsite,
+          m.pinned,
+          m.color,
+          m.label,
+        ]
+      );
+      listId = ins.rows[0].id;
+      version = ins.rows[0].version;
+    }
+
+    await client.query(`DELETE FROM list_items WHERE list_id = $1`, [listId]);
+
+    const values = [];
+    const params = [];
+    let i = 1;
+    items.forEach((it, idx) => {
+      values.push(`($${i++}, $${i++}, $${i++}, $${i++}, $${i++})`);
+      params.push(listId, it.sku, it.quantity, idx, it.note || "");
+    });
+
+    await client.query(
+      `
+      INSERT INTO list_items (list_id, sku, quantity, position, note)
+      VALUES ${values.join(",")}
+    `,
+      params
+    );
+
+    await client.query("COMMIT");
+    return { listId, version };
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Runs an item-level change inside a transaction that locks the list row,
+// checks expectedVersion and bumps version/updated_at. fn(client, list) may
+// return { status, error } to abort (rolled back) or an object merged into
+// the result.
+async function writeList(customerId, listIdRaw, expectedVersion, fn) {
+  const access = await loadListForCustomer(customerId, listIdRaw);
+  if (!access) return { status: 404, error: "List not found" };
+  if (!access.canEdit) return { status: 403, error: "You do not have permission to edit this list" };
+
+  const listId = access.list.id;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const cur = await client.query(`SELECT id, name, version FROM lists WHERE id = $1 FOR UPDATE`, [listId]);
+    const list = cur.rows[0];
+    if (!list) {
+      await client.query("ROLLBACK");
+      return { status: 404, error: "List not found" };
+    }
+    if (expectedVersion != null && list.version !== expectedVersion) {
+      await client.query("ROLLBACK");
+      return listConflict(list.version);
+    }
+
+    const out = (await fn(client, list)) || {};
+    if (out.error) {
+      await client.query("ROLLBACK");
+      return out;
+    }
+
+    const up = await client.query(
+      `
+      UPDATE lists
+      SET updated_at = NOW(), version = version + 1
+      WHERE id = $1
+      RETURNING version, EXTRACT(EPOCH FROM updated_at) * 1000 AS updated_at_ms
+    `,
+      [listId]
+    );
+
+    await client.query("COMMIT");
+    return {
+      ...out,
+      list_id: listId,
+      version: up.rows[0].version,
+      updated_at: String(Math.trunc(up.rows[0].updated_at_ms)),
+    };
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Finds the target row of an item action by item_id, or else by SKU
+// (case-insensitive, first by position).
+async function findListItem(client, listId, body) {
+  const itemId = (body?.item_id || "").toString().trim();
+  const sku = (body?.sku || "").toString().trim();
+
+  if (itemId) {
+    if (!UUID_RE.test(itemId)) return null;
+    const r = await client.query(`SELECT id, sku, quantity FROM list_items WHERE id = $1 AND list_id = $2`, [
+      itemId,
+      listId,
+    ]);
+    return r.rows[0] || null;
+  }
+  if (!sku) return null;
+
+  const r = await client.query(
+    `
+    SELECT id, sku, quantity
+    FROM list_items
+    WHERE list_id = $1 AND LOWER(sku) = LOWER($2)
+    ORDER BY position ASC, created_at ASC
+    LIMIT 1
+  `,
+    [listId, sku]
+  );
+  return r.rows[0] || null;
+}
+
+function parseItemQuantity(raw, fallback) {
+  if (raw == null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// ---------- order pad submissions ----------
+// Lifecycle: submitted -> draft_created -> invoiced -> completed, or
+// cancelled at any point; failed means draftOrderCreate was rejected.
+// pending_approval waits for an approver and goes on to submitted or ends as
+// rejected. Webhooks can arrive out of order, so a status only ever moves forward.
+const SUBMISSION_STATUS_RANK = {
+  pending_approval: 0,
+  submitted: 0,
+  failed: 0,
+  draft_created: 1,
+  invoiced: 2,
+  completed: 3,
+  cancelled: 4,
+  rejected: 4,
+};
+
+const SUBMISSION_PATCH_COLUMNS = ["draft_order_id", "draft_order_name", "order_id", "order_name", "error"];
+const SUBMISSION_MATCH_COLUMNS = ["id", "draft_order_id", "order_id"];
+
+const SUBMISSION_ATTRIBUTE = "orderpad_submission_id";
+
+// Moves the matching submission to status (if that is a step forward) and
+// applies patch. match is { id } | { draft_order_id } | { order_id }.
+// Returns the updated row's id, or null when nothing matched/advanced.
+async function advanceSubmission(match, status, patch = {}) {
+  const [matchCol, matchVal] = Object.entries(match)[0] || [];
+  if (!SUBMISSION_MATCH_COLUMNS.includes(matchCol) || !matchVal) return null;
+  if (matchCol === "id" && !UUID_RE.test(String(matchVal))) return null;
+
+  const rank = SUBMISSION_STATUS_RANK[status];
+  const from = Object.keys(SUBMISSION_STATUS_RANK).filter((s) => SUBMISSION_STATUS_RANK[s] < rank);
+
+  const sets = ["status = $1", "updated_at = NOW()"];
+  const params = [status];
+  for (const col of SUBMISSION_PATCH_COLUMNS) {
+    if (patch[col] === undefined) continue;
+    params.push(patch[col]);
+    sets.push(`${col} = $${params.length}`);
+  }
+  params.push(String(matchVal), from);
+
+  const r = await pool.query(
+    `
+    UPDATE order_pad_submissions
+    SET ${sets.join(", ")}
+    WHERE ${matchCol} = $${params.length - 1} AND status = ANY($${params.length}::text[])
+    RETURNING id
+  `,
+    params
+  );
+  return r.rows[0]?.id || null;
+}
+
+// Out-of-stock variants stay on the draft so the CSR can decide; only SKUs
+// with no orderable variant are dropped and reported back as skipped.
+// A line's note and the list's jobsite go on the draft line item as custom
+// attributes, so they show on the order and packing slip.
+function draftLinesFromResolved(resolvedItems, { jobsite = "" } = {}) {
+  const included = resolvedItems.filter((x) => x.status === "found" || x.status === "out_of_stock");
+  const lineAttributes = (x) =>
+    [
+      { key: "Note", value: x.note || "" },
+      { key: "Jobsite", value: jobsite },
+    ].filter((a) => a.value);
+
+  return {
+    lineItems: included.map((x) => {
+      const customAttributes = lineAttributes(x);
+      return {
+        variantId: toVariantGid(x.variant_id),
+        quantity: x.quantity,
+        ...(customAttributes.length ? { customAttributes } : {}),
+      };
+    }),
+    cartItems: included.map((x) => ({
+      sku: x.sku,
+      title: x.product_title || "",
+      quantity: x.quantity,
+      variant_id: x.variant_id || "",
+      ...(x.note ? { note: x.note } : {}),
+    })),
+    skipped: resolvedItems
+      .filter((x) => !included.includes(x))
+      .map((x) => ({ sku: x.sku, quantity: x.quantity, reason: x.status })),
+  };
+}
+
+// Records the submission and, unless an approval rule holds it, creates the
+// draft order and stores the outcome. Recording is best-effort for
+// submissions no rule applies to: if the insert fails the draft is still created.
+async function submitOrderPad({
+  customerId,
+  fields,
+  lineItems,
+  cartItems,
+  unmatchedLines = [],
+  extra = {},
+  source = "draftpad",
+  listId = null,
+  resubmittedFrom = null,
+  companyLocationId = null,
+}) {
+  const ctx = await getCompanyContext(customerId);
+  // Without the customer's companies there is no telling which approval rules apply.
+  if (ctx.error) return { ok: false, error: "Could not check approval rules; please try again", submission_id: null };
+
+  const requestedLocation = numericIdFromGid(toCompanyLocationGid(companyLocationId));
+  const company = submissionCompany(ctx, requestedLocation);
+  // A company buyer's order always belongs to one of their companies, so its
+  // rules cannot be skipped by leaving the location out.
+  if (!company && ctx.companies.length) {
+    const error = requestedLocation
+      ? "company_location_id is not one of your company locations"
+      : "Choose the company location this order is for (company_location_id)";
+    return { ok: false, error, submission_id: null };
+  }
+  const locationId = company ? requestedLocation : null;
+
+  let reasons = [];
+  try {
+    const rules = await loadApprovalRules(company?.id);
+    if (rules) reasons = await approvalReasons(rules, { fields, lineItems, companyLocationId: locationId });
+  } catch (e) {
+    console.error("Approval rule check failed:", e);
+    // company is set whenever the customer has one.
+    if (company) reasons = [{ rule: "lookup_failed", message: "Could not check approval rules" }];
+  }
+  const held = reasons.length > 0;
+
+  let submissionId = null;
+  try {
+    const ins = await pool.query(
+      `
+      INSERT INTO order_pad_submissions (
+        customer_id, source, list_id, resubmitted_from, po_number, contact_name, contact_phone,
+        po_file_url, company_name, location_name, customer_email, note, items, line_items, unmatched_lines,
+        status, company_id, company_location_id, approval_reasons, draft_extra
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+      RETURNING id
+    `,
+      [
+        customerId,
+        source,
+        listId,
+        resubmittedFrom,
+        fields.poNumber || "",
+        fields.siteContactName || "",
+        fields.siteContactPhone || "",
+        fields.poFileUrl || "",
+        fields.companyName || "",
+        fields.locationName || "",
+        fields.customerEmail || "",
+        fields.note || "",
+        JSON.stringify(cartItems || []),
+        JSON.stringify(lineItems || []),
+        JSON.stringify(unmatchedLines || []),
+        held ? "pending_approval" : "submitted",
+        company?.id || null,
+        locationId,
+        JSON.stringify(reasons),
+        JSON.stringify(extra),
+      ]
+    );
+    submissionId = ins.rows[0].id;
+  } catch (e) {
+    console.error("Recording order pad submission failed:", e);
+    // Without a stored submission there is nothing to approve later.
+    if (held) return { ok: false, error: "Could not record submission for approval", submission_id: null };
+  }
+
+  await queueSubmissionNotifications(submissionId, "submitted");
+
+  if (held) {
+    await recordApprovalEvent(submissionId, "held", customerId, { reasons }).catch((e) =>
+      console.error("Recording approval event failed:", e)
+    );
+    await queueSubmissionNotifications(submissionId, "pending_approval");
+    return { ok: true, pending_approval: true, approval_reasons: reasons, submission_id: submissionId };
+  }
+
+  const result = await createDraftForSubmission(submissionId, {
+    customerId,
+    fields,
+    lineItems,
+    cartItems,
+    unmatchedLines,
+    extra,
+  });
+  return { ...result, submission_id: submissionId };
+}
+
+// Creates the draft order for a recorded (or, with submissionId null,
+// unrecorded) submission and moves it to draft_created or failed.
+async function createDraftForSubmission(submissionId, { customerId, fields, lineItems, cartItems, unmatchedLines, extra }) {
+  const result = await createOrderPadDraft({
+    customerId,
+    fields,
+    lineItems,
+    cartItems,
+    customAttributes: submissionId ? [{ key: SUBMISSION_ATTRIBUTE, value: submissionId }] : [],
+    extra: { ...extra, unmatched_lines: unmatchedLines, ...(submissionId ? { submission_id: submissionId } : {}) },
+  });
+
+  if (submissionId) {
+    try {
+      if (result.ok) {
+        await advanceSubmission({ id: submissionId }, "draft_created", {
+          draft_order_id: result.draft_order_id,
+          draft_order_name: result.draft_order_name,
+        });
+      } else {
+        await pool.query(
+          `UPDATE order_pad_submissions SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1`,
+          [submissionId, result.error || "Draft order not created"]
+        );
+      }
+    } catch (e) {
+      console.error("Updating order pad submission failed:", e);
+    }
+    await queueSubmissionNotifications(submissionId, result.ok ? "draft_created" : "failed");
+  }
+
+  return result;
+}
+
+// The order pad fields a stored submission was made with.
+function fieldsFromSubmission(row) {
+  return {
+    note: row.note,
+    companyName: row.company_name,
+    locationName: row.location_name,
+    customerEmail: row.customer_email,
+    poNumber: row.po_number,
+    siteContactName: row.contact_name,
+    siteContactPhone: row.contact_phone,
+    poFileUrl: row.po_file_url,
+  };
+}
+
+// Draft order custom attributes become the order's note_attributes.
+function submissionIdFromOrder(order) {
+  const attrs = Array.isArray(order?.note_attributes) ? order.note_attributes : [];
+  const hit = attrs.find((a) => a?.name === SUBMISSION_ATTRIBUTE);
+  return hit?.value ? String(hit.value) : null;
+}
+
+function submissionFromRow(r) {
+  return {
+    id: r.id,
+    source: r.source,
+    status: r.status,
+    error: r.error || null,
+    list_id: r.list_id || null,
+    resubmitted_from: r.resubmitted_from || null,
+    po_number: r.po_number,
+    contact_name: r.contact_name,
+    contact_phone: r.contact_phone,
+    po_file_url: r.po_file_url,
+    company_name: r.company_name,
+    location_name: r.location_name,
+    note: r.note,
+    items: r.items || [],
+    unmatched_lines: r.unmatched_lines || [],
+    draft_order_id: r.draft_order_id || null,
+    draft_order_name: r.draft_order_name || null,
+    order_id: r.order_id || null,
+    order_name: r.order_name || null,
+    approval_reasons: r.approval_reasons || [],
+    created_at: String(new Date(r.created_at).getTime()),
+    updated_at: String(new Date(r.updated_at).getTime()),
+  };
+}
+
+// ---------- approval workflow ----------
+// Per-company rules (approval_rules) hold a submission in pending_approval
+// when its total is above max_total, it contains a product with one of
+// product_tags, or require_po is set and the PO number is blank. An approver
+// (approver_ids, or else the company's main contact / location admins) then
+// approves it, which creates the draft order, or rejects it. Every step is
+// written to approval_events.
+async function loadApprovalRules(companyId) {
+  if (!companyId) return null;
+  const r = await pool.query(`SELECT * FROM approval_rules WHERE company_id = $1`, [companyId]);
+  return r.rows[0] || null;
+}
+
+function approvalRulesFromRow(r) {
+  return {
+    company_id: String(r.company_id),
+    max_total: r.max_total == null ? null : String(r.max_total),
+    product_tags: r.product_tags || [],
+    require_po: !!r.require_po,
+    approver_ids: r.approver_ids || [],
+    updated_at: r.updated_at ? new Date(r.updated_at).toISOString() : null,
+  };
+}
+
+// The company a submission is for: the one owning companyLocationId, or the
+// customer's only company. null for a buyer of several companies who did not
+// say which; submitOrderPad refuses those.
+function submissionCompany(ctx, companyLocationId) {
+  if (companyLocationId) return companyForLocation(ctx, companyLocationId);
+  return ctx.companies.length === 1 ? ctx.companies[0] : null;
+}
+
+// Map variant GID -> { price, tags } with catalog pricing for the location.
+async function fetchLinePricing(variantIds, companyLocationId) {
+  const query = `
+    query ApprovalLines($ids: [ID!]!, $withContext: Boolean!, $context: ContextualPricingContext!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          id
+          price
+          product {
+            tags
+          }
+          contextualPricing(context: $context) @include(if: $withContext) {
+            price {
+              amount
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const out = new Map();
+  const ids = [...new Set(variantIds)];
+  for (let i = 0; i < ids.length; i += SKU_LOOKUP_BATCH) {
+    const data = await shopifyGql(query, {
+      ids: ids.slice(i, i + SKU_LOOKUP_BATCH),
+      withContext: !!companyLocationId,
+      context: companyLocationId ? { companyLocationId } : {},
+    });
+    for (const n of data?.nodes || []) {
+      if (!n?.id) continue;
+      out.set(n.id, {
+        price: Number(n.contextualPricing?.price?.amount ?? n.price ?? 0),
+        tags: n.product?.tags || [],
+      });
+    }
+  }
+  return out;
+}
+
+// Returns [{ rule, message }] for every rule the submission trips. A pricing
+// lookup failure holds the submission too rather than letting it through.
+async function approvalReasons(rules, { fields, lineItems, companyLocationId }) {
+  const reasons = [];
+
+  if (rules.require_po && !(fields.poNumber || "").trim()) {
+    reasons.push({ rule: "require_po", message: "PO number is missing" });
+  }
+
+  const wantTags = (rules.product_tags || []).map((t) => t.toLowerCase());
+  if (rules.max_total == null && !wantTags.length) return reasons;
+
+  let pricing;
+  try {
+    pricing = await fetchLinePricing(
+      lineItems.map((li) => li.variantId).filter(Boolean),
+      toCompanyLocationGid(companyLocationId)
+    );
+  } catch (e) {
+    console.error("Approval pricing lookup failed:", e);
+    reasons.push({ rule: "lookup_failed", message: "Could not check prices and tags" });
+    return reasons;
+  }
+
+  let total = 0;
+  const tagged = new Set();
+  for (const li of lineItems) {
+    const qty = Number(li.quantity || 0);
+    if (!li.variantId) {
+      total += Number(li.originalUnitPrice || 0) * qty;
+      continue;
+    }
+    const p = pricing.get(li.variantId);
+    if (!p) continue;
+    total += p.price * qty;
+    for (const t of p.tags) if (wantTags.includes(t.toLowerCase())) tagged.add(t);
+  }
+
+  if (rules.max_total != null && total > Number(rules.max_total)) {
+    reasons.push({ rule: "max_total", message: `Total ${total.toFixed(2)} is above ${Number(rules.max_total).toFixed(2)}` });
+  }
+  if (tagged.size) {
+    reasons.push({ rule: "product_tags", message: `Contains products tagged ${[...tagged].join(", ")}` });
+  }
+  return reasons;
+}
+
+function canApproveSubmission(ctx, rules, sub) {
+  if (String(sub.customer_id) === ctx.customerId) return false;
+  if (!ctx.companies.some((c) => c.id === String(sub.company_id))) return false;
+  if (rules?.approver_ids?.length) return rules.approver_ids.map(String).includes(ctx.customerId);
+  return sub.company_location_id
+    ? canEditOwner(ctx, { owner_type: "company_location", company_location_id: sub.company_location_id })
+    : canEditOwner(ctx, { owner_type: "company", company_id: sub.company_id });
+}
+
+async function recordApprovalEvent(submissionId, action, actorId, { comment = "", reasons = [] } = {}) {
+  await pool.query(
+    `
+    INSERT INTO approval_events (submission_id, action, customer_id, comment, reasons)
+    VALUES ($1, $2, $3, $4, $5)
+  `,
+    [submissionId, action, actorId, comment, JSON.stringify(reasons)]
+  );
+}
+
+async function fetchApprovalEvents(submissionIds) {
+  const r = await pool.query(
+    `
+    SELECT submission_id, action, customer_id, comment, reasons, created_at
+    FROM approval_events
+    WHERE submission_id = ANY($1::uuid[])
+    ORDER BY created_at ASC
+  `,
+    [submissionIds]
+  );
+  const out = new Map();
+  for (const e of r.rows) {
+    const list = out.get(e.submission_id) || [];
+    list.push({
+      action: e.action,
+      customer_id: e.customer_id == null ? null : String(e.customer_id),
+      comment: e.comment,
+      reasons: e.reasons || [],
+      created_at: String(new Date(e.created_at).getTime()),
+    });
+    out.set(e.submission_id, list);
+  }
+  return out;
+}
+
+// ---------- past orders ----------
+// Reorder and "save as list" work from the SKUs on a customer's past order.
+// Quantities are current ones, so removed or edited lines count as shipped.
+const ORDER_PAGE_MAX = 50;
+
+function toOrderGid(raw) {
+  const s = (raw || "").toString().trim();
+  if (/^\d+$/.test(s)) return orderGidFromNumericId(s);
+  if (/^gid:\/\/shopify\/Order\/\d+$/.test(s)) return s;
+  return null;
+}
+
+async function fetchCustomerOrders(customerId, { first = 10, after = null } = {}) {
+  const query = `
+    query CustomerOrders($id: ID!, $first: Int!, $after: String) {
+      customer(id: $id) {
+        orders(first: $first, after: $after, sortKey: PROCESSED_AT, reverse: true) {
+          nodes {
+            id
+            name
+            processedAt
+            poNumber
+            displayFinancialStatus
+            displayFulfillmentStatus
+            currentSubtotalLineItemsQuantity
+            currentTotalPriceSet {
+              shopMoney {
+                amount
+                currencyCode
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await shopifyGql(query, { id: customerGidFromNumericId(customerId), first, after });
+  const conn = data?.customer?.orders;
+  return {
+    orders: (conn?.nodes || []).map((o) => ({
+      id: numericIdFromGid(o.id),
+      name: o.name,
+      processed_at: o.processedAt,
+      po_number: o.poNumber || "",
+      financial_status: o.displayFinancialStatus || null,
+      fulfillment_status: o.displayFulfillmentStatus || null,
+      item_quantity: o.currentSubtotalLineItemsQuantity ?? null,
+      total: o.currentTotalPriceSet?.shopMoney?.amount ?? null,
+      currency_code: o.currentTotalPriceSet?.shopMoney?.currencyCode ?? null,
+    })),
+    has_more: !!conn?.pageInfo?.hasNextPage,
+    next_cursor: conn?.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null,
+  };
+}
+
+// Returns { order: { id, name, company_location_id }, items: [{ sku, quantity }], skipped }
+// or { status, error } when the order is missing or belongs to someone else.
+async function loadOrderItems(customerId, orderIdRaw) {
+  const orderId = toOrderGid(orderIdRaw);
+  if (!orderId) return { status: 400, error: "Missing order_id" };
+
+  const head = await shopifyGql(
+    `
+    query OrderForReorder($id: ID!) {
+      order(id: $id) {
+        id
+        name
+        customer {
+          id
+        }
+        purchasingEntity {
+          ... on PurchasingCompany {
+            location {
+              id
+            }
+          }
+        }
+      }
+    }
+  `,
+    { id: orderId }
+  );
+  const order = head?.order;
+  if (!order || order.customer?.id !== customerGidFromNumericId(customerId)) {
+    return { status: 404, error: "Order not found" };
+  }
+
+  const linesQuery = `
+    query OrderLines($id: ID!, $first: Int!, $after: String) {
+      order(id: $id) {
+        lineItems(first: $first, after: $after) {
+          nodes {
+            name
+            sku
+            currentQuantity
+            variant {
+              sku
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const bySku = new Map();
+  const skipped = [];
+  for await (const li of shopifyPaginate(linesQuery, { id: orderId }, (d) => d?.order?.lineItems)) {
+    const quantity = Number(li.currentQuantity || 0);
+    if (quantity <= 0) continue;
+    const sku = (li.variant?.sku || li.sku || "").trim();
+    if (!sku) {
+      skipped.push({ sku: "", title: li.name || "", quantity, reason: "no_sku" });
+      continue;
+    }
+    const key = skuKey(sku);
+    const prev = bySku.get(key);
+    if (prev) prev.quantity += quantity;
+    else bySku.set(key, { sku, quantity });
+  }
+
+  const location = order.purchasingEntity?.location?.id || null;
+  return {
+    order: {
+      id: numericIdFromGid(order.id),
+      name: order.name,
+      company_location_id: numericIdFromGid(location),
+    },
+    items: [...bySku.values()],
+    skipped,
+  };
+}
+
+// ---------- webhook queue ----------
+// pending -> processing -> done, or back to pending with exponential backoff
+// until WEBHOOK_MAX_ATTEMPTS, then dead (listed and replayable under /admin).
+const WEBHOOK_WORKER_INTERVAL_MS = Number.parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS || "", 10) || 5000;
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_BACKOFF_BASE_MS = 30 * 1000;
+const WEBHOOK_BACKOFF_MAX_MS = 60 * 60 * 1000;
+const WEBHOOK_BATCH_SIZE = 10;
+// A job stuck in processing this long (worker crashed mid-job) is picked up again.
+const WEBHOOK_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+function webhookBackoffMs(attempts) {
+  return Math.min(WEBHOOK_BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), WEBHOOK_BACKOFF_MAX_MS);
+}
+
+async function enqueueWebhook({ webhookId, topic, shopDomain, payload }) {
+  const r = await pool.query(
+    `
+    INSERT INTO webhook_deliveries (webhook_id, topic, shop_domain, payload)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (webhook_id) DO NOTHING
+    RETURNING webhook_id
+  `,
+    [webhookId, topic, shopDomain, JSON.stringify(payload)]
+  );
+  return r.rows.length > 0;
+}
+
+async function claimWebhookJobs() {
+  const r = await pool.query(
+    `
+    UPDATE webhook_deliveries
+    SET status = 'processing', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+    WHERE webhook_id IN (
+      SELECT webhook_id
+      FROM webhook_deliveries
+      WHERE (status = 'pending' AND next_attempt_at <= NOW())
+         OR (status = 'processing' AND locked_at < NOW() - ($1 * INTERVAL '1 millisecond'))
+      ORDER BY next_attempt_at ASC
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING webhook_id, topic, payload, attempts
+  `,
+    [WEBHOOK_LOCK_TIMEOUT_MS, WEBHOOK_BATCH_SIZE]
+  );
+  return r.rows;
+}
+
+async function runWebhookJob(job) {
+  const handler = WEBHOOK_HANDLERS[job.topic];
+
+  try {
+    const outcome = handler ? await handler(job.payload) : `No handler for ${job.topic}`;
+    await pool.query(
+      `
+      UPDATE webhook_deliveries
+      SET status = 'done', result = $2, last_error = NULL, locked_at = NULL, processed_at = NOW(), updated_at = NOW()
+      WHERE webhook_id = $1
+    `,
+      [job.webhook_id, String(outcome || "OK").slice(0, 500)]
+    );
+  } catch (e) {
+    const dead = job.attempts >= WEBHOOK_MAX_ATTEMPTS;
+    console.error(`webhook job ${job.webhook_id} (${job.topic}) attempt ${job.attempts} failed:`, e);
+    await pool.query(
+      `
+      UPDATE webhook_deliveries
+      SET status = $2,
+          last_error = $3,
+          locked_at = NULL,
+          next_attempt_at = NOW() + ($4 * INTERVAL '1 millisecond'),
+          updated_at = NOW()
+      WHERE webhook_id = $1
+    `,
+      [job.webhook_id, dead ? "dead" : "pending", String(e?.message || e).slice(0, 2000), webhookBackoffMs(job.attempts)]
+    );
+  }
+}
+
+async function drainWebhookQueue() {
+  for (;;) {
+    const jobs = await claimWebhookJobs();
+    if (!jobs.length) return;
+    for (const job of jobs) await runWebhookJob(job);
+  }
+}
+
+function startWebhookWorker() {
+  const tick = async () => {
+    try {
+      await drainWebhookQueue();
+    } catch (e) {
+      console.error("webhook worker error:", e);
+    } finally {
+      setTimeout(tick, WEBHOOK_WORKER_INTERVAL_MS).unref();
+    }
+  };
+  setTimeout(tick, WEBHOOK_WORKER_INTERVAL_MS).unref();
+}
+
+function webhookDeliveryFromRow(r) {
+  return {
+    webhook_id: r.webhook_id,
+    topic: r.topic,
+    shop_domain: r.shop_domain,
+    status: r.status,
+    attempts: r.attempts,
+    last_error: r.last_error || null,
+    result: r.result || null,
+    next_attempt_at: r.next_attempt_at ? new Date(r.next_attempt_at).toISOString() : null,
+    created_at: new Date(r.created_at).toISOString(),
+    updated_at: new Date(r.updated_at).toISOString(),
+  };
+}
+
+// ---------- promo campaigns ----------
+// scheduled -> starting -> active -> ending -> ended (or cancelled / missed).
+// Starting adds each product's campaign tags and records in added_tags only
+// the ones the product did not already have; ending removes exactly those,
+// so tags put on by hand or by another campaign survive. Products are
+// "applying" from the moment their added_tags are planned until Shopify has
+// answered, so an interrupted start is finished (or reverted) from the plan.
+const PROMO_SCHEDULER_INTERVAL_MS = Number.parseInt(process.env.PROMO_SCHEDULER_INTERVAL_MS || "", 10) || 60 * 1000;
+const PROMO_LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+const PROMO_MAX_PRODUCTS = 5000;
+
+async function claimPromoCampaigns() {
+  const r = await pool.query(
+    `
+    UPDATE promo_campaigns
+    SET status = CASE WHEN status IN ('scheduled', 'starting') THEN 'starting' ELSE 'ending' END,
+        locked_at = NOW(),
+        updated_at = NOW()
+    WHERE id IN (
+      SELECT id
+      FROM promo_campaigns
+      WHERE (status = 'scheduled' AND starts_at <= NOW())
+         OR (status = 'active' AND ends_at <= NOW())
+         OR (status IN ('starting', 'ending') AND locked_at < NOW() - ($1 * INTERVAL '1 millisecond'))
+      ORDER BY starts_at ASC
+      LIMIT 5
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `,
+    [PROMO_LOCK_TIMEOUT_MS]
+  );
+  return r.rows;
+}
+
+async function finishPromoCampaign(id, status, error = null) {
+  await pool.query(
+    `
+    UPDATE promo_campaigns
+    SET status = $2,
+        error = $3,
+        locked_at = NULL,
+        started_at = CASE WHEN $2 = 'active' THEN NOW() ELSE started_at END,
+        ended_at = CASE WHEN $2 IN ('ended', 'missed') THEN NOW() ELSE ended_at END,
+        updated_at = NOW()
+    WHERE id = $1
+  `,
+    [id, status, error]
+  );
+}
+
+async function startPromoCampaign(c) {
+  const r = await pool.query(
+    `
+    SELECT product_id, tags, added_tags, status
+    FROM promo_campaign_products
+    WHERE campaign_id = $1 AND status IN ('pending', 'applying')
+  `,
+    [c.id]
+  );
+  const interrupted = r.rows.filter((p) => p.status === "applying");
+
+  // The server was down for the whole window; don't tag products after the
+  // fact, but take off whatever an interrupted start may already have added.
+  if (new Date(c.ends_at) <= new Date()) {
+    return interrupted.length ? endPromoCampaign(c) : finishPromoCampaign(c.id, "missed");
+  }
+
+  const pending = r.rows.filter((p) => p.status === "pending");
+  const current = await fetchProductTags(pending.map((p) => p.product_id));
+
+  const planned = pending.map((p) => {
+    const found = current.get(p.product_id);
+    if (!found) return { product_id: p.product_id, status: "not_found", tags: [], error: "Product not found" };
+    const have = new Set(found.tags.map((t) => t.toLowerCase()));
+    const added = p.tags.filter((t) => !have.has(t.toLowerCase()));
+    return { product_id: p.product_id, command: "MERGE", tags: added, status: added.length ? "change" : "unchanged" };
+  });
+
+  // Stored before anything reaches Shopify. A retry after a crash mid-apply
+  // reuses it: re-reading the product would find the campaign's own tags and
+  // record nothing to remove at the end.
+  for (const row of planned) {
+    if (row.status === "not_found") continue;
+    await pool.query(
+      `
+      UPDATE promo_campaign_products
+      SET status = 'applying', added_tags = $3
+      WHERE campaign_id = $1 AND product_id = $2
+    `,
+      [c.id, row.product_id, JSON.stringify(row.tags)]
+    );
+  }
+
+  const rows = [
+    ...planned,
+    ...interrupted.map((p) => ({
+      product_id: p.product_id,
+      command: "MERGE",
+      tags: p.added_tags,
+      status: p.added_tags.length ? "change" : "unchanged",
+    })),
+  ];
+  const results = await applyTagCommands(rows);
+
+  // added_tags keeps the plan on error too: the tags may have landed before
+  // the error, and removing one the product never got is harmless.
+  for (const row of results) {
+    const ok = row.status === "updated" || row.status === "unchanged";
+    await pool.query(
+      `
+      UPDATE promo_campaign_products
+      SET status = $3, error = $4, applied_at = NOW()
+      WHERE campaign_id = $1 AND product_id = $2
+    `,
+      [c.id, row.product_id, ok ? "applied" : "error", row.error || null]
+    );
+  }
+
+  await finishPromoCampaign(c.id, "active");
+  console.log(`promo campaign ${c.id} (${c.name}) started: ${results.length} product(s)`);
+}
+
+async function endPromoCampaign(c) {
+  const r = await pool.query(
+    `
+    SELECT product_id, added_tags
+    FROM promo_campaign_products
+    WHERE campaign_id = $1 AND status IN ('applied', 'applying', 'error') AND added_tags <> '[]'::jsonb
+  `,
+    [c.id]
+  );
+
+  // A tag another running campaign also wants on the product stays; that
+  // campaign takes over removing it.
+  const others = await pool.query(
+    `
+    SELECT p.campaign_id, p.product_id, p.tags
+    FROM promo_campaign_products p
+    JOIN promo_campaigns c ON c.id = p.campaign_id
+    WHERE c.status IN ('starting', 'active') AND c.id <> $1 AND p.status IN ('applied', 'applying')
+      AND p.product_id = ANY($2)
+  `,
+    [c.id, r.rows.map((p) => p.product_id)]
+  );
+
+  const rows = [];
+  for (const p of r.rows) {
+    const remove = [];
+    for (const tag of p.added_tags) {
+      const heir = others.rows.find(
+        (o) => o.product_id === p.product_id && o.tags.some((t) => t.toLowerCase() === tag.toLowerCase())
+      );
+      if (!heir) {
+        remove.push(tag);
+        continue;
+      }
+      await pool.query(
+        `
+        UPDATE promo_campaign_products
+        SET added_tags = added_tags || $3::jsonb
+        WHERE campaign_id = $1 AND product_id = $2
+      `,
+        [heir.campaign_id, p.product_id, JSON.stringify([tag])]
+      );
+    }
+    rows.push({ product_id: p.product_id, command: "DELETE", tags: remove, status: remove.length ? "change" : "unchanged" });
+  }
+  const results = await applyTagCommands(rows);
+
+  for (const row of results) {
+    const ok = row.status === "updated" || row.status === "unchanged";
+    await pool.query(
+      `
+      UPDATE promo_campaign_products
+      SET status = $3, error = $4, reverted_at = NOW()
+      WHERE campaign_id = $1 AND product_id = $2
+    `,
+      [c.id, row.product_id, ok ? "reverted" : "revert_failed", row.error || null]
+    );
+  }
+
+  await finishPromoCampaign(c.id, "ended");
+  console.log(`promo campaign ${c.id} (${c.name}) ended: ${results.length} product(s)`);
+}
+
+async function runPromoScheduler() {
+  for (const c of await claimPromoCampaigns()) {
+    try {
+      if (c.status === "starting") await startPromoCampaign(c);
+      else await endPromoCampaign(c);
+    } catch (e) {
+      // Left in starting/ending; claimed again once the lock times out.
+      console.error(`promo campaign ${c.id} ${c.status} failed:`, e);
+      await pool
+        .query(`UPDATE promo_campaigns SET error = $2, updated_at = NOW() WHERE id = $1`, [
+          c.id,
+          String(e?.message || e).slice(0, 2000),
+        ])
+        .catch(() => {});
+    }
+  }
+}
+
+function startPromoScheduler() {
+  const tick = async () => {
+    try {
+      await runPromoScheduler();
+    } catch (e) {
+      console.error("promo scheduler error:", e);
+    } finally {
+      setTimeout(tick, PROMO_SCHEDULER_INTERVAL_MS).unref();
+    }
+  };
+  setTimeout(tick, PROMO_SCHEDULER_INTERVAL_MS).unref();
+}
+
+// Product set from the request: a tag command CSV (MERGE rows only) or
+// product_ids plus tags. Returns { products: [{ product_id, tags }] } or { error }.
+function promoProductsFromBody(body) {
+  const byId = new Map();
+  const add = (productId, tags) => {
+    const prev = byId.get(productId) || [];
+    const seen = new Set(prev.map((t) => t.toLowerCase()));
+    byId.set(productId, [...prev, ...tags.filter((t) => !seen.has(t.toLowerCase()))]);
+  };
+
+  const csv = (body?.csv || "").toString();
+  if (csv.trim()) {
+    const { commands, errors } = parseTagCommandCsv(csv);
+    if (errors.length) return { error: `Row ${errors[0].row}: ${errors[0].error}` };
+    const bad = commands.find((c) => c.command !== "MERGE");
+    if (bad) return { error: `Row ${bad.row}: campaigns can only add tags (MERGE), not ${bad.command}` };
+    for (const c of commands) add(c.product_id, c.tags);
+  } else {
+    const list = (v) => (Array.isArray(v) ? v : String(v || "").split(",")).map((x) => String(x).trim()).filter(Boolean);
+    const tags = list(body?.tags);
+    if (!tags.length) return { error: "Missing tags" };
+    for (const raw of list(body?.product_ids)) {
+      const id = productGid(raw);
+      if (!id) return { error: `Invalid product ID: ${raw}` };
+      add(id, tags);
+    }
+  }
+
+  if (!byId.size) return { error: "No products" };
+  if (byId.size > PROMO_MAX_PRODUCTS) return { error: `Too many products (max ${PROMO_MAX_PRODUCTS})` };
+  return { products: [...byId].map(([product_id, tags]) => ({ product_id, tags })) };
+}
+
+function promoCampaignFromRow(r) {
+  const ts = (v) => (v ? new Date(v).toISOString() : null);
+  return {
+    id: r.id,
+    name: r.name,
+    status: r.status,
+    error: r.error || null,
+    starts_at: ts(r.starts_at),
+    ends_at: ts(r.ends_at),
+    started_at: ts(r.started_at),
+    ended_at: ts(r.ended_at),
+    created_at: ts(r.created_at),
+    ...(r.product_count != null ? { product_count: Number(r.product_count) } : {}),
+  };
+}
+
+// ---------- recurring list orders ----------
+// A schedule on a saved list places the list's order each time it comes due,
+// as the customer who set it up and through submitOrderPad, so approval rules
+// and notifications apply as if they had pressed the button. Each due time
+// gets one list_schedule_runs row, inserted before the order is placed: a
+// worker that dies mid-run leaves it "running", and the next claim marks it
+// failed rather than risk a second draft.
+//
+// Due times missed while the server was down are made up once, not once per
+// missed occurrence; after a run the schedule moves to its next time after now.
+const SCHEDULE_WORKER_INTERVAL_MS = Number.parseInt(process.env.SCHEDULE_WORKER_INTERVAL_MS || "", 10) || 60 * 1000;
+const SCHEDULE_LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+const SCHEDULE_MIN_GAP_MS = 12 * 60 * 60 * 1000;
+const SCHEDULE_MAX_PER_CUSTOMER = 20;
+const SCHEDULE_TEXT_MAX = 200;
+
+async function claimDueSchedules() {
+  const r = await pool.query(
+    `
+    UPDATE list_schedules
+    SET locked_at = NOW()
+    WHERE id IN (
+      SELECT id
+      FROM list_schedules
+      WHERE NOT paused
+        AND next_run_at <= NOW()
+        AND (locked_at IS NULL OR locked_at < NOW() - ($1 * INTERVAL '1 millisecond'))
+      ORDER BY next_run_at ASC
+      LIMIT 5
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `,
+    [SCHEDULE_LOCK_TIMEOUT_MS]
+  );
+  return r.rows;
+}
+
+// Builds and submits the list's order for one due time. Returns
+// submitOrderPad's result plus po_number and skipped_items, or { ok: false, error }.
+async function placeScheduledOrder(s, dueAt) {
+  const access = await loadListForCustomer(s.customer_id, s.list_id);
+  if (!access) return { ok: false, error: "List not found or no longer shared with you" };
+  const { list } = access;
+
+  const listItems = await fetchListItems(list.id);
+  if (!listItems.length) return { ok: false, error: "List is empty" };
+
+  const ctx = access.ctx || (await getCompanyContext(s.customer_id));
+  if (s.company_location_id && ctx.error) return { ok: false, error: "Could not check the ship-to location" };
+  if (s.company_location_id && !locationIdsOf(ctx).includes(String(s.company_location_id))) {
+    return { ok: false, error: "Ship-to location is no longer one of your company locations" };
+  }
+
+  const companyLocationId = s.company_location_id || list.company_location_id;
+  const resolved = await resolveListItems(listItems, { companyLocationId: toCompanyLocationGid(companyLocationId) });
+  if (resolved.resolve_error) return { ok: false, error: resolved.resolve_error };
+
+  const { lineItems, cartItems, skipped } = draftLinesFromResolved(
+    resolved.items.map((x, i) => ({ ...x, note: listItems[i].note })),
+    { jobsite: list.jobsite }
+  );
+  if (!lineItems.length) {
+    return { ok: false, error: "None of the SKUs in this list could be matched to a product.", skipped_items: skipped };
+  }
+
+  const company = submissionCompany(ctx, companyLocationId);
+  const location = company?.locations.find((l) => l.id === String(companyLocationId));
+  const poNumber = renderPoTemplate(s.po_template, { date: dueAt, timeZone: s.timezone, listName: list.name });
+
+  const result = await submitOrderPad({
+    customerId: String(s.customer_id),
+    fields: {
+      note: "",
+      companyName: company?.name || "",
+      locationName: location?.name || "",
+      customerEmail: "",
+      poNumber,
+      siteContactName: s.site_contact_name,
+      siteContactPhone: s.site_contact_phone,
+      poFileUrl: "",
+    },
+    source: "schedule",
+    listId: list.id,
+    companyLocationId,
+    lineItems,
+    cartItems,
+    extra: {
+      list_id: list.id,
+      list_name: list.name,
+      ...(list.jobsite ? { jobsite: list.jobsite } : {}),
+      schedule_id: s.id,
+      due_at: dueAt.toISOString(),
+      skipped_items: skipped,
+    },
+  });
+  return { ...result, po_number: poNumber, skipped_items: skipped };
+}
+
+async function finishScheduleRun(runId, result) {
+  const status = !result.ok ? "failed" : result.pending_approval ? "pending_approval" : "draft_created";
+  await pool.query(
+    `
+    UPDATE list_schedule_runs
+    SET status = $2,
+        po_number = $3,
+        submission_id = $4,
+        draft_order_id = $5,
+        draft_order_name = $6,
+        skipped_items = $7,
+        error = $8,
+        finished_at = NOW()
+    WHERE id = $1
+  `,
+    [
+      runId,
+      status,
+      result.po_number || "",
+      result.submission_id || null,
+      result.draft_order_id || null,
+      result.draft_order_name || null,
+      JSON.stringify(result.skipped_items || []),
+      result.ok ? null : result.error || "Draft order not created",
+    ]
+  );
+}
+
+async function runSchedule(s) {
+  const dueAt = new Date(s.next_run_at);
+
+  const ins = await pool.query(
+    `
+    INSERT INTO list_schedule_runs (schedule_id, due_at, status, finished_at)
+    VALUES ($1, $2, $3, CASE WHEN $3 = 'skipped' THEN NOW() END)
+    ON CONFLICT (schedule_id, due_at) DO NOTHING
+    RETURNING id
+  `,
+    [s.id, dueAt, s.skip_next ? "skipped" : "running"]
+  );
+  const runId = ins.rows[0]?.id;
+
+  if (!runId) {
+    // Claimed before and never finished; the order may or may not exist.
+    await pool.query(
+      `
+      UPDATE list_schedule_runs
+      SET status = 'failed', error = $3, finished_at = NOW()
+      WHERE schedule_id = $1 AND due_at = $2 AND status = 'running'
+    `,
+      [s.id, dueAt, "Interrupted before finishing; not retried in case the order was already placed"]
+    );
+  } else if (!s.skip_next) {
+    let result;
+    try {
+      result = await placeScheduledOrder(s, dueAt);
+    } catch (e) {
+      console.error(`list schedule ${s.id} run failed:`, e);
+      result = { ok: false, error: "Server error" };
+    }
+    await finishScheduleRun(runId, result);
+  }
+
+  // An edit while the run was in flight already set the next time; keep it.
+  // dueAt went through a JS Date, so compare at millisecond precision.
+  const next = nextRunAt(s.cron, s.timezone, new Date(Math.max(Date.now(), dueAt.getTime())));
+  await pool.query(
+    `
+    UPDATE list_schedules
+    SET next_run_at = CASE WHEN date_trunc('milliseconds', next_run_at) = $3 THEN $2 ELSE next_run_at END,
+        skip_next = skip_next AND NOT $4,
+        last_run_at = NOW(),
+        locked_at = NULL,
+        updated_at = NOW()
+    WHERE id = $1
+  `,
+    [s.id, next, dueAt, s.skip_next]
+  );
+}
+
+async function runDueSchedules() {
+  for (;;) {
+    const due = await claimDueSchedules();
+    if (!due.length) return;
+    for (const s of due) {
+      try {
+        await runSchedule(s);
+      } catch (e) {
+        // Left locked; claimed again once the lock times out.
+        console.error(`list schedule ${s.id} failed:`, e);
+      }
+    }
+  }
+}
+
+function startScheduleWorker() {
+  const tick = async () => {
+    try {
+      await runDueSchedules();
+    } catch (e) {
+      console.error("schedule worker error:", e);
+    } finally {
+      setTimeout(tick, SCHEDULE_WORKER_INTERVAL_MS).unref();
+    }
+  };
+  setTimeout(tick, SCHEDULE_WORKER_INTERVAL_MS).unref();
+}
+
+// Schedule columns from the request, on top of `existing` for an edit.
+// Weekly/monthly timing fields not sent keep their stored values. Returns
+// { values, timingChanged, next } (next: the first due time from now) or { error }.
+async function scheduleFromBody(body, customerId, existing = null) {
+  const b = body || {};
+  const has = (k) => b[k] != null && String(b[k]).trim() !== "";
+  const prev = existing
+    ? { frequency: existing.frequency, cron: existing.cron, ...scheduleFields(existing.frequency, existing.cron) }
+    : {};
+
+  const frequency = has("frequency") ? String(b.frequency).trim().toLowerCase() : prev.frequency;
+  const { cron, error } = scheduleCron({
+    frequency,
+    weekdays: has("weekdays") ? b.weekdays : prev.weekdays,
+    day_of_month: has("day_of_month") ? b.day_of_month : prev.day_of_month,
+    time: has("time") ? b.time : prev.time,
+    cron: has("cron") ? b.cron : prev.cron,
+  });
+  if (error) return { error };
+
+  const timezone = has("timezone") ? String(b.timezone).trim() : existing?.timezone || "UTC";
+  if (!isValidTimeZone(timezone)) return { error: `Unknown timezone: ${timezone}` };
+
+  const runs = upcomingRuns(cron, timezone, new Date(), 10);
+  if (!runs.length) return { error: "Schedule never comes due" };
+  if (runs.some((t, i) => i > 0 && t - runs[i - 1] < SCHEDULE_MIN_GAP_MS)) {
+    return { error: `Schedules can run at most every ${SCHEDULE_MIN_GAP_MS / 3600000} hours` };
+  }
+
+  const text = (k) => (b[k] != null ? String(b[k]).trim() : existing?.[k] || "");
+  const values = {
+    frequency,
+    cron,
+    timezone,
+    po_template: text("po_template"),
+    site_contact_name: text("site_contact_name"),
+    site_contact_phone: text("site_contact_phone"),
+    company_location_id: existing?.company_location_id == null ? null : String(existing.company_location_id),
+  };
+  for (const k of ["po_template", "site_contact_name", "site_contact_phone"]) {
+    if (values[k].length > SCHEDULE_TEXT_MAX) return { error: `${k} is too long (max ${SCHEDULE_TEXT_MAX})` };
+  }
+
+  if (b.company_location_id != null) {
+    const location = await checkedCompanyLocation(customerId, b.company_location_id);
+    if (location.error) return { error: location.error };
+    values.company_location_id = location.companyLocationId;
+  }
+
+  const timingChanged = !existing || existing.cron !== cron || existing.timezone !== timezone;
+  return { values, timingChanged, next: runs[0] };
+}
+
+async function loadScheduleForCustomer(customerId, scheduleIdRaw) {
+  const scheduleId = (scheduleIdRaw || "").toString().trim();
+  if (!UUID_RE.test(scheduleId)) return null;
+
+  const r = await pool.query(
+    `
+    SELECT s.*, l.name AS list_name
+    FROM list_schedules s
+    JOIN lists l ON l.id = s.list_id
+    WHERE s.id = $1 AND s.customer_id = $2
+  `,
+    [scheduleId, customerId]
+  );
+  return r.rows[0] || null;
+}
+
+function scheduleFromRow(r) {
+  const ms = (v) => (v ? String(new Date(v).getTime()) : null);
+  const next = r.paused || !r.next_run_at ? null : new Date(r.next_run_at);
+  const upcoming = next ? [next, ...upcomingRuns(r.cron, r.timezone, next, 2)] : [];
+  return {
+    id: r.id,
+    list_id: r.list_id,
+    list_name: r.list_name ?? null,
+    frequency: r.frequency,
+    cron: r.cron,
+    ...scheduleFields(r.frequency, r.cron),
+    timezone: r.timezone,
+    po_template: r.po_template,
+    site_contact_name: r.site_contact_name,
+    site_contact_phone: r.site_contact_phone,
+    company_location_id: r.company_location_id == null ? null : String(r.company_location_id),
+    paused: r.paused,
+    skip_next: r.skip_next,
+    next_run_at: r.paused ? null : ms(r.next_run_at),
+    upcoming: upcoming.map(ms),
+    last_run_at: ms(r.last_run_at),
+    ...(r.last_run_status !== undefined ? { last_run_status: r.last_run_status } : {}),
+    created_at: ms(r.created_at),
+    updated_at: ms(r.updated_at),
+  };
+}
+
+// A pending_approval run gets its draft when the submission is approved, so
+// the draft comes from the submission when the run has none.
+function scheduleRunFromRow(r) {
+  const ms = (v) => (v ? String(new Date(v).getTime()) : null);
+  return {
+    id: r.id,
+    schedule_id: r.schedule_id,
+    due_at: ms(r.due_at),
+    status: r.status,
+    po_number: r.po_number,
+    submission_id: r.submission_id || null,
+    submission_status: r.submission_status || null,
+    draft_order_id: r.draft_order_id || r.submission_draft_order_id || null,
+    draft_order_name: r.draft_order_name || r.submission_draft_order_name || null,
+    skipped_items: r.skipped_items || [],
+    error: r.error || null,
+    created_at: ms(r.created_at),
+    finished_at: ms(r.finished_at),
+  };
+}
+
+// ---------- notifications ----------
+// Submission events (submitted, pending_approval, draft_created, failed) are
+// rendered into one message per recipient and queued in notifications; the
+// worker sends them with the webhook queue's backoff schedule. Recipients come
+// from NOTIFY_* env (store-wide) and the company's notification_settings.
+const NOTIFY_WORKER_INTERVAL_MS = Number.parseInt(process.env.NOTIFY_WORKER_INTERVAL_MS || "", 10) || 5000;
+const NOTIFY_MAX_ATTEMPTS = 6;
+const NOTIFY_BATCH_SIZE = 10;
+const NOTIFY_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const NOTIFY_DEFAULT_EVENTS = (process.env.NOTIFY_EVENTS || "pending_approval,draft_created,failed")
+  .split(",")
+  .map((x) => x.trim())
+  .filter(Boolean);
+
+// Recipient: { transport: "email" | "webhook", to, format?, events? }. For
+// email, to "customer" means the submitting customer's email address.
+function envNotificationRecipients() {
+  const out = [];
+  for (const to of (process.env.NOTIFY_EMAILS || "").split(",").map((x) => x.trim()).filter(Boolean)) {
+    out.push({ transport: "email", to, events: NOTIFY_DEFAULT_EVENTS });
+  }
+  if (process.env.NOTIFY_WEBHOOK_URL) {
+    out.push({
+      transport: "webhook",
+      to: process.env.NOTIFY_WEBHOOK_URL,
+      format: process.env.NOTIFY_WEBHOOK_FORMAT || "slack",
+      events: NOTIFY_DEFAULT_EVENTS,
+    });
+  }
+  return out;
+}
+
+function normalizeNotificationRecipients(raw) {
+  if (!Array.isArray(raw)) return { error: "recipients must be an array" };
+  const out = [];
+  for (const r of raw) {
+    const transport = (r?.transport || "").toString();
+    const to = (r?.to || "").toString().trim();
+    if (!["email", "webhook"].includes(transport)) return { error: "transport must be email or webhook" };
+    if (transport === "email" && to !== "customer" && !/^[^\s@]+@[^\s@]+$/.test(to)) {
+      return { error: `Invalid email recipient: ${to}` };
+    }
+    if (transport === "webhook" && !/^https?:\/\//.test(to)) return { error: `Invalid webhook URL: ${to}` };
+    const events = Array.isArray(r?.events) ? r.events.map(String) : NOTIFY_DEFAULT_EVENTS;
+    const unknown = events.find((e) => !NOTIFY_EVENTS.includes(e));
+    if (unknown) return { error: `Unknown event: ${unknown}` };
+    out.push({ transport, to, ...(transport === "webhook" ? { format: r?.format === "json" ? "json" : "slack" } : {}), events });
+  }
+  return { recipients: out };
+}
+
+function notificationSettingsFromRow(r) {
+  return {
+    company_id: String(r.company_id),
+    recipients: r.recipients || [],
+    templates: r.templates || {},
+    include_defaults: !!r.include_defaults,
+    updated_at: r.updated_at ? new Date(r.updated_at).toISOString() : null,
+  };
+}
+
+// Renders and queues event for the submission. Never throws: a notification
+// problem must not fail the order.
+async function queueSubmissionNotifications(submissionId, event) {
+  if (!submissionId) return;
+  try {
+    const r = await pool.query(
+      `
+      SELECT s.*, to_jsonb(ns) AS settings
+      FROM order_pad_submissions s
+      LEFT JOIN notification_settings ns ON ns.company_id = s.company_id
+      WHERE s.id = $1
+    `,
+      [submissionId]
+    );
+    const sub = r.rows[0];
+    if (!sub) return;
+
+    const settings = sub.settings;
+    const recipients = [
+      ...(!settings || settings.include_defaults ? envNotificationRecipients() : []),
+      ...(settings?.recipients || []),
+    ].filter((x) => (x.events || NOTIFY_DEFAULT_EVENTS).includes(event));
+    if (!recipients.length) return;
+
+    const template = { ...DEFAULT_TEMPLATES[event], ...(settings?.templates?.[event] || {}) };
+    const vars = templateVars(
+      { ...submissionFromRow(sub), customer_email: sub.customer_email },
+      { storeDomain: SHOPIFY_STORE_DOMAIN }
+    );
+    const subject = renderTemplate(template.subject, vars);
+    const body = renderTemplate(template.body, vars);
+    const data = { submission_id: sub.id, status: sub.status, ...vars };
+
+    for (const x of recipients) {
+      const to = x.transport === "email" && x.to === "customer" ? sub.customer_email : x.to;
+      if (!to) continue;
+      await pool.query(
+        `
+        INSERT INTO notifications (submission_id, event, transport, recipient, format, subject, body, data)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `,
+        [sub.id, event, x.transport, to, x.format || null, subject, body, JSON.stringify(data)]
+      );
+    }
+  } catch (e) {
+    console.error(`Queueing ${event} notifications for ${submissionId} failed:`, e);
+  }
+}
+
+async function claimNotifications() {
+  const r = await pool.query(
+    `
+    UPDATE notifications
+    SET status = 'sending', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+    WHERE id IN (
+      SELECT id
+      FROM notifications
+      WHERE (status = 'pending' AND next_attempt_at <= NOW())
+         OR (status = 'sending' AND locked_at < NOW() - ($1 * INTERVAL '1 millisecond'))
+      ORDER BY next_attempt_at ASC
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `,
+    [NOTIFY_LOCK_TIMEOUT_MS, NOTIFY_BATCH_SIZE]
+  );
+  return r.rows;
+}
+
+async function runNotificationJob(job) {
+  try {
+    const result = await sendNotification({
+      transport: job.transport,
+      recipient: job.recipient,
+      format: job.format,
+      event: job.event,
+      subject: job.subject,
+      body: job.body,
+      data: job.data,
+    });
+    await pool.query(
+      `
+      UPDATE notifications
+      SET status = 'sent', result = $2, last_error = NULL, locked_at = NULL, sent_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `,
+      [job.id, String(result || "sent").slice(0, 500)]
+    );
+  } catch (e) {
+    const dead = job.attempts >= NOTIFY_MAX_ATTEMPTS;
+    console.error(`notification ${job.id} (${job.transport} ${job.event}) attempt ${job.attempts} failed:`, e.message || e);
+    await pool.query(
+      `
+      UPDATE notifications
+      SET status = $2,
+          last_error = $3,
+          locked_at = NULL,
+          next_attempt_at = NOW() + ($4 * INTERVAL '1 millisecond'),
+          updated_at = NOW()
+      WHERE id = $1
+    `,
+      [job.id, dead ? "dead" : "pending", String(e?.message || e).slice(0, 2000), webhookBackoffMs(job.attempts)]
+    );
+  }
+}
+
+async function drainNotificationQueue() {
+  for (;;) {
+    const jobs = await claimNotifications();
+    if (!jobs.length) return;
+    for (const job of jobs) await runNotificationJob(job);
+  }
+}
+
+function startNotificationWorker() {
+  const tick = async () => {
+    try {
+      await drainNotificationQueue();
+    } catch (e) {
+      console.error("notification worker error:", e);
+    } finally {
+      setTimeout(tick, NOTIFY_WORKER_INTERVAL_MS).unref();
+    }
+  };
+  setTimeout(tick, NOTIFY_WORKER_INTERVAL_MS).unref();
+}
+
+function notificationFromRow(r) {
+  return {
+    id: r.id,
+    submission_id: r.submission_id,
+    event: r.event,
+    transport: r.transport,
+    recipient: r.recipient,
+    subject: r.subject,
+    status: r.status,
+    attempts: r.attempts,
+    last_error: r.last_error || null,
+    result: r.result || null,
+    sent_at: r.sent_at ? new Date(r.sent_at).toISOString() : null,
+    created_at: new Date(r.created_at).toISOString(),
+  };
+}
+
+// ---------- admin auth ----------
+// Admin routes accept either ADMIN_API_KEY (as "Authorization: Bearer <key>"
+// or X-Admin-Key) or, when the dashboard runs embedded in Shopify admin, an
+// App Bridge session token (HS256 JWT signed with the app secret).
+const SESSION_TOKEN_LEEWAY_S = 10;
+
+function safeEqual(a, b) {
+  const x = crypto.createHash("sha256").update(String(a)).digest();
+  const y = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(x, y);
+}
+
+function verifySessionToken(token) {
+  if (!SHOPIFY_APP_SECRET || !SHOPIFY_API_KEY) return null;
+
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
+  const [h, p, sig] = parts;
+
+  const expected = crypto.createHmac("sha256", SHOPIFY_APP_SECRET).update(`${h}.${p}`).digest("base64url");
+  if (!safeEqual(expected, sig)) return null;
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(h, "base64url").toString("utf8"));
+    payload = JSON.parse(Buffer.from(p, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (header?.alg !== "HS256") return null;
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!(payload?.exp > now - SESSION_TOKEN_LEEWAY_S)) return null;
+  if (payload.nbf && payload.nbf > now + SESSION_TOKEN_LEEWAY_S) return null;
+  if (payload.aud !== SHOPIFY_API_KEY) return null;
+
+  if (SHOPIFY_STORE_DOMAIN) {
+    let host = "";
+    try {
+      host = new URL(payload.dest).host;
+    } catch {}
+    if (host !== SHOPIFY_STORE_DOMAIN) return null;
+  }
+
+  return payload;
+}
+
+function requireAdmin(req, res, next) {
+  const auth = (req.get("Authorization") || "").toString();
+  const provided = auth.startsWith("Bearer ") ? auth.slice(7).trim() : (req.get("X-Admin-Key") || "").toString();
+  if (!provided) return json(res, 401, { ok: false, error: "Unauthorized" });
+
+  if (ADMIN_API_KEY && safeEqual(provided, ADMIN_API_KEY)) {
+    req.admin = { via: "api_key", user: null };
+    return next();
+  }
+
+  const session = verifySessionToken(provided);
+  if (session) {
+    req.admin = { via: "session_token", user: session.sub || null };
+    return next();
+  }
+
+  if (!ADMIN_API_KEY && !SHOPIFY_API_KEY) {
+    return json(res, 503, { ok: false, error: "Admin API disabled (set ADMIN_API_KEY or SHOPIFY_API_KEY)" });
+  }
+  return json(res, 401, { ok: false, error: "Unauthorized" });
+}
+
+// ---------- routes ----------
+if (poStorage.name === "local") {
+  app.use("/uploads/po", express.static(PO_UPLOAD_DIR, { index: false, dotfiles: "deny" }));
+}
+
+app.get("/health", (req, res) => json(res, 200, { ok: true, ts: nowIso() }));
+
+app.get("/proxy-ping/proxy", (req, res) =>
+  json(res, 200, {
+    ok: true,
+    pong: true,
+    shop: req.query.shop || null,
+    path_prefix: req.query.path_prefix || null,
+    ts: nowIso(),
+  })
+);
+
+// ---------- admin: CSR dashboard ----------
+// The page itself is public; everything it loads goes through requireAdmin.
+const ADMIN_DASHBOARD_FILE = fileURLToPath(new URL("./admin/dashboard.html", import.meta.url));
+
+app.get("/admin", (req, res) => res.sendFile(ADMIN_DASHBOARD_FILE));
+
+async function searchShopifyCustomers(q) {
+  const data = await shopifyGql(
+    `
+    query SearchCustomers($q: String!) {
+      customers(first: 10, query: $q) {
+        edges {
+          node {
+            id
+            email
+            displayName
+          }
+        }
+      }
+    }
+  `,
+    { q }
+  );
+  return (data?.customers?.edges || []).map((e) => ({
+    id: numericIdFromGid(e.node.id),
+    email: e.node.email || null,
+    name: e.node.displayName || null,
+  }));
+}
+
+async function searchShopifyCompanies(q) {
+  const data = await shopifyGql(
+    `
+    query SearchCompanies($q: String!) {
+      companies(first: 10, query: $q) {
+        edges {
+          node {
+            id
+            name
+          }
+        }
+      }
+    }
+  `,
+    { q }
+  );
+  return (data?.companies?.edges || []).map((e) => ({ id: numericIdFromGid(e.node.id), name: e.node.name || "" }));
+}
+
+// q is a customer id, an email address, or a name to match against customers
+// and B2B companies. Results carry how many lists each one owns.
+app.get("/admin/search", requireAdmin, async (req, res) => {
+  try {
+    const q = (req.query.q || "").toString().trim();
+    if (!q) return json(res, 400, { ok: false, error: "Missing q" });
+
+    let customers = [];
+    let companies = [];
+
+    if (/^\d+$/.test(q)) {
+      customers = [{ id: q, email: null, name: null }];
+    } else if (q.includes("@")) {
+      customers = await searchShopifyCustomers(`email:${JSON.stringify(q)}`);
+    } else {
+      [customers, companies] = await Promise.all([
+        searchShopifyCustomers(q),
+        searchShopifyCompanies(q),
+      ]);
+    }
+
+    const counts = await pool.query(
+      `
+      SELECT 'customer' AS kind, customer_id AS id, COUNT(*) AS n
+      FROM lists
+      WHERE owner_type = 'customer' AND customer_id = ANY($1::bigint[])
+      GROUP BY customer_id
+      UNION ALL
+      SELECT 'company', company_id, COUNT(*)
+      FROM lists
+      WHERE company_id = ANY($2::bigint[])
+      GROUP BY company_id
+    `,
+      [customers.map((c) => c.id), companies.map((c) => c.id)]
+    );
+    const countOf = (kind, id) =>
+      Number(counts.rows.find((r) => r.kind === kind && String(r.id) === String(id))?.n || 0);
+
+    return json(res, 200, {
+      ok: true,
+      customers: customers.map((c) => ({ ...c, list_count: countOf("customer", c.id) })),
+      companies: companies.map((c) => ({ ...c, list_count: countOf("company", c.id) })),
+    });
+  } catch (e) {
+    console.error("Admin search failed:", e);
+    return json(res, 500, { ok: false, error: e.message || "Search failed" });
+  }
+});
+
+// Company lists are not tied to one customer, so they get their own listing.
+app.get("/admin/companies/:companyId/lists", requireAdmin, async (req, res) => {
+  try {
+    const companyId = normalizeCustomerId(req.params.companyId);
+    if (!companyId) return json(res, 400, { ok: false, error: "Invalid company id" });
+
+    const r = await pool.query(
+      `
+      SELECT l.id, l.name, l.customer_id, l.owner_type, l.company_id, l.company_location_id, l.version,
+             l.description, l.jobsite, l.pinned, l.color, l.label,
+             EXTRACT(EPOCH FROM l.updated_at) * 1000 AS updated_at_ms,
+             (SELECT COUNT(*) FROM list_items li WHERE li.list_id = l.id) AS item_count
+      FROM lists l
+      WHERE l.company_id = $1
+      ORDER BY l.pinned DESC, l.updated_at DESC
+    `,
+      [companyId]
+    );
+
+    return json(res, 200, {
+      ok: true,
+      lists: r.rows.map((x) => ({
+        id: x.id,
+        name: x.name,
+        created_by: String(x.customer_id),
+        owner_type: x.owner_type,
+        company_location_id: x.company_location_id == null ? null : String(x.company_location_id),
+        version: x.version,
+        ...listMetaFields(x),
+        updated_at: x.updated_at_ms ? String(Math.trunc(x.updated_at_ms)) : null,
+        item_count: Number(x.item_count || 0),
+      })),
+    });
+  } catch (e) {
+    console.error("Admin company lists failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// Runs a proxy action as the given customer, e.g.
+//   GET  /admin/customers/123/actions/get?list_id=...
+//   POST /admin/customers/123/actions/setqty  { list_id, sku, quantity, version }
+app.all("/admin/customers/:customerId/actions/:action", requireAdmin, parseMultipartUpload, async (req, res) => {
+  try {
+    const customerId = normalizeCustomerId(req.params.customerId);
+    if (!customerId) return json(res, 400, { ok: false, error: "Invalid customer id" });
+
+    const { action } = req.params;
+    const method = req.method.toUpperCase();
+    if (!ADMIN_ACTIONS.includes(action) || !PROXY_ACTIONS[action].includes(method)) {
+      return json(res, 400, { ok: false, error: `Unsupported action/method. action=${action} method=${method}` });
+    }
+
+    if (method !== "GET") {
+      console.log(`admin ${req.admin.via}${req.admin.user ? ` (${req.admin.user})` : ""}: ${action} for customer ${customerId}`);
+    }
+    return await runListAction(action, customerId, req, res);
+  } catch (e) {
+    console.error("Admin action error:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+app.get("/admin/submissions", requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit || "50", 10) || 50, 1), 200);
+    const offset = Math.max(Number.parseInt(req.query.offset || "0", 10) || 0, 0);
+
+    const where = [];
+    const params = [];
+    const customerId = normalizeCustomerId(req.query.customer_id);
+    if (customerId) {
+      params.push(customerId);
+      where.push(`customer_id = $${params.length}`);
+    }
+    const status = (req.query.status || "").toString().trim();
+    if (status) {
+      params.push(status);
+      where.push(`status = $${params.length}`);
+    }
+    const q = (req.query.q || "").toString().trim();
+    if (q) {
+      params.push(`%${q.replace(/[\\%_]/g, "\\$&")}%`);
+      where.push(
+        `(po_number ILIKE $${params.length} OR company_name ILIKE $${params.length} OR customer_email ILIKE $${params.length} OR draft_order_name ILIKE $${params.length})`
+      );
+    }
+
+    params.push(limit + 1, offset);
+    const r = await pool.query(
+      `
+      SELECT *
+      FROM order_pad_submissions
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `,
+      params
+    );
+
+    const page = r.rows.slice(0, limit);
+    const events = await fetchApprovalEvents(page.map((row) => row.id));
+    return json(res, 200, {
+      ok: true,
+      submissions: page.map((row) => ({
+        ...submissionFromRow(row),
+        customer_id: String(row.customer_id),
+        customer_email: row.customer_email,
+        approval_events: events.get(row.id) || [],
+      })),
+      has_more: r.rows.length > limit,
+    });
+  } catch (e) {
+    console.error("Admin submissions failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// ---------- admin: webhook subscriptions ----------
+// Dry run: current subscriptions diffed against WEBHOOK_SUBSCRIPTIONS.
+app.get("/admin/webhook-subscriptions", requireAdmin, async (req, res) => {
+  try {
+    const plan = await planWebhookSync(PUBLIC_BASE_URL);
+    return json(res, 200, { ok: true, plan });
+  } catch (e) {
+    console.error("Webhook sync plan failed:", e);
+    return json(res, 500, { ok: false, error: e.message || "Webhook sync plan failed" });
+  }
+});
+
+app.post("/admin/webhook-subscriptions/sync", requireAdmin, async (req, res) => {
+  try {
+    const results = await applyWebhookSync(await planWebhookSync(PUBLIC_BASE_URL));
+    return json(res, 200, { ok: !results.some((s) => s.error), results });
+  } catch (e) {
+    console.error("Webhook sync failed:", e);
+    return json(res, 500, { ok: false, error: e.message || "Webhook sync failed" });
+  }
+});
+
+// ---------- admin: webhook queue ----------
+app.get("/admin/webhooks", requireAdmin, async (req, res) => {
+  try {
+    const status = (req.query.status || "dead").toString().trim();
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit || "50", 10) || 50, 1), 500);
+
+    const r = await pool.query(
+      `
+      SELECT webhook_id, topic, shop_domain, status, attempts, last_error, result, next_attempt_at, created_at, updated_at
+      FROM webhook_deliveries
+      WHERE status = $1
+      ORDER BY updated_at DESC
+      LIMIT $2
+    `,
+      [status, limit]
+    );
+
+    return json(res, 200, { ok: true, deliveries: r.rows.map(webhookDeliveryFromRow) });
+  } catch (e) {
+    console.error("List webhook deliveries failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+app.post("/admin/webhooks/:id/replay", requireAdmin, async (req, res) => {
+  try {
+    const r = await pool.query(
+      `
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_at = NULL, updated_at = NOW()
+      WHERE webhook_id = $1 AND status <> 'processing'
+      RETURNING webhook_id
+    `,
+      [req.params.id]
+    );
+
+    if (!r.rows.length) return json(res, 404, { ok: false, error: "Delivery not found or in progress" });
+    return json(res, 200, { ok: true, webhook_id: r.rows[0].webhook_id });
+  } catch (e) {
+    console.error("Replay webhook failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// ---------- admin: compliance requests ----------
+app.get("/admin/compliance", requireAdmin, async (req, res) => {
+  try {
+    const r = await pool.query(
+      `
+      SELECT id, topic, shop_domain, customer_id, created_at, export IS NOT NULL AS has_export
+      FROM compliance_requests
+      ORDER BY created_at DESC
+      LIMIT 200
+    `
+    );
+    return json(res, 200, { ok: true, requests: r.rows });
+  } catch (e) {
+    console.error("List compliance requests failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// The customers/data_request export, to hand to the store owner.
+app.get("/admin/compliance/:id", requireAdmin, async (req, res) => {
+  try {
+    if (!UUID_RE.test(req.params.id)) return json(res, 404, { ok: false, error: "Not found" });
+    const r = await pool.query(`SELECT * FROM compliance_requests WHERE id = $1`, [req.params.id]);
+    if (!r.rows.length) return json(res, 404, { ok: false, error: "Not found" });
+    return json(res, 200, { ok: true, request: r.rows[0] });
+  } catch (e) {
+    console.error("Get compliance request failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// ---------- admin: approval rules ----------
+app.get("/admin/companies/:companyId/approval-rules", requireAdmin, async (req, res) => {
+  try {
+    const companyId = normalizeCustomerId(req.params.companyId);
+    if (!companyId) return json(res, 400, { ok: false, error: "Invalid company id" });
+    const rules = await loadApprovalRules(companyId);
+    return json(res, 200, { ok: true, rules: rules ? approvalRulesFromRow(rules) : null });
+  } catch (e) {
+    console.error("Get approval rules failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// Body: { max_total, product_tags, require_po, approver_ids }. Replaces the
+// company's rules; DELETE removes them.
+app.put("/admin/companies/:companyId/approval-rules", requireAdmin, async (req, res) => {
+  try {
+    const companyId = normalizeCustomerId(req.params.companyId);
+    if (!companyId) return json(res, 400, { ok: false, error: "Invalid company id" });
+
+    const list = (v) => (Array.isArray(v) ? v : String(v || "").split(",")).map((x) => String(x).trim()).filter(Boolean);
+    const rawMax = req.body?.max_total;
+    const maxTotal = rawMax == null || rawMax === "" ? null : Number(rawMax);
+    if (maxTotal != null && !(Number.isFinite(maxTotal) && maxTotal >= 0)) {
+      return json(res, 400, { ok: false, error: "max_total must be a non-negative number" });
+    }
+    const approverIds = list(req.body?.approver_ids);
+    if (approverIds.some((id) => !normalizeCustomerId(id))) {
+      return json(res, 400, { ok: false, error: "approver_ids must be customer ids" });
+    }
+
+    const r = await pool.query(
+      `
+      INSERT INTO approval_rules (company_id, max_total, product_tags, require_po, approver_ids, updated_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      ON CONFLICT (company_id) DO UPDATE
+      SET max_total = EXCLUDED.max_total,
+          product_tags = EXCLUDED.product_tags,
+          require_po = EXCLUDED.require_po,
+          approver_ids = EXCLUDED.approver_ids,
+          updated_at = NOW()
+      RETURNING *
+    `,
+      [
+        companyId,
+        maxTotal,
+        JSON.stringify(list(req.body?.product_tags)),
+        ["1", "true"].includes(String(req.body?.require_po ?? "").toLowerCase()),
+        JSON.stringify(approverIds),
+      ]
+    );
+    console.log(`admin ${req.admin.via}: approval rules for company ${companyId}`);
+    return json(res, 200, { ok: true, rules: approvalRulesFromRow(r.rows[0]) });
+  } catch (e) {
+    console.error("Save approval rules failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+app.delete("/admin/companies/:companyId/approval-rules", requireAdmin, async (req, res) => {
+  try {
+    const companyId = normalizeCustomerId(req.params.companyId);
+    if (!companyId) return json(res, 400, { ok: false, error: "Invalid company id" });
+    await pool.query(`DELETE FROM approval_rules WHERE company_id = $1`, [companyId]);
+    return json(res, 200, { ok: true });
+  } catch (e) {
+    console.error("Delete approval rules failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// ---------- admin: notifications ----------
+app.get("/admin/companies/:companyId/notifications", requireAdmin, async (req, res) => {
+  try {
+    const companyId = normalizeCustomerId(req.params.companyId);
+    if (!companyId) return json(res, 400, { ok: false, error: "Invalid company id" });
+    const r = await pool.query(`SELECT * FROM notification_settings WHERE company_id = $1`, [companyId]);
+    return json(res, 200, {
+      ok: true,
+      settings: r.rows[0] ? notificationSettingsFromRow(r.rows[0]) : null,
+      defaults: { recipients: envNotificationRecipients(), templates: DEFAULT_TEMPLATES },
+    });
+  } catch (e) {
+    console.error("Get notification settings failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// Body: { recipients: [{ transport, to, format?, events? }],
+//         templates: { <event>: { subject?, body? } }, include_defaults }.
+app.put("/admin/companies/:companyId/notifications", requireAdmin, async (req, res) => {
+  try {
+    const companyId = normalizeCustomerId(req.params.companyId);
+    if (!companyId) return json(res, 400, { ok: false, error: "Invalid company id" });
+
+    const parsed = normalizeNotificationRecipients(req.body?.recipients || []);
+    if (parsed.error) return json(res, 400, { ok: false, error: parsed.error });
+
+    const templates = {};
+    for (const [event, t] of Object.entries(req.body?.templates || {})) {
+      if (!NOTIFY_EVENTS.includes(event)) return json(res, 400, { ok: false, error: `Unknown event: ${event}` });
+      templates[event] = {
+        ...(t?.subject ? { subject: String(t.subject).slice(0, 500) } : {}),
+        ...(t?.body ? { body: String(t.body).slice(0, 10000) } : {}),
+      };
+    }
+
+    const r = await pool.query(
+      `
+      INSERT INTO notification_settings (company_id, recipients, templates, include_defaults, updated_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      ON CONFLICT (company_id) DO UPDATE
+      SET recipients = EXCLUDED.recipients,
+          templates = EXCLUDED.templates,
+          include_defaults = EXCLUDED.include_defaults,
+          updated_at = NOW()
+      RETURNING *
+    `,
+      [companyId, JSON.stringify(parsed.recipients), JSON.stringify(templates), req.body?.include_defaults !== false]
+    );
+    console.log(`admin ${req.admin.via}: notification settings for company ${companyId}`);
+    return json(res, 200, { ok: true, settings: notificationSettingsFromRow(r.rows[0]) });
+  } catch (e) {
+    console.error("Save notification settings failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+app.get("/admin/notifications", requireAdmin, async (req, res) => {
+  try {
+    const params = [];
+    const where = [];
+    const status = (req.query.status || "").toString().trim();
+    if (status) {
+      params.push(status);
+      where.push(`status = $${params.length}`);
+    }
+    if (UUID_RE.test((req.query.submission_id || "").toString())) {
+      params.push(req.query.submission_id);
+      where.push(`submission_id = $${params.length}`);
+    }
+    params.push(Math.min(Math.max(Number.parseInt(req.query.limit || "50", 10) || 50, 1), 500));
+
+    const r = await pool.query(
+      `
+      SELECT *
+      FROM notifications
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY created_at DESC
+      LIMIT $${params.length}
+    `,
+      params
+    );
+    return json(res, 200, { ok: true, notifications: r.rows.map(notificationFromRow) });
+  } catch (e) {
+    console.error("List notifications failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+app.post("/admin/notifications/:id/retry", requireAdmin, async (req, res) => {
+  try {
+    if (!UUID_RE.test(req.params.id)) return json(res, 404, { ok: false, error: "Not found" });
+    const r = await pool.query(
+      `
+      UPDATE notifications
+      SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_at = NULL, updated_at = NOW()
+      WHERE id = $1 AND status <> 'sending'
+      RETURNING id
+    `,
+      [req.params.id]
+    );
+    if (!r.rows.length) return json(res, 404, { ok: false, error: "Notification not found or sending" });
+    return json(res, 200, { ok: true, id: r.rows[0].id });
+  } catch (e) {
+    console.error("Retry notification failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// ---------- admin: product tag commands ----------
+// POST a tag command CSV (text/csv body, or JSON { csv, file_name }) to start
+// a run; add ?apply=1 to write tags, otherwise it is a dry run. The run
+// continues in the background; poll GET /admin/tag-commands/:id for the
+// per-row results (?format=csv for the result log).
+//
+// A running run touches updated_at at least every TAG_COMMAND_HEARTBEAT_MS.
+// One that has not for TAG_COMMAND_STALE_MS died with its process (restart,
+// deploy) and is marked failed, keeping the rows it had saved so far.
+const TAG_COMMAND_HEARTBEAT_MS = 60 * 1000;
+const TAG_COMMAND_STALE_MS = 5 * 60 * 1000;
+
+async function failStaleTagCommandRuns() {
+  const r = await pool.query(
+    `
+    UPDATE tag_command_runs
+    SET status = 'failed',
+        error = 'Interrupted: the server stopped during the run. Rows without a result were not written; check the log.',
+        updated_at = NOW(),
+        finished_at = NOW()
+    WHERE status = 'running' AND updated_at < NOW() - ($1 * INTERVAL '1 millisecond')
+    RETURNING id
+  `,
+    [TAG_COMMAND_STALE_MS]
+  );
+  for (const row of r.rows) console.warn(`tag command run ${row.id} was interrupted; marked failed`);
+  return r.rows.length;
+}
+
+function startTagCommandSweeper() {
+  const sweep = () => failStaleTagCommandRuns().catch((e) => console.error("tag command sweep error:", e));
+  sweep();
+  setInterval(sweep, TAG_COMMAND_STALE_MS).unref();
+}
+
+async function runTagCommands(runId, text, apply) {
+  const save = (rows, status, error = null) =>
+    pool.query(
+      `
+      UPDATE tag_command_runs
+      SET rows = $2, counts = $3, status = $4, error = $5, updated_at = NOW(),
+          finished_at = CASE WHEN $4 = 'running' THEN NULL ELSE NOW() END
+      WHERE id = $1
+    `,
+      [runId, JSON.stringify(rows), JSON.stringify(summarizeTagCommands(rows)), status, error]
+    );
+
+  const heartbeat = setInterval(() => {
+    pool
+      .query(`UPDATE tag_command_runs SET updated_at = NOW() WHERE id = $1 AND status = 'running'`, [runId])
+      .catch((e) => console.error("tag command heartbeat error:", e));
+  }, TAG_COMMAND_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  let rows = [];
+  try {
+    rows = await planTagCommands(parseTagCommandCsv(text));
+    if (apply) {
+      await save(rows, "running");
+      rows = await applyTagCommands(rows, { onProgress: (done) => save(done, "running") });
+    }
+    await save(rows, "done");
+  } catch (e) {
+    console.error("Tag command run failed:", e);
+    await save(rows, "failed", e.message || String(e)).catch(() => {});
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+function tagCommandRunFromRow(r, withRows) {
+  return {
+    id: r.id,
+    file_name: r.file_name,
+    dry_run: r.dry_run,
+    status: r.status,
+    counts: r.counts || {},
+    error: r.error || null,
+    ...(withRows ? { rows: r.rows || [] } : {}),
+    created_at: String(new Date(r.created_at).getTime()),
+    finished_at: r.finished_at ? String(new Date(r.finished_at).getTime()) : null,
+  };
+}
+
+app.post(
+  "/admin/tag-commands",
+  requireAdmin,
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  async (req, res) => {
+    try {
+      const text = typeof req.body === "string" ? req.body : (req.body?.csv || "").toString();
+      if (!text.trim()) return json(res, 400, { ok: false, error: "Missing CSV" });
+
+      const apply = ["1", "true"].includes(String(req.query.apply ?? req.body?.apply ?? "").toLowerCase());
+      const fileName = (req.query.file_name || req.body?.file_name || "").toString().slice(0, 200);
+
+      const r = await pool.query(
+        `INSERT INTO tag_command_runs (file_name, dry_run) VALUES ($1, $2) RETURNING id`,
+        [fileName, !apply]
+      );
+      const runId = r.rows[0].id;
+      console.log(`admin ${req.admin.via}: tag command run ${runId} (${apply ? "apply" : "dry run"}) ${fileName}`);
+
+      runTagCommands(runId, text, apply);
+      return json(res, 202, { ok: true, run_id: runId, dry_run: !apply });
+    } catch (e) {
+      console.error("Start tag command run failed:", e);
+      return json(res, 500, { ok: false, error: "Server error" });
+    }
+  }
+);
+
+app.get("/admin/tag-commands", requireAdmin, async (req, res) => {
+  try {
+    const r = await pool.query(
+      `
+      SELECT id, file_name, dry_run, status, counts, error, created_at, finished_at
+      FROM tag_command_runs
+      ORDER BY created_at DESC
+      LIMIT 100
+    `
+    );
+    return json(res, 200, { ok: true, runs: r.rows.map((x) => tagCommandRunFromRow(x, false)) });
+  } catch (e) {
+    console.error("List tag command runs failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+app.get("/admin/tag-commands/:id", requireAdmin, async (req, res) => {
+  try {
+    if (!UUID_RE.test(req.params.id)) return json(res, 404, { ok: false, error: "Not found" });
+    const r = await pool.query(`SELECT * FROM tag_command_runs WHERE id = $1`, [req.params.id]);
+    if (!r.rows.length) return json(res, 404, { ok: false, error: "Not found" });
+
+    const run = tagCommandRunFromRow(r.rows[0], true);
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="tag-commands-${run.id}.csv"`);
+      return res.status(200).send(formatTagCommandLog(run.rows));
+    }
+    return json(res, 200, { ok: true, run });
+  } catch (e) {
+    console.error("Get tag command run failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// ---------- admin: promo campaigns ----------
+// JSON body { name, starts_at, ends_at, product_ids, tags } or
+// { name, starts_at, ends_at, csv } with a tag command CSV (MERGE rows).
+app.post("/admin/promo-campaigns", requireAdmin, async (req, res) => {
+  let client = null;
+  try {
+    const name = (req.body?.name || "").toString().trim().slice(0, 200);
+    if (!name) return json(res, 400, { ok: false, error: "Missing name" });
+
+    const startsAt = new Date(req.body?.starts_at || "");
+    const endsAt = new Date(req.body?.ends_at || "");
+    if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+      return json(res, 400, { ok: false, error: "starts_at and ends_at must be ISO dates" });
+    }
+    if (endsAt <= startsAt) return json(res, 400, { ok: false, error: "ends_at must be after starts_at" });
+    if (endsAt <= new Date()) return json(res, 400, { ok: false, error: "ends_at is in the past" });
+
+    const set = promoProductsFromBody(req.body);
+    if (set.error) return json(res, 400, { ok: false, error: set.error });
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+    const r = await client.query(
+      `INSERT INTO promo_campaigns (name, starts_at, ends_at) VALUES ($1, $2, $3) RETURNING *`,
+      [name, startsAt, endsAt]
+    );
+    const campaign = r.rows[0];
+    await client.query(
+      `
+      INSERT INTO promo_campaign_products (campaign_id, product_id, tags)
+      SELECT $1, p->>'product_id', p->'tags'
+      FROM jsonb_array_elements($2::jsonb) AS p
+    `,
+      [campaign.id, JSON.stringify(set.products)]
+    );
+    await client.query("COMMIT");
+
+    console.log(`admin ${req.admin.via}: promo campaign ${campaign.id} (${name}) with ${set.products.length} product(s)`);
+    return json(res, 200, { ok: true, campaign: { ...promoCampaignFromRow(campaign), product_count: set.products.length } });
+  } catch (e) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error("Create promo campaign failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+app.get("/admin/promo-campaigns", requireAdmin, async (req, res) => {
+  try {
+    const r = await pool.query(
+      `
+      SELECT c.*, (SELECT COUNT(*) FROM promo_campaign_products p WHERE p.campaign_id = c.id) AS product_count
+      FROM promo_campaigns c
+      ORDER BY c.starts_at DESC
+      LIMIT 200
+    `
+    );
+    return json(res, 200, { ok: true, campaigns: r.rows.map(promoCampaignFromRow) });
+  } catch (e) {
+    console.error("List promo campaigns failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// Campaign status plus every product it touched and the tags it added.
+app.get("/admin/promo-campaigns/:id", requireAdmin, async (req, res) => {
+  try {
+    if (!UUID_RE.test(req.params.id)) return json(res, 404, { ok: false, error: "Not found" });
+    const r = await pool.query(`SELECT * FROM promo_campaigns WHERE id = $1`, [req.params.id]);
+    if (!r.rows.length) return json(res, 404, { ok: false, error: "Not found" });
+
+    const p = await pool.query(
+      `
+      SELECT product_id, tags, added_tags, status, error, applied_at, reverted_at
+      FROM promo_campaign_products
+      WHERE campaign_id = $1
+      ORDER BY product_id
+    `,
+      [req.params.id]
+    );
+
+    return json(res, 200, {
+      ok: true,
+      campaign: { ...promoCampaignFromRow(r.rows[0]), product_count: p.rows.length },
+      products: p.rows.map((x) => ({
+        product_id: x.product_id,
+        tags: x.tags,
+        added_tags: x.added_tags,
+        status: x.status,
+        error: x.error || null,
+        applied_at: x.applied_at ? new Date(x.applied_at).toISOString() : null,
+        reverted_at: x.reverted_at ? new Date(x.reverted_at).toISOString() : null,
+      })),
+    });
+  } catch (e) {
+    console.error("Get promo campaign failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// A scheduled campaign is dropped; an active one ends on the next scheduler tick.
+app.post("/admin/promo-campaigns/:id/cancel", requireAdmin, async (req, res) => {
+  try {
+    if (!UUID_RE.test(req.params.id)) return json(res, 404, { ok: false, error: "Not found" });
+    const r = await pool.query(
+      `
+      UPDATE promo_campaigns
+      SET status = CASE WHEN status = 'scheduled' THEN 'cancelled' ELSE status END,
+          ends_at = CASE WHEN status = 'active' THEN LEAST(ends_at, NOW()) ELSE ends_at END,
+          updated_at = NOW()
+      WHERE id = $1 AND status IN ('scheduled', 'active')
+      RETURNING *
+    `,
+      [req.params.id]
+    );
+    if (!r.rows.length) return json(res, 409, { ok: false, error: "Campaign is not scheduled or active" });
+    return json(res, 200, { ok: true, campaign: promoCampaignFromRow(r.rows[0]) });
+  } catch (e) {
+    console.error("Cancel promo campaign failed:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+// ---------- list actions ----------
+// HTTP methods per action for /proxy; the admin API exposes a subset.
+const PROXY_ACTIONS = {
+  list: ["GET"],
+  get: ["GET"],
+  orderify: ["GET"],
+  upsert: ["POST"],
+  delete: ["POST"],
+  draftpad: ["POST"],
+  todraft: ["POST"],
+  tocart: ["POST"],
+  upload: ["POST"],
+  padpreview: ["POST"],
+  export: ["GET"],
+  import: ["POST"],
+  additem: ["POST"],
+  setqty: ["POST"],
+  removeitem: ["POST"],
+  reorder: ["POST"],
+  rename: ["POST"],
+  setnote: ["POST"],
+  setmeta: ["POST"],
+  history: ["GET"],
+  resubmit: ["POST"],
+  orders: ["GET"],
+  orderdraft: ["POST"],
+  ordertolist: ["POST"],
+  approvals: ["GET"],
+  approve: ["POST"],
+  reject: ["POST"],
+  schedules: ["GET"],
+  setschedule: ["POST"],
+  pauseschedule: ["POST"],
+  resumeschedule: ["POST"],
+  skipnext: ["POST"],
+  deleteschedule: ["POST"],
+  scheduleruns: ["GET"],
+};
+
+// Actions CSRs can run on a customer's behalf through /admin. Ordering stays
+// with the customer: CSRs may hold back a recurring order but not set one up
+// or resume it.
+const ADMIN_ACTIONS = [
+  "list",
+  "get",
+  "upsert",
+  "delete",
+  "additem",
+  "setqty",
+  "removeitem",
+  "reorder",
+  "rename",
+  "setnote",
+  "setmeta",
+  "export",
+  "import",
+  "history",
+  "orders",
+  "ordertolist",
+  "schedules",
+  "scheduleruns",
+  "pauseschedule",
+  "skipnext",
+];
+
+// Runs one action for customerId. Shared by the App Proxy endpoint and the
+// admin API, which acts on a customer's behalf with the same queries and
+// access rules.
+async function runListAction(action, customerId, req, res) {
+  switch (action) {
+    case "list": {
+      const parsed = listSearchFromQuery(req.query);
+      if (parsed.error) return json(res, 400, { ok: false, error: parsed.error });
+
+      const ctx = await getCompanyContext(customerId);
+      const { rows, nextCursor } = await searchLists(ctx, parsed.search);
+
+      const lists = rows.map((r) => ({
+        id: r.id,
+        name: r.name,
+        created_at: r.created_at_ms ? String(Math.trunc(r.created_at_ms)) : null,
+        updated_at: r.updated_at_ms ? String(Math.trunc(r.updated_at_ms)) : null,
+        version: r.version,
+        ...listMetaFields(r),
+        items: [],
+        item_count: Number(r.item_count || 0),
+        ...listOwnerFields(r, ctx),
+      }));
+
+      return json(res, 200, {
+        ok: true,
+        lists,
+        next_cursor: nextCursor,
+        has_more: nextCursor != null,
+        company_error: ctx.error || null,
+      });
+    }
+
+    case "get": {
+      const listId = (req.query.list_id || req.body?.list_id || "").toString().trim();
+      if (!listId) return json(res, 400, { ok: false, error: "Missing list_id" });
+
+      const access = await loadListForCustomer(customerId, listId);
+      if (!access) return json(res, 404, { ok: false, error: "List not found" });
+      const { list } = access;
+
+      const location = await requestCompanyLocation(customerId, req, list.company_location_id);
+      if (location.error) return json(res, location.status, { ok: false, error: location.error });
+
+      const listItems = await fetchListItems(access.list.id);
+
+      const resolved = await resolveListItems(listItems, {
+        companyLocationId: toCompanyLocationGid(location.companyLocationId),
+      });
+
+      return json(res, 200, {
+        ok: true,
+        list: {
+          id: list.id,
+          name: list.name,
+          updated_at: list.updated_at_ms ? String(Math.trunc(list.updated_at_ms)) : null,
+          version: list.version,
+          ...listMetaFields(list),
+          items: resolved.items.map((x, i) => ({
+            id: listItems[i].id,
+            position: listItems[i].position,
+            note: listItems[i].note,
+            ...x,
+          })),
+          ...listOwnerFields(list, access.ctx),
+        },
+        resolve_error: resolved.resolve_error,
+      });
+    }
+
+    case "upsert": {
+      const listIdRaw = (req.body?.list_id || "").toString().trim();
+      const name = (req.body?.name || "").toString().trim();
+      const items = safeParseItems(req.body?.items);
+
+      if (!name) return json(res, 400, { ok: false, error: "Missing name" });
+      if (!items.length) return json(res, 400, { ok: false, error: "No valid items provided" });
+      const { meta, error: metaError } = listMetaFromBody(req.body);
+      if (metaError) return json(res, 400, { ok: false, error: metaError });
+
+      const target = await resolveWritableList(customerId, listIdRaw, req.body);
+      if (target.error) return json(res, target.status, { ok: false, error: target.error });
+
+      try {
+        const saved = await replaceListItems(customerId, {
+          ...target,
+          name,
+          items,
+          meta,
+          expectedVersion: parseListVersion(req.body?.version),
+        });
+        if (saved.error) {
+          const { status, ...body } = saved;
+          return json(res, status, { ok: false, ...body });
+        }
+        return json(res, 200, { ok: true, list_id: saved.listId, version: saved.version });
+      } catch (e) {
+        console.error("Upsert failed:", e);
+        return json(res, 500, { ok: false, error: "Server error" });
+      }
+    }
+
+    case "delete": {
+      const listId = (req.body?.list_id || req.query.list_id || "").toString().trim();
+      if (!listId) return json(res, 400, { ok: false, error: "Missing list_id" });
+
+      const access = await loadListForCustomer(customerId, listId);
+      if (!access) return json(res, 404, { ok: false, error: "List not found" });
+      if (!access.canEdit) {
+        return json(res, 403, { ok: false, error: "You do not have permission to delete this list" });
+      }
+
+      await pool.query(`DELETE FROM lists WHERE id = $1`, [access.list.id]);
+      return json(res, 200, { ok: true });
+    }
+
+    case "orderify": {
+      const listId = (req.query.list_id || "").toString().trim();
+      if (!listId) return json(res, 400, { ok: false, error: "Missing list_id" });
+
+      const access = await loadListForCustomer(customerId, listId);
+      if (!access) return json(res, 404, { ok: false, error: "List not found" });
+
+      const location = await requestCompanyLocation(customerId, req, access.list.company_location_id);
+      if (location.error) return json(res, location.status, { ok: false, error: location.error });
+
+      const listItems = await fetchListItems(access.list.id);
+
+      const resolved = await resolveListItems(listItems, {
+        companyLocationId: toCompanyLocationGid(location.companyLocationId),
+      });
+
+      return json(res, 200, {
+        ok: true,
+        items: resolved.items,
+        resolve_error: resolved.resolve_error,
+      });
+    }
+
+    case "draftpad": {
+      const fields = orderPadFieldsFromBody(req.body);
+      const cartItems = safeParseCartItems(req.body?.cart_items);
+
+      if (!fields.note && (!cartItems || cartItems.length === 0)) {
+        return json(res, 400, { ok: false, error: "Please paste items or add items to cart." });
+      }
+
+      const location = await requestCompanyLocation(customerId, req);
+      if (location.error) return json(res, location.status, { ok: false, error: location.error });
+
+      let lineItems = [];
+      if (Array.isArray(cartItems) && cartItems.length) {
+        for (const it of cartItems) {
+          const gid = toVariantGid(it?.variant_id);
+          const qty = Number.parseInt(it?.quantity ?? 1, 10);
+          if (!gid || !Number.isFinite(qty) || qty <= 0) continue;
+          lineItems.push({ variantId: gid, quantity: qty });
+        }
+      }
+
+      let orderCartItems = (cartItems || []).map((it) => ({
+        sku: (it?.sku || it?.variant_sku || "").toString().trim(),
+        title: (it?.product_title || it?.title || "").toString().trim(),
+        quantity: Number(it?.quantity || 1),
+        variant_id: it?.variant_id ? String(it.variant_id) : "",
+      }));
+      let unmatchedLines = [];
+
+      // Pasted-only submissions: turn the note into real line items and
+      // leave the rest for a CSR via unmatched_lines.
+      if (!lineItems.length && fields.note) {
+        const parsed = await matchOrderPadNote(fields.note, {
+          companyLocationId: toCompanyLocationGid(location.companyLocationId),
+        });
+        lineItems = lineItemsFromMatched(parsed.matched);
+        orderCartItems = parsed.matched.map((m) => ({
+          sku: m.sku,
+          title: m.product_title || "",
+          quantity: m.quantity,
+          variant_id: m.variant_id || "",
+        }));
+        unmatchedLines = parsed.unmatched;
+      }
+
+      if (!lineItems.length) {
+        lineItems.push({
+          title: "Order Pad Submission",
+          quantity: 1,
+          originalUnitPrice: "0.00",
+        });
+      }
+
+      const result = await submitOrderPad({
+        customerId,
+        fields,
+        lineItems,
+        cartItems: orderCartItems,
+        unmatchedLines,
+        companyLocationId: location.companyLocationId,
+      });
+
+      return json(res, 200, { ...result, unmatched_lines: unmatchedLines });
+    }
+
+    case "padpreview": {
+      const note = (req.body?.note || "").toString();
+      if (!note.trim()) return json(res, 400, { ok: false, error: "Please paste items." });
+
+      const location = await requestCompanyLocation(customerId, req);
+      if (location.error) return json(res, location.status, { ok: false, error: location.error });
+
+      const parsed = await matchOrderPadNote(note, {
+        companyLocationId: toCompanyLocationGid(location.companyLocationId),
+      });
+
+      return json(res, 200, {
+        ok: true,
+        matched_lines: parsed.matched,
+        unmatched_lines: parsed.unmatched,
+        resolve_error: parsed.resolve_error,
+      });
+    }
+
+    case "tocart":
+    case "todraft": {
+      const listId = (req.body?.list_id || req.query.list_id || "").toString().trim();
+      if (!listId) return json(res, 400, { ok: false, error: "Missing list_id" });
+
+      const access = await loadListForCustomer(customerId, listId);
+      if (!access) return json(res, 404, { ok: false, error: "List not found" });
+      const { list } = access;
+
+      const location = await requestCompanyLocation(customerId, req, list.company_location_id);
+      if (location.error) return json(res, location.status, { ok: false, error: location.error });
+
+      const listItems = await fetchListItems(access.list.id);
+      if (!listItems.length) return json(res, 400, { ok: false, error: "List is empty" });
+
+      const resolved = await resolveListItems(listItems, {
+        companyLocationId: toCompanyLocationGid(location.companyLocationId),
+      });
+      if (resolved.resolve_error) {
+        return json(res, 200, { ok: false, error: resolved.resolve_error });
+      }
+
+      const { lineItems, cartItems, skipped } = draftLinesFromResolved(
+        resolved.items.map((x, i) => ({ ...x, note: listItems[i].note })),
+        { jobsite: list.jobsite }
+      );
+      if (!lineItems.length) {
+        return json(res, 200, {
+          ok: false,
+          error: "None of the SKUs in this list could be matched to a product.",
+          skipped_items: skipped,
+        });
+      }
+
+      const fields = orderPadFieldsFromBody(req.body);
+      const result = await submitOrderPad({
+        customerId,
+        fields,
+        source: "todraft",
+        listId: list.id,
+        companyLocationId: location.companyLocationId,
+        lineItems,
+        cartItems,
+        extra: {
+          list_id: list.id,
+          list_name: list.name,
+          ...(list.jobsite ? { jobsite: list.jobsite } : {}),
+          skipped_items: skipped,
+        },
+      });
+
+      return json(res, 200, { ...result, skipped_items: skipped });
+    }
+
+    case "upload": {
+      const file = req.file;
+      if (!file) {
+        return json(res, 400, { ok: false, error: "Missing file (PDF, PNG, JPG or WEBP)" });
+      }
+
+      const fileType = sniffPoFileType(file.buffer);
+      if (!fileType) {
+        return json(res, 400, { ok: false, error: "Unsupported file type (PDF, PNG, JPG or WEBP)" });
+      }
+
+      const fileName = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}.${fileType.ext}`;
+
+      try {
+        const saved = await poStorage.save({
+          folder: customerId,
+          fileName,
+          buffer: file.buffer,
+          fileType,
+          req,
+        });
+
+        return json(res, 200, {
+          ok: true,
+          po_file_url: saved.url,
+          file_name: (file.originalname || fileName).toString(),
+          content_type: fileType.mime,
+          size: file.size,
+        });
+      } catch (e) {
+        console.error("PO upload failed:", e);
+        return json(res, 500, { ok: false, error: "Upload failed" });
+      }
+    }
+
+    case "export": {
+      const listId = (req.query.list_id || "").toString().trim();
+      if (!listId) return json(res, 400, { ok: false, error: "Missing list_id" });
+
+      const format = (req.query.format || "csv").toString().trim().toLowerCase();
+      if (format !== "csv" && format !== "xlsx") {
+        return json(res, 400, { ok: false, error: "Unsupported format (csv or xlsx)" });
+      }
+
+      const access = await loadListForCustomer(customerId, listId);
+      if (!access) return json(res, 404, { ok: false, error: "List not found" });
+      const { list } = access;
+
+      const listItems = await fetchListItems(access.list.id);
+
+      // Titles are best-effort; an export still works if Shopify is down.
+      const resolved = await resolveListItems(listItems);
+      const rows = resolved.items.map((x, i) => [x.sku, x.quantity, x.product_title || "", listItems[i].note]);
+      const header = ["SKU", "Quantity", "Product Title", "Note"];
+      const fileName = exportFileName(list.name, format);
+
+      if (format === "xlsx") {
+        const wb = new ExcelJS.Workbook();
+        const ws = wb.addWorksheet("List");
+        ws.addRow(header);
+        ws.getRow(1).font = { bold: true };
+        rows.forEach((r) => ws.addRow(r));
+        ws.columns = [{ width: 24 }, { width: 10 }, { width: 60 }, { width: 40 }];
+
+        const buf = await wb.xlsx.writeBuffer();
+        res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+        res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+        return res.status(200).send(Buffer.from(buf));
+      }
+
+      const csv = toCsv([header, ...rows]);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+      return res.status(200).send(csv);
+    }
+
+    case "import": {
+      const file = req.file;
+      if (!file) return json(res, 400, { ok: false, error: "Missing file (CSV or XLSX)" });
+
+      const listIdRaw = (req.body?.list_id || "").toString().trim();
+      const name =
+        (req.body?.name || "").toString().trim() ||
+        (file.originalname || "").replace(/\.(csv|xlsx)$/i, "").trim();
+      if (!name) return json(res, 400, { ok: false, error: "Missing name" });
+
+      let rows;
+      try {
+        rows = await readImportRows(file);
+      } catch (e) {
+        console.error("List import read failed:", e);
+        return json(res, 400, { ok: false, error: "Could not read file (CSV or XLSX)" });
+      }
+
+      const parsed = listItemsFromRows(rows);
+      if (parsed.dataRows > LIST_IMPORT_MAX_ROWS) {
+        return json(res, 400, {
+          ok: false,
+          error: `Too many rows (${parsed.dataRows}); the limit is ${LIST_IMPORT_MAX_ROWS}.`,
+        });
+      }
+      if (!parsed.items.length) {
+        return json(res, 400, { ok: false, error: "No valid items found", errors: parsed.errors });
+      }
+
+      const { meta, error: metaError } = listMetaFromBody(req.body);
+      if (metaError) return json(res, 400, { ok: false, error: metaError });
+
+      const target = await resolveWritableList(customerId, listIdRaw, req.body);
+      if (target.error) return json(res, target.status, { ok: false, error: target.error });
+
+      try {
+        const saved = await replaceListItems(customerId, {
+          ...target,
+          name,
+          items: parsed.items,
+          meta,
+          expectedVersion: parseListVersion(req.body?.version),
+        });
+        if (saved.error) {
+          const { status, ...body } = saved;
+          return json(res, status, { ok: false, ...body });
+        }
+
+        return json(res, 200, {
+          ok: true,
+          list_id: saved.listId,
+          version: saved.version,
+          imported: parsed.items.length,
+          merged_duplicates: parsed.duplicates,
+          errors: parsed.errors,
+        });
+      } catch (e) {
+        console.error("List import failed:", e);
+        return json(res, 500, { ok: false, error: "Server error" });
+      }
+    }
+
+    case "additem":
+    case "setqty":
+    case "removeitem":
+    case "reorder":
+    case "rename":
+    case "setnote":
+    case "setmeta": {
+      const listId = (req.body?.list_id || "").toString().trim();
+      if (!listId) return json(res, 400, { ok: false, error: "Missing list_id" });
+      const expectedVersion = parseListVersion(req.body?.version);
+
+      let change;
+      if (action === "additem") {
+        const sku = (req.body?.sku || "").toString().trim();
+        const quantity = parseItemQuantity(req.body?.quantity, 1);
+        const note = req.body?.note == null ? null : itemNoteFrom(req.body.note);
+        if (!sku) return json(res, 400, { ok: false, error: "Missing sku" });
+        if (!quantity) return json(res, 400, { ok: false, error: "Invalid quantity" });
+
+        // Adding a SKU that is already on the list tops up that line (and
+        // replaces its note only when one is sent).
+        change = async (client, list) => {
+          const existing = await findListItem(client, list.id, { sku });
+          if (existing) {
+            const r = await client.query(
+              `
+              UPDATE list_items SET quantity = quantity + $1, note = COALESCE($3, note), updated_at = NOW()
+              WHERE id = $2
+              RETURNING id, sku, quantity, position, note
+            `,
+              [quantity, existing.id, note]
+            );
+            return { item: r.rows[0] };
+          }
+          const r = await client.query(
+            `
+            INSERT INTO list_items (list_id, sku, quantity, position, note)
+            SELECT $1, $2, $3, COALESCE(MAX(position) + 1, 0), $4 FROM list_items WHERE list_id = $1
+            RETURNING id, sku, quantity, position, note
+          `,
+            [list.id, sku, quantity, note || ""]
+          );
+          return { item: r.rows[0] };
+        };
+      } else if (action === "setqty") {
+        const quantity = parseItemQuantity(req.body?.quantity, null);
+        if (!quantity) return json(res, 400, { ok: false, error: "Invalid quantity" });
+
+        change = async (client, list) => {
+          const existing = await findListItem(client, list.id, req.body);
+          if (!existing) return { status: 404, error: "Item not found" };
+          await client.query(`UPDATE list_items SET quantity = $1, updated_at = NOW() WHERE id = $2`, [
+            quantity,
+            existing.id,
+          ]);
+          return { item: { id: existing.id, sku: existing.sku, quantity } };
+        };
+      } else if (action === "removeitem") {
+        change = async (client, list) => {
+          const existing = await findListItem(client, list.id, req.body);
+          if (!existing) return { status: 404, error: "Item not found" };
+          await client.query(`DELETE FROM list_items WHERE id = $1`, [existing.id]);
+          return { removed_item_id: existing.id };
+        };
+      } else if (action === "reorder") {
+        // order: JSON array of item ids; items left out keep their relative
+        // order after the listed ones.
+        const order = safeParseCartItems(req.body?.order).map((x) => String(x || "").trim());
+        if (!order.length || !order.every((x) => UUID_RE.test(x))) {
+          return json(res, 400, { ok: false, error: "order must be a JSON array of item ids" });
+        }
+
+        change = async (client, list) => {
+          const r = await client.query(
+            `SELECT id FROM list_items WHERE list_id = $1 ORDER BY position ASC, created_at ASC`,
+            [list.id]
+          );
+          const current = r.rows.map((x) => x.id);
+          const known = new Set(current);
+          const wanted = [...new Set(order)];
+          if (wanted.some((id) => !known.has(id))) return { status: 400, error: "Unknown item id in order" };
+
+          const next = [...wanted, ...current.filter((id) => !wanted.includes(id))];
+          await client.query(
+            `
+            UPDATE list_items li
+            SET position = o.ord - 1, updated_at = NOW()
+            FROM unnest($2::uuid[]) WITH ORDINALITY AS o(id, ord)
+            WHERE li.id = o.id AND li.list_id = $1
+          `,
+            [list.id, next]
+          );
+          return { order: next };
+        };
+      } else if (action === "setnote") {
+        const note = itemNoteFrom(req.body?.note);
+
+        change = async (client, list) => {
+          const existing = await findListItem(client, list.id, req.body);
+          if (!existing) return { status: 404, error: "Item not found" };
+          await client.query(`UPDATE list_items SET note = $1, updated_at = NOW() WHERE id = $2`, [note, existing.id]);
+          return { item: { id: existing.id, sku: existing.sku, quantity: existing.quantity, note } };
+        };
+      } else if (action === "setmeta") {
+        const { meta, error } = listMetaFromBody(req.body);
+        if (error) return json(res, 400, { ok: false, error });
+        if (!Object.keys(meta).length) {
+          return json(res, 400, { ok: false, error: "Nothing to change (description, jobsite, pinned, color, label)" });
+        }
+
+        change = async (client, list) => {
+          const set = listMetaAssignments(meta, 2);
+          const r = await client.query(
+            `UPDATE lists SET ${set.sql} WHERE id = $1 RETURNING description, jobsite, pinned, color, label`,
+            [list.id, ...set.params]
+          );
+          return listMetaFields(r.rows[0]);
+        };
+      } else {
+        const name = (req.body?.name || "").toString().trim();
+        if (!name) return json(res, 400, { ok: false, error: "Missing name" });
+
+        change = async (client, list) => {
+          await client.query(`UPDATE lists SET name = $1 WHERE id = $2`, [name, list.id]);
+          return { name };
+        };
+      }
+
+      const result = await writeList(customerId, listId, expectedVersion, change);
+      if (result.error) {
+        const { status, ...body } = result;
+        return json(res, status, { ok: false, ...body });
+      }
+      return json(res, 200, { ok: true, ...result });
+    }
+
+    case "history": {
+      const limit = Math.min(Math.max(Number.parseInt(req.query.limit || "20", 10) || 20, 1), 100);
+      const offset = Math.max(Number.parseInt(req.query.offset || "0", 10) || 0, 0);
+
+      const r = await pool.query(
+        `
+        SELECT *
+        FROM order_pad_submissions
+        WHERE customer_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2 OFFSET $3
+      `,
+        [customerId, limit + 1, offset]
+      );
+
+      const page = r.rows.slice(0, limit);
+      const events = await fetchApprovalEvents(page.map((row) => row.id));
+      return json(res, 200, {
+        ok: true,
+        submissions: page.map((row) => ({ ...submissionFromRow(row), approval_events: events.get(row.id) || [] })),
+        has_more: r.rows.length > limit,
+      });
+    }
+
+    case "resubmit": {
+      const submissionId = (req.body?.submission_id || "").toString().trim();
+      if (!UUID_RE.test(submissionId)) return json(res, 400, { ok: false, error: "Missing submission_id" });
+
+      const r = await pool.query(`SELECT * FROM order_pad_submissions WHERE id = $1 AND customer_id = $2`, [
+        submissionId,
+        customerId,
+      ]);
+      const prev = r.rows[0];
+      if (!prev) return json(res, 404, { ok: false, error: "Submission not found" });
+      if (!Array.isArray(prev.line_items) || !prev.line_items.length) {
+        return json(res, 400, { ok: false, error: "Submission has no items to resubmit" });
+      }
+
+      const location = await requestCompanyLocation(customerId, req, prev.company_location_id);
+      if (location.error) return json(res, location.status, { ok: false, error: location.error });
+
+      // Fields sent with the request (e.g. a new PO number) replace the old ones.
+      const override = orderPadFieldsFromBody(req.body);
+      const stored = fieldsFromSubmission(prev);
+      const fields = Object.fromEntries(Object.entries(stored).map(([k, v]) => [k, override[k] || v]));
+
+      const result = await submitOrderPad({
+        customerId,
+        fields,
+        lineItems: prev.line_items,
+        cartItems: prev.items || [],
+        unmatchedLines: prev.unmatched_lines || [],
+        source: "resubmit",
+        listId: prev.list_id,
+        resubmittedFrom: prev.id,
+        companyLocationId: location.companyLocationId,
+      });
+
+      return json(res, 200, result);
+    }
+
+    case "orders": {
+      const limit = Math.min(Math.max(Number.parseInt(req.query.limit || "10", 10) || 10, 1), ORDER_PAGE_MAX);
+      const after = (req.query.cursor || "").toString().trim() || null;
+
+      try {
+        const page = await fetchCustomerOrders(customerId, { first: limit, after });
+        return json(res, 200, { ok: true, ...page });
+      } catch (e) {
+        console.error("Fetch customer orders failed:", e);
+        return json(res, 502, { ok: false, error: "Could not load orders" });
+      }
+    }
+
+    case "orderdraft":
+    case "ordertolist": {
+      let loaded;
+      try {
+        loaded = await loadOrderItems(customerId, req.body?.order_id);
+      } catch (e) {
+        console.error("Load order items failed:", e);
+        return json(res, 502, { ok: false, error: "Could not load order" });
+      }
+      if (loaded.error) return json(res, loaded.status, { ok: false, error: loaded.error });
+      const { order, items, skipped: noSku } = loaded;
+      if (!items.length) {
+        return json(res, 400, { ok: false, error: "Order has no items with SKUs", skipped_items: noSku });
+      }
+
+      if (action === "ordertolist") {
+        const name = (req.body?.name || "").toString().trim() || `Order ${order.name}`;
+        const target = await resolveWritableList(customerId, (req.body?.list_id || "").toString().trim(), req.body);
+        if (target.error) return json(res, target.status, { ok: false, error: target.error });
+
+        const saved = await replaceListItems(customerId, {
+          ...target,
+          name,
+          items,
+          expectedVersion: parseListVersion(req.body?.version),
+        });
+        if (saved.error) {
+          const { status, ...body } = saved;
+          return json(res, status, { ok: false, ...body });
+        }
+        return json(res, 200, {
+          ok: true,
+          list_id: saved.listId,
+          version: saved.version,
+          saved: items.length,
+          skipped_items: noSku,
+        });
+      }
+
+      const location = await requestCompanyLocation(customerId, req, order.company_location_id);
+      if (location.error) return json(res, location.status, { ok: false, error: location.error });
+
+      const resolved = await resolveListItems(items, {
+        companyLocationId: toCompanyLocationGid(location.companyLocationId),
+      });
+      if (resolved.resolve_error) return json(res, 200, { ok: false, error: resolved.resolve_error });
+
+      const { lineItems, cartItems, skipped } = draftLinesFromResolved(resolved.items);
+      const allSkipped = [...noSku, ...skipped];
+      if (!lineItems.length) {
+        return json(res, 200, {
+          ok: false,
+          error: "None of the SKUs on this order could be matched to a product.",
+          skipped_items: allSkipped,
+        });
+      }
+
+      const result = await submitOrderPad({
+        customerId,
+        fields: orderPadFieldsFromBody(req.body),
+        source: "orderdraft",
+        companyLocationId: location.companyLocationId,
+        lineItems,
+        cartItems,
+        extra: { reordered_from: order.name, skipped_items: allSkipped },
+      });
+
+      return json(res, 200, { ...result, reordered_from: order.name, skipped_items: allSkipped });
+    }
+
+    case "approvals": {
+      const ctx = await getCompanyContext(customerId);
+      const companyIds = companyIdsOf(ctx);
+      if (!companyIds.length) return json(res, 200, { ok: true, submissions: [] });
+
+      const r = await pool.query(
+        `
+        SELECT s.*, to_jsonb(ar) AS rules
+        FROM order_pad_submissions s
+        LEFT JOIN approval_rules ar ON ar.company_id = s.company_id
+        WHERE s.status = 'pending_approval' AND s.company_id = ANY($1::bigint[])
+        ORDER BY s.created_at ASC
+        LIMIT 200
+      `,
+        [companyIds]
+      );
+
+      const mine = r.rows.filter((row) => canApproveSubmission(ctx, row.rules, row));
+      const events = await fetchApprovalEvents(mine.map((row) => row.id));
+      return json(res, 200, {
+        ok: true,
+        submissions: mine.map((row) => ({
+          ...submissionFromRow(row),
+          customer_id: String(row.customer_id),
+          customer_email: row.customer_email,
+          approval_events: events.get(row.id) || [],
+        })),
+      });
+    }
+
+    case "approve":
+    case "reject": {
+      const submissionId = (req.body?.submission_id || "").toString().trim();
+      if (!UUID_RE.test(submissionId)) return json(res, 400, { ok: false, error: "Missing submission_id" });
+      const comment = (req.body?.comment || req.body?.reason || "").toString().trim().slice(0, 1000);
+      if (action === "reject" && !comment) return json(res, 400, { ok: false, error: "Please give a reason" });
+
+      const found = await pool.query(`SELECT * FROM order_pad_submissions WHERE id = $1`, [submissionId]);
+      const sub = found.rows[0];
+      const ctx = await getCompanyContext(customerId);
+      const rules = sub ? await loadApprovalRules(sub.company_id) : null;
+      if (!sub || !canApproveSubmission(ctx, rules, sub)) {
+        return json(res, 404, { ok: false, error: "Submission not found" });
+      }
+
+      // Claiming the pending row makes double clicks and two approvers safe.
+      const claimed = await pool.query(
+        `
+        UPDATE order_pad_submissions
+        SET status = $2, updated_at = NOW()
+        WHERE id = $1 AND status = 'pending_approval'
+        RETURNING *
+      `,
+        [submissionId, action === "approve" ? "submitted" : "rejected"]
+      );
+      if (!claimed.rows.length) {
+        return json(res, 409, { ok: false, error: `Submission is already ${sub.status}`, status: sub.status });
+      }
+      await recordApprovalEvent(submissionId, action === "approve" ? "approved" : "rejected", customerId, { comment });
+
+      if (action === "reject") return json(res, 200, { ok: true, submission_id: submissionId, status: "rejected" });
+
+      const row = claimed.rows[0];
+      const result = await createDraftForSubmission(submissionId, {
+        customerId: String(row.customer_id),
+        fields: fieldsFromSubmission(row),
+        lineItems: row.line_items,
+        cartItems: row.items || [],
+        unmatchedLines: row.unmatched_lines || [],
+        extra: { ...(row.draft_extra || {}), approved_by: customerId },
+      });
+      return json(res, 200, { ...result, submission_id: submissionId });
+    }
+
+    case "schedules": {
+      const listId = (req.query.list_id || "").toString().trim();
+      if (listId && !UUID_RE.test(listId)) return json(res, 400, { ok: false, error: "Invalid list_id" });
+
+      const r = await pool.query(
+        `
+        SELECT s.*, l.name AS list_name,
+               (
+                 SELECT status
+                 FROM list_schedule_runs lr
+                 WHERE lr.schedule_id = s.id
+                 ORDER BY lr.due_at DESC
+                 LIMIT 1
+               ) AS last_run_status
+        FROM list_schedules s
+        JOIN lists l ON l.id = s.list_id
+        WHERE s.customer_id = $1 AND ($2::uuid IS NULL OR s.list_id = $2)
+        ORDER BY s.created_at
+      `,
+        [customerId, listId || null]
+      );
+      return json(res, 200, { ok: true, schedules: r.rows.map(scheduleFromRow) });
+    }
+
+    case "setschedule": {
+      const scheduleIdRaw = (req.body?.schedule_id || "").toString().trim();
+
+      if (scheduleIdRaw) {
+        const existing = await loadScheduleForCustomer(customerId, scheduleIdRaw);
+        if (!existing) return json(res, 404, { ok: false, error: "Schedule not found" });
+
+        const parsed = await scheduleFromBody(req.body, customerId, existing);
+        if (parsed.error) return json(res, 400, { ok: false, error: parsed.error });
+        const v = parsed.values;
+
+        const r = await pool.query(
+          `
+          UPDATE list_schedules
+          SET frequency = $2, cron = $3, timezone = $4, po_template = $5,
+              site_contact_name = $6, site_contact_phone = $7, company_location_id = $8,
+              next_run_at = CASE WHEN $9 THEN $10 ELSE next_run_at END,
+              updated_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `,
+          [
+            existing.id,
+            v.frequency,
+            v.cron,
+            v.timezone,
+            v.po_template,
+            v.site_contact_name,
+            v.site_contact_phone,
+            v.company_location_id,
+            parsed.timingChanged,
+            parsed.next,
+          ]
+        );
+        return json(res, 200, { ok: true, schedule: scheduleFromRow({ ...r.rows[0], list_name: existing.list_name }) });
+      }
+
+      const access = await loadListForCustomer(customerId, req.body?.list_id);
+      if (!access) return json(res, 404, { ok: false, error: "List not found" });
+
+      const count = await pool.query(`SELECT COUNT(*)::int AS n FROM list_schedules WHERE customer_id = $1`, [
+        customerId,
+      ]);
+      if (count.rows[0].n >= SCHEDULE_MAX_PER_CUSTOMER) {
+        return json(res, 400, { ok: false, error: `At most ${SCHEDULE_MAX_PER_CUSTOMER} schedules per customer` });
+      }
+
+      const parsed = await scheduleFromBody(req.body, customerId);
+      if (parsed.error) return json(res, 400, { ok: false, error: parsed.error });
+      const v = parsed.values;
+
+      const r = await pool.query(
+        `
+        INSERT INTO list_schedules (
+          list_id, customer_id, frequency, cron, timezone, po_template,
+          site_contact_name, site_contact_phone, company_location_id, next_run_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `,
+        [
+          access.list.id,
+          customerId,
+          v.frequency,
+          v.cron,
+          v.timezone,
+          v.po_template,
+          v.site_contact_name,
+          v.site_contact_phone,
+          v.company_location_id,
+          parsed.next,
+        ]
+      );
+      return json(res, 200, { ok: true, schedule: scheduleFromRow({ ...r.rows[0], list_name: access.list.name }) });
+    }
+
+    case "pauseschedule":
+    case "resumeschedule":
+    case "skipnext":
+    case "deleteschedule": {
+      const existing = await loadScheduleForCustomer(customerId, req.body?.schedule_id);
+      if (!existing) return json(res, 404, { ok: false, error: "Schedule not found" });
+
+      if (action === "deleteschedule") {
+        await pool.query(`DELETE FROM list_schedules WHERE id = $1`, [existing.id]);
+        return json(res, 200, { ok: true, deleted: true });
+      }
+
+      let r;
+      if (action === "skipnext") {
+        const skip = parseFlag(req.body?.skip ?? "1");
+        if (skip == null) return json(res, 400, { ok: false, error: "skip must be 0 or 1" });
+        r = await pool.query(
+          `UPDATE list_schedules SET skip_next = $2, updated_at = NOW() WHERE id = $1 RETURNING *`,
+          [existing.id, skip]
+        );
+      } else if (action === "pauseschedule") {
+        r = await pool.query(
+          `UPDATE list_schedules SET paused = TRUE, updated_at = NOW() WHERE id = $1 RETURNING *`,
+          [existing.id]
+        );
+      } else {
+        // Due times that passed while paused are not made up.
+        r = await pool.query(
+          `UPDATE list_schedules SET paused = FALSE, next_run_at = $2, updated_at = NOW() WHERE id = $1 RETURNING *`,
+          [existing.id, existing.paused ? nextRunAt(existing.cron, existing.timezone) : existing.next_run_at]
+        );
+      }
+      return json(res, 200, { ok: true, schedule: scheduleFromRow({ ...r.rows[0], list_name: existing.list_name }) });
+    }
+
+    case "scheduleruns": {
+      const existing = await loadScheduleForCustomer(customerId, req.query.schedule_id);
+      if (!existing) return json(res, 404, { ok: false, error: "Schedule not found" });
+
+      const limit = Math.min(Math.max(Number.parseInt(req.query.limit || "20", 10) || 20, 1), 100);
+      const offset = Math.max(Number.parseInt(req.query.offset || "0", 10) || 0, 0);
+
+      const r = await pool.query(
+        `
+        SELECT lr.*,
+               s.status AS submission_status,
+               s.draft_order_id AS submission_draft_order_id,
+               s.draft_order_name AS submission_draft_order_name
+        FROM list_schedule_runs lr
+        LEFT JOIN order_pad_submissions s ON s.id = lr.submission_id
+        WHERE lr.schedule_id = $1
+        ORDER BY lr.due_at DESC
+        LIMIT $2 OFFSET $3
+      `,
+        [existing.id, limit + 1, offset]
+      );
+
+      return json(res, 200, {
+        ok: true,
+        schedule: scheduleFromRow(existing),
+        runs: r.rows.slice(0, limit).map(scheduleRunFromRow),
+        has_more: r.rows.length > limit,
+      });
+    }
+
+    default:
+      return json(res, 400, { ok: false, error: "Unsupported action" });
+  }
+}
+
+// ---------- Main App Proxy endpoint ----------
+app.all("/proxy", verifyAppProxy, parseMultipartUpload, async (req, res) => {
+  try {
+    const action = (req.query.action || req.query.actions || "").toString().trim();
+    const method = req.method.toUpperCase();
+
+    // Only the signed query identifies the shopper; customer_id from the
+    // storefront is checked against it, never trusted on its own.
+    const customerId = normalizeCustomerId(req.query.logged_in_customer_id);
+    if (!customerId) {
+      return json(res, 401, { ok: false, error: "Please log in" });
+    }
+
+    const claimed = [req.query.customer_id, req.body?.customer_id].filter((v) => v != null && String(v).trim() !== "");
+    if (claimed.some((v) => String(v).trim() !== customerId)) {
+      console.warn(`proxy: customer_id mismatch (logged in ${customerId}, sent ${claimed.join(", ")})`);
+      return json(res, 403, { ok: false, error: "customer_id does not match the logged-in customer" });
+    }
+
+    if (!action || !PROXY_ACTIONS[action] || !PROXY_ACTIONS[action].includes(method)) {
+      return json(res, 400, {
+        ok: false,
+        error: `Unsupported action/method. action=${action || "(missing)"} method=${method}`,
+      });
+    }
+
+    return await runListAction(action, customerId, req, res);
+  } catch (e) {
+    console.error("Proxy handler error:", e);
+    return json(res, 500, { ok: false, error: "Server error" });
+  }
+});
+
+app.use((req, res) => json(res, 404, { ok: false, error: "Not found" }));
+
+// Opt-in so several instances (or a local dev server) don't fight over the
+// store's subscriptions.
+async function syncWebhooksOnStart() {
+  try {
+    const results = await applyWebhookSync(await planWebhookSync(PUBLIC_BASE_URL));
+    console.log("Webhook subscriptions synced:\n" + formatWebhookPlan(results));
+  } catch (e) {
+    console.error("Webhook sync on start failed:", e);
+  }
+}
+
+// Webhook queue, promo scheduler, list schedules, notification queue and the
+// sweep for interrupted tag command runs. Tests leave these off and call
+// drainWebhookQueue / runPromoScheduler / runDueSchedules /
+// drainNotificationQueue / failStaleTagCommandRuns themselves.
+export function startBackgroundJobs() {
+  startWebhookWorker();
+  startPromoScheduler();
+  startScheduleWorker();
+  startNotificationWorker();
+  startTagCommandSweeper();
+  if (process.env.WEBHOOK_SYNC_ON_START === "1") syncWebhooksOnStart();
+}
+
+export {
+  app,
+  pool,
+  drainWebhookQueue,
+  runPromoScheduler,
+  runDueSchedules,
+  drainNotificationQueue,
+  failStaleTagCommandRuns,
+};
@@ -0,0 +1,51 @@
+// csv.js (ESM) — small CSV helpers shared by list import/export and the tag command runner
+
+export function splitCsvLine(line) {
+  const cells = [];
+  let cur = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cur += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  cells.push(cur);
+
+  return cells.map((c) => c.trim());
+}
+
+// Spreadsheet apps run a cell starting with =, +, -, @ (or a tab or CR in
+// front of one) as a formula, so text that does gets a leading ' and shows
+// as typed. Numbers are written as they are.
+const FORMULA_START_RE = /^[=+\-@\t\r]/;
+
+export function csvCell(value) {
+  let v = value == null ? "" : String(value);
+  if (typeof value !== "number" && FORMULA_START_RE.test(v)) v = `'${v}`;
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+// Undoes csvCell's formula guard on a cell read back in.
+export function unguardCsvCell(cell) {
+  return cell.length > 1 && cell[0] === "'" && FORMULA_START_RE.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+export function toCsv(rows) {
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,207 @@
+// migrate.js (ESM) — numbered SQL migrations for the app's Postgres schema
+//
+// Migrations live in migrations/ as pairs of files:
+//
+//   0002_list_metadata.up.sql     applied by migrate
+//   0002_list_metadata.down.sql   applied by rollback (optional; without it
+//                                 the migration cannot be rolled back)
+//
+// The number orders them; it must be unique. Each file runs in its own
+// transaction together with its schema_migrations row, so a failed migration
+// leaves nothing half-applied. Statements that cannot run in a transaction
+// (CREATE INDEX CONCURRENTLY) are not supported.
+//
+// Every run holds a Postgres advisory lock, so several instances starting at
+// once apply each migration exactly once; the others wait and then find
+// nothing to do. An applied migration whose file has changed since (checksum
+// mismatch) stops migrate: write a new migration instead.
+//
+// Used by app.js at startup and by scripts/migrate.js.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+
+// Arbitrary, fixed: pg_advisory_lock key shared by every instance of the app.
+const MIGRATION_LOCK_KEY = 728304019;
+
+const FILE_RE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+export function migrationLabel(m) {
+  return `${String(m.version).padStart(4, "0")}_${m.name}`;
+}
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+// [{ version, name, up, down, checksum }] sorted by version.
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of (await fs.readdir(dir)).sort()) {
+    const m = file.match(FILE_RE);
+    if (!m) continue;
+
+    const version = Number(m[1]);
+    const entry = byVersion.get(version) || { version, name: m[2], up: null, down: null };
+    if (entry.name !== m[2]) {
+      throw new Error(`Migration ${version} has two names: ${entry.name} and ${m[2]}`);
+    }
+    entry[m[3]] = await fs.readFile(path.join(dir, file), "utf8");
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const m of migrations) {
+    if (m.up == null) throw new Error(`Migration ${migrationLabel(m)} has no .up.sql file`);
+    m.checksum = checksum(m.up);
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function appliedMigrations(client) {
+  const r = await client.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`);
+  return new Map(r.rows.map((row) => [row.version, row]));
+}
+
+// Runs fn(client) on one connection holding the migration lock.
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock($1)`, [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, sql, after) {
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await after();
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  }
+}
+
+function changedMigrations(migrations, applied) {
+  return migrations.filter((m) => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum);
+}
+
+// Applies pending migrations up to `to` (default: all). Resolves with the
+// list of applied { version, name }.
+export async function migrate(pool, { to = Infinity, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  const migrations = await loadMigrations(dir);
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedMigrations(client);
+
+    const changed = changedMigrations(migrations, applied);
+    if (changed.length) {
+      throw new Error(`Applied migrations changed on disk: ${changed.map(migrationLabel).join(", ")}`);
+    }
+
+    const done = [];
+    for (const m of migrations) {
+      if (m.version > to || applied.has(m.version)) continue;
+
+      log(`migrate: applying ${migrationLabel(m)}`);
+      try {
+        await runInTransaction(client, m.up, () =>
+          client.query(`INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`, [
+            m.version,
+            m.name,
+            m.checksum,
+          ])
+        );
+      } catch (e) {
+        e.message = `Migration ${migrationLabel(m)} failed: ${e.message}`;
+        throw e;
+      }
+      done.push({ version: m.version, name: m.name });
+    }
+    return done;
+  });
+}
+
+// Rolls back the last `steps` applied migrations (default 1). Resolves with
+// the list of rolled back { version, name }.
+export async function rollback(pool, { steps = 1, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  const migrations = new Map((await loadMigrations(dir)).map((m) => [m.version, m]));
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = [...(await appliedMigrations(client)).values()].reverse().slice(0, steps);
+
+    const done = [];
+    for (const row of applied) {
+      const m = migrations.get(row.version);
+      if (!m) throw new Error(`Migration ${migrationLabel(row)} is applied but its files are missing`);
+      if (m.down == null) throw new Error(`Migration ${migrationLabel(m)} has no .down.sql file`);
+
+      log(`migrate: rolling back ${migrationLabel(m)}`);
+      try {
+        await runInTransaction(client, m.down, () =>
+          client.query(`DELETE FROM schema_migrations WHERE version = $1`, [m.version])
+        );
+      } catch (e) {
+        e.message = `Rollback of ${migrationLabel(m)} failed: ${e.message}`;
+        throw e;
+      }
+      done.push({ version: m.version, name: m.name });
+    }
+    return done;
+  });
+}
+
+// One row per migration known on disk or in the database:
+// { version, name, status: "applied" | "pending" | "changed" | "missing", applied_at }.
+// Read-only: it takes no lock and, on a database that was never migrated,
+// reports everything pending without creating schema_migrations.
+export async function migrationStatus(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(dir);
+
+  const exists = await pool.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  const applied = exists.rows[0].exists ? await appliedMigrations(pool) : new Map();
+
+  const rows = migrations.map((m) => {
+    const a = applied.get(m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      status: !a ? "pending" : a.checksum !== m.checksum ? "changed" : "applied",
+      applied_at: a?.applied_at || null,
+    };
+  });
+
+  const known = new Set(migrations.map((m) => m.version));
+  for (const a of applied.values()) {
+    if (!known.has(a.version)) {
+      rows.push({ version: a.version, name: a.name, status: "missing", applied_at: a.applied_at });
+    }
+  }
+
+  return rows.sort((a, b) => a.version - b.version);
+}
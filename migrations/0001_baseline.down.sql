@@ -0,0 +1,14 @@
+-- Drops every table the baseline creates. This deletes all data.
+
+DROP TABLE IF EXISTS promo_campaign_products;
+DROP TABLE IF EXISTS promo_campaigns;
+DROP TABLE IF EXISTS tag_command_runs;
+DROP TABLE IF EXISTS compliance_requests;
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS notification_settings;
+DROP TABLE IF EXISTS approval_events;
+DROP TABLE IF EXISTS approval_rules;
+DROP TABLE IF EXISTS order_pad_submissions;
+DROP TABLE IF EXISTS list_items;
+DROP TABLE IF EXISTS lists;
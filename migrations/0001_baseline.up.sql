@@ -0,0 +1,210 @@
+-- Baseline: the schema ensureSchema() used to create at startup. Everything
+-- is IF NOT EXISTS so databases created by ensureSchema adopt it as-is.
+
+-- gen_random_uuid() is built in from Postgres 13; older servers need
+-- pgcrypto, which a restricted role may not be allowed (or able) to create.
+DO $$
+BEGIN
+  CREATE EXTENSION IF NOT EXISTS pgcrypto;
+EXCEPTION WHEN OTHERS THEN
+  NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS lists (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id BIGINT NOT NULL,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS list_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  list_id UUID NOT NULL REFERENCES lists(id) ON DELETE CASCADE,
+  sku TEXT NOT NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Shared lists: customer_id stays the creator; owner_type decides who can see it.
+ALTER TABLE lists ADD COLUMN IF NOT EXISTS owner_type TEXT NOT NULL DEFAULT 'customer';
+ALTER TABLE lists ADD COLUMN IF NOT EXISTS company_id BIGINT;
+ALTER TABLE lists ADD COLUMN IF NOT EXISTS company_location_id BIGINT;
+
+-- Optimistic concurrency: every write bumps version; writers may send the
+-- version they last read and get a 409 if it moved on.
+ALTER TABLE lists ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1;
+ALTER TABLE list_items ADD COLUMN IF NOT EXISTS position INT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_lists_customer_id ON lists(customer_id);
+CREATE INDEX IF NOT EXISTS idx_lists_company_id ON lists(company_id) WHERE company_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_lists_company_location_id ON lists(company_location_id) WHERE company_location_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_list_items_list_id ON list_items(list_id);
+
+CREATE TABLE IF NOT EXISTS order_pad_submissions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id BIGINT NOT NULL,
+  source TEXT NOT NULL DEFAULT 'draftpad',
+  list_id UUID REFERENCES lists(id) ON DELETE SET NULL,
+  resubmitted_from UUID REFERENCES order_pad_submissions(id) ON DELETE SET NULL,
+  po_number TEXT NOT NULL DEFAULT '',
+  contact_name TEXT NOT NULL DEFAULT '',
+  contact_phone TEXT NOT NULL DEFAULT '',
+  po_file_url TEXT NOT NULL DEFAULT '',
+  company_name TEXT NOT NULL DEFAULT '',
+  location_name TEXT NOT NULL DEFAULT '',
+  customer_email TEXT NOT NULL DEFAULT '',
+  note TEXT NOT NULL DEFAULT '',
+  items JSONB NOT NULL DEFAULT '[]',
+  line_items JSONB NOT NULL DEFAULT '[]',
+  unmatched_lines JSONB NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL DEFAULT 'submitted',
+  error TEXT,
+  draft_order_id TEXT,
+  draft_order_name TEXT,
+  order_id TEXT,
+  order_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_submissions_customer_created ON order_pad_submissions(customer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_submissions_draft_order_id ON order_pad_submissions(draft_order_id);
+CREATE INDEX IF NOT EXISTS idx_submissions_order_id ON order_pad_submissions(order_id);
+
+-- Approval workflow: the company a submission is for, why it was held and
+-- the extra note data to build the draft with once approved.
+ALTER TABLE order_pad_submissions ADD COLUMN IF NOT EXISTS company_id BIGINT;
+ALTER TABLE order_pad_submissions ADD COLUMN IF NOT EXISTS company_location_id BIGINT;
+ALTER TABLE order_pad_submissions ADD COLUMN IF NOT EXISTS approval_reasons JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE order_pad_submissions ADD COLUMN IF NOT EXISTS draft_extra JSONB NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_submissions_pending_company ON order_pad_submissions(company_id) WHERE status = 'pending_approval';
+
+CREATE TABLE IF NOT EXISTS approval_rules (
+  company_id BIGINT PRIMARY KEY,
+  max_total NUMERIC(12, 2),
+  product_tags JSONB NOT NULL DEFAULT '[]',
+  require_po BOOLEAN NOT NULL DEFAULT FALSE,
+  approver_ids JSONB NOT NULL DEFAULT '[]',
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS approval_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID NOT NULL REFERENCES order_pad_submissions(id) ON DELETE CASCADE,
+  action TEXT NOT NULL,
+  customer_id BIGINT,
+  comment TEXT NOT NULL DEFAULT '',
+  reasons JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_events_submission ON approval_events(submission_id, created_at);
+
+CREATE TABLE IF NOT EXISTS notification_settings (
+  company_id BIGINT PRIMARY KEY,
+  recipients JSONB NOT NULL DEFAULT '[]',
+  templates JSONB NOT NULL DEFAULT '{}',
+  include_defaults BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID REFERENCES order_pad_submissions(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  transport TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  format TEXT,
+  subject TEXT NOT NULL DEFAULT '',
+  body TEXT NOT NULL DEFAULT '',
+  data JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  result TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notifications_submission ON notifications(submission_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  webhook_id TEXT PRIMARY KEY,
+  topic TEXT NOT NULL,
+  shop_domain TEXT NOT NULL DEFAULT '',
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  result TEXT,
+  processed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS compliance_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  topic TEXT NOT NULL,
+  shop_domain TEXT NOT NULL DEFAULT '',
+  customer_id BIGINT,
+  request_payload JSONB NOT NULL,
+  export JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS tag_command_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  file_name TEXT NOT NULL DEFAULT '',
+  dry_run BOOLEAN NOT NULL DEFAULT TRUE,
+  status TEXT NOT NULL DEFAULT 'running',
+  counts JSONB NOT NULL DEFAULT '{}',
+  rows JSONB NOT NULL DEFAULT '[]',
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS promo_campaigns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'scheduled',
+  error TEXT,
+  locked_at TIMESTAMPTZ,
+  started_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- tags: what the campaign wants on the product; added_tags: the subset it
+-- actually added (and will remove at the end).
+
+CREATE TABLE IF NOT EXISTS promo_campaign_products (
+  campaign_id UUID NOT NULL REFERENCES promo_campaigns(id) ON DELETE CASCADE,
+  product_id TEXT NOT NULL,
+  tags JSONB NOT NULL DEFAULT '[]',
+  added_tags JSONB NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL DEFAULT 'pending',
+  error TEXT,
+  applied_at TIMESTAMPTZ,
+  reverted_at TIMESTAMPTZ,
+  PRIMARY KEY (campaign_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_campaigns_status ON promo_campaigns(status, starts_at);
+CREATE INDEX IF NOT EXISTS idx_promo_campaign_products_product ON promo_campaign_products(product_id);
@@ -0,0 +1,7 @@
+ALTER TABLE list_items DROP COLUMN note;
+
+ALTER TABLE lists DROP COLUMN label;
+ALTER TABLE lists DROP COLUMN color;
+ALTER TABLE lists DROP COLUMN pinned;
+ALTER TABLE lists DROP COLUMN jobsite;
+ALTER TABLE lists DROP COLUMN description;
@@ -0,0 +1,10 @@
+-- List metadata for organising lists by jobsite, and a note per line.
+-- list_items.position already exists (baseline).
+
+ALTER TABLE lists ADD COLUMN description TEXT NOT NULL DEFAULT '';
+ALTER TABLE lists ADD COLUMN jobsite TEXT NOT NULL DEFAULT '';
+ALTER TABLE lists ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE lists ADD COLUMN color TEXT NOT NULL DEFAULT '';
+ALTER TABLE lists ADD COLUMN label TEXT NOT NULL DEFAULT '';
+
+ALTER TABLE list_items ADD COLUMN note TEXT NOT NULL DEFAULT '';
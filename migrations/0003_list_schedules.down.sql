@@ -0,0 +1,2 @@
+DROP TABLE list_schedule_runs;
+DROP TABLE list_schedules;
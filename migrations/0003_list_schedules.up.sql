@@ -0,0 +1,45 @@
+-- Recurring orders: a schedule on a saved list creates the draft order when
+-- it comes due; list_schedule_runs is each attempt's outcome.
+
+CREATE TABLE list_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  list_id UUID NOT NULL REFERENCES lists(id) ON DELETE CASCADE,
+  customer_id BIGINT NOT NULL,
+  frequency TEXT NOT NULL,
+  cron TEXT NOT NULL,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  po_template TEXT NOT NULL DEFAULT '',
+  site_contact_name TEXT NOT NULL DEFAULT '',
+  site_contact_phone TEXT NOT NULL DEFAULT '',
+  company_location_id BIGINT,
+  paused BOOLEAN NOT NULL DEFAULT FALSE,
+  skip_next BOOLEAN NOT NULL DEFAULT FALSE,
+  next_run_at TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  locked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_list_schedules_due ON list_schedules(next_run_at) WHERE NOT paused;
+CREATE INDEX idx_list_schedules_customer ON list_schedules(customer_id, created_at);
+CREATE INDEX idx_list_schedules_list ON list_schedules(list_id);
+
+-- One run per schedule and due time, so a run is never placed twice.
+CREATE TABLE list_schedule_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  schedule_id UUID NOT NULL REFERENCES list_schedules(id) ON DELETE CASCADE,
+  due_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running',
+  po_number TEXT NOT NULL DEFAULT '',
+  submission_id UUID REFERENCES order_pad_submissions(id) ON DELETE SET NULL,
+  draft_order_id TEXT,
+  draft_order_name TEXT,
+  skipped_items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  UNIQUE (schedule_id, due_at)
+);
+
+CREATE INDEX idx_list_schedule_runs_schedule ON list_schedule_runs(schedule_id, due_at DESC);
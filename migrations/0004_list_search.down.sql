@@ -0,0 +1,3 @@
+DROP INDEX idx_list_items_sku;
+CREATE INDEX idx_list_items_list_id ON list_items(list_id);
+DROP INDEX idx_list_items_list_sku;
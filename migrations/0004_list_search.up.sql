@@ -0,0 +1,9 @@
+-- The list action's SKU filter (LOWER(sku) within a list) and its per-page
+-- item counts (COUNT(*) grouped by list_id) both read this index; additem's
+-- duplicate check uses it too. It leads with list_id, so it also covers
+-- everything the old single-column index did.
+CREATE INDEX idx_list_items_list_sku ON list_items(list_id, LOWER(sku));
+DROP INDEX IF EXISTS idx_list_items_list_id;
+
+-- Lists found by SKU across a customer's lists start from the SKU side.
+CREATE INDEX idx_list_items_sku ON list_items(LOWER(sku));
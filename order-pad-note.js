@@ -0,0 +1,137 @@
+// order-pad-note.js (ESM) — the header draftpad writes into draft order notes
+//
+// Format (version 2):
+//
+//   Order Pad Submission v2
+//   Customer ID: 7012345678901
+//   Email: buyer@example.com
+//   PO Number: 4500-118\nRev B
+//
+//   ---
+//   Free text note, kept as typed.
+//
+// The first line is the version marker. Each header line is "Label: value";
+// values are escaped (\\ for a backslash, \n and \r for line breaks) so a
+// value can never spill onto the next line. Everything after the first
+// "---" line is the customer's note, unescaped.
+//
+// Version 1 notes (no "v2" on the marker, nothing escaped) are still read,
+// as are version 1 headers whose marker line staff deleted, as long as the
+// "Customer ID:" line is still above the "---" line.
+// Staff edit these notes in the Shopify admin, so the decoder matches labels
+// case-insensitively, ignores spacing around the colon, and returns lines it
+// does not recognise in unparsed_lines instead of dropping them silently.
+//
+// encodeOrderPadNote is used by draftpad, decodeOrderPadNote by the
+// orders/create webhook. The encoder trims every value and the note, so
+// decode(encode(x)) gives x back only for already-trimmed values.
+
+export const ORDER_PAD_NOTE_MARKER = "Order Pad Submission";
+export const ORDER_PAD_NOTE_VERSION = 2;
+
+// Field key (as in orderPadFieldsFromBody) -> header label, in write order.
+export const ORDER_PAD_NOTE_FIELDS = [
+  ["customerEmail", "Email"],
+  ["companyName", "Company"],
+  ["locationName", "Location"],
+  ["poNumber", "PO Number"],
+  ["siteContactName", "Site Contact"],
+  ["siteContactPhone", "Site Contact Phone"],
+  ["poFileUrl", "PO File"],
+];
+
+const CUSTOMER_ID_LABEL = "Customer ID";
+const DIVIDER = "---";
+const MARKER_RE = /^order pad submission(?:\s+v(\d+))?$/i;
+const CUSTOMER_ID_RE = /^customer\s+id\s*:/i;
+
+const LABEL_KEYS = new Map([
+  [CUSTOMER_ID_LABEL.toLowerCase(), "customerId"],
+  ...ORDER_PAD_NOTE_FIELDS.map(([key, label]) => [label.toLowerCase(), key]),
+]);
+
+export function escapeNoteValue(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r");
+}
+
+// Unknown escapes are kept as written so a stray backslash typed by staff
+// survives.
+export function unescapeNoteValue(value) {
+  return String(value ?? "").replace(/\\([\\nr])/g, (_, ch) => (ch === "n" ? "\n" : ch === "r" ? "\r" : "\\"));
+}
+
+// fields: { note, customerEmail, companyName, locationName, poNumber,
+// siteContactName, siteContactPhone, poFileUrl }. Empty values are left out;
+// values are trimmed, the note is kept as-is apart from surrounding blank
+// space.
+export function encodeOrderPadNote(customerId, fields = {}) {
+  const lines = [`${ORDER_PAD_NOTE_MARKER} v${ORDER_PAD_NOTE_VERSION}`];
+
+  const id = String(customerId ?? "").trim();
+  if (id) lines.push(`${CUSTOMER_ID_LABEL}: ${escapeNoteValue(id)}`);
+
+  for (const [key, label] of ORDER_PAD_NOTE_FIELDS) {
+    const v = String(fields[key] ?? "").trim();
+    if (v) lines.push(`${label}: ${escapeNoteValue(v)}`);
+  }
+
+  const note = String(fields.note ?? "").replace(/\r\n?/g, "\n").trim();
+  return lines.join("\n") + (note ? `\n\n${DIVIDER}\n${note}` : "");
+}
+
+// Where the header starts: the line after the marker, or the "Customer ID:"
+// line of a version 1 header that lost its marker. -1 when there is neither.
+function headerStart(lines) {
+  const markerAt = lines.findIndex((l) => MARKER_RE.test(l.trim()));
+  if (markerAt >= 0) return { markerAt, start: markerAt + 1 };
+
+  const divider = lines.findIndex((l) => l.trim() === DIVIDER);
+  const idAt = lines.findIndex((l, i) => (divider < 0 || i < divider) && CUSTOMER_ID_RE.test(l.trim()));
+  return { markerAt: -1, start: idAt };
+}
+
+// Returns null when the note has no order pad header. Otherwise
+// { version, customerId, fields, unparsed_lines } where fields has every key
+// of ORDER_PAD_NOTE_FIELDS ("" when absent) plus note.
+export function decodeOrderPadNote(note) {
+  if (!note) return null;
+
+  const lines = String(note).split(/\r?\n/);
+  const { markerAt, start } = headerStart(lines);
+  if (start < 0) return null;
+
+  const version = markerAt < 0 ? 1 : Number(lines[markerAt].trim().match(MARKER_RE)[1] || 1);
+  const unescape = version >= 2 ? unescapeNoteValue : (v) => v;
+
+  const fields = { note: "" };
+  for (const [key] of ORDER_PAD_NOTE_FIELDS) fields[key] = "";
+  let customerId = "";
+
+  // Text staff typed above the marker is not part of the header.
+  const unparsed = lines.slice(0, markerAt < 0 ? start : markerAt).map((l) => l.trim()).filter(Boolean);
+
+  let i = start;
+  for (; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === DIVIDER) break;
+    if (!line) continue;
+
+    const colon = line.indexOf(":");
+    const key = colon > 0 ? LABEL_KEYS.get(line.slice(0, colon).trim().replace(/\s+/g, " ").toLowerCase()) : null;
+    if (!key) {
+      unparsed.push(line);
+      continue;
+    }
+
+    const value = unescape(line.slice(colon + 1).trim());
+    if (key === "customerId") customerId = value;
+    else fields[key] = value;
+  }
+
+  if (i < lines.length) fields.note = lines.slice(i + 1).join("\n").trim();
+
+  return { version, customerId, fields, unparsed_lines: unparsed };
+}
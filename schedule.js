@@ -0,0 +1,264 @@
+// schedule.js (ESM) — cron expressions and PO templates for recurring list orders
+//
+// Schedules are stored as a five-field cron expression plus an IANA time
+// zone; weekly and monthly schedules are just cron expressions built by
+// scheduleCron:
+//
+//   minute hour day-of-month month day-of-week
+//   0      6    *            *     1,4          (Mon and Thu, 06:00)
+//
+// Fields take *, numbers, ranges (1-5), steps (*/15, 1-10/2) and comma lists;
+// months and weekdays also take names (jan, mon). Weekday 0 and 7 are both
+// Sunday. As in classic cron, when day-of-month and day-of-week are both
+// restricted a day matching either one fires.
+//
+// Times are wall-clock times in the schedule's zone, so "06:00" stays 06:00
+// across daylight saving changes. A time skipped by a spring-forward change
+// runs an hour off that one day.
+
+export const SCHEDULE_FREQUENCIES = ["weekly", "monthly", "cron"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+
+const WEEKDAY_NAMES = FIELDS[4].names;
+
+// How far ahead nextRunAt looks; covers Feb 29 and every weekday/date combination.
+const SEARCH_DAYS = 366 * 5;
+
+function fieldValue(raw, field) {
+  const s = raw.toLowerCase();
+  const named = field.names ? field.names.indexOf(s) : -1;
+  if (named >= 0) return named + (field.min === 1 ? 1 : 0);
+  if (!/^\d+$/.test(s)) throw new Error(`Invalid ${field.name}: ${raw}`);
+  const n = Number(s);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} out of range (${field.min}-${field.max}): ${raw}`);
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = part.match(/^([^/]+)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid ${field.name}: ${part}`);
+    const step = m[2] == null ? 1 : Number(m[2]);
+    if (step < 1) throw new Error(`Invalid step in ${field.name}: ${part}`);
+
+    let lo;
+    let hi;
+    if (m[1] === "*") {
+      lo = field.min;
+      hi = field.max;
+    } else if (m[1].includes("-")) {
+      const [a, b, extra] = m[1].split("-");
+      if (extra != null) throw new Error(`Invalid ${field.name}: ${part}`);
+      lo = fieldValue(a, field);
+      hi = fieldValue(b, field);
+      if (lo > hi) throw new Error(`Invalid ${field.name} range: ${part}`);
+    } else {
+      lo = fieldValue(m[1], field);
+      // "5/15" means 5, 20, 35, 50.
+      hi = m[2] == null ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+// { minutes, hours, days, months, weekdays, anyDay, anyWeekday }; throws on
+// an invalid expression.
+export function parseCron(expr) {
+  const parts = String(expr || "").trim().split(/\s+/);
+  if (parts.length !== 5 || !parts[0]) throw new Error("Cron expression needs 5 fields: minute hour day month weekday");
+
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2].startsWith("*"),
+    anyWeekday: parts[4].startsWith("*"),
+  };
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+// Wall-clock { year, month, day, hour, minute } of an instant in timeZone.
+function zonedParts(ms, timeZone) {
+  let f = formatters.get(timeZone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+    });
+    formatters.set(timeZone, f);
+  }
+  const p = Object.fromEntries(f.formatToParts(ms).map((x) => [x.type, Number(x.value)]));
+  return { year: p.year, month: p.month, day: p.day, hour: p.hour, minute: p.minute };
+}
+
+// The instant a wall-clock time in timeZone names.
+function zonedToUtc(year, month, day, hour, minute, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (ms) => {
+    const p = zonedParts(ms, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ms / 60000) * 60000;
+  };
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess);
+}
+
+// First time the expression fires strictly after `after` (a Date), or null
+// when it never does (e.g. "0 0 31 2 *").
+export function nextRunAt(cron, timeZone, after = new Date()) {
+  const c = typeof cron === "string" ? parseCron(cron) : cron;
+  const start = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+  const from = zonedParts(start, timeZone);
+
+  for (let i = 0; i < SEARCH_DAYS; i++) {
+    const date = new Date(Date.UTC(from.year, from.month - 1, from.day + i));
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    if (!c.months.has(month)) continue;
+
+    const domOk = c.days.has(day);
+    const dowOk = c.weekdays.has(date.getUTCDay());
+    const dayOk = c.anyDay && c.anyWeekday ? true : c.anyDay ? dowOk : c.anyWeekday ? domOk : domOk || dowOk;
+    if (!dayOk) continue;
+
+    for (const hour of c.hours) {
+      if (i === 0 && hour < from.hour) continue;
+      for (const minute of c.minutes) {
+        if (i === 0 && hour === from.hour && minute < from.minute) continue;
+        const t = zonedToUtc(year, month, day, hour, minute, timeZone);
+        if (t >= start) return new Date(t);
+      }
+    }
+  }
+  return null;
+}
+
+// The next `count` run times after `after`.
+export function upcomingRuns(cron, timeZone, after = new Date(), count = 3) {
+  const c = typeof cron === "string" ? parseCron(cron) : cron;
+  const runs = [];
+  let t = after;
+  while (runs.length < count && (t = nextRunAt(c, timeZone, t))) runs.push(t);
+  return runs;
+}
+
+function parseTime(raw) {
+  const m = String(raw ?? "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return { hour: Number(m[1]), minute: Number(m[2]) };
+}
+
+function parseWeekdays(raw) {
+  const parts = (Array.isArray(raw) ? raw : String(raw ?? "").split(","))
+    .map((x) => String(x).trim().toLowerCase())
+    .filter(Boolean);
+  const days = new Set();
+  for (const p of parts) {
+    const named = WEEKDAY_NAMES.findIndex((n) => p.startsWith(n));
+    const n = named >= 0 ? named : /^[0-7]$/.test(p) ? Number(p) % 7 : null;
+    if (n == null) return null;
+    days.add(n);
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+// Cron expression for a weekly, monthly or cron schedule. time is "HH:MM"
+// (default 06:00); weekdays is a list or comma-separated string of names or
+// 0-7; day_of_month is 1-28 so every month has the date. Returns { cron } or
+// { error }.
+export function scheduleCron({ frequency, weekdays, day_of_month, time, cron } = {}) {
+  if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+    return { error: `frequency must be one of ${SCHEDULE_FREQUENCIES.join(", ")}` };
+  }
+
+  if (frequency === "cron") {
+    const expr = String(cron ?? "").trim().replace(/\s+/g, " ");
+    try {
+      parseCron(expr);
+    } catch (e) {
+      return { error: e.message };
+    }
+    return { cron: expr };
+  }
+
+  const at = parseTime(time ?? "06:00");
+  if (!at) return { error: "time must be HH:MM (24-hour)" };
+
+  if (frequency === "weekly") {
+    const days = parseWeekdays(weekdays);
+    if (!days?.length) return { error: "weekdays must name at least one day (mon-sun or 0-7)" };
+    return { cron: `${at.minute} ${at.hour} * * ${days.join(",")}` };
+  }
+
+  const dom = Number.parseInt(String(day_of_month ?? ""), 10);
+  if (!(dom >= 1 && dom <= 28) || String(dom) !== String(day_of_month ?? "").trim()) {
+    return { error: "day_of_month must be 1-28" };
+  }
+  return { cron: `${at.minute} ${at.hour} ${dom} * *` };
+}
+
+// The scheduleCron inputs back from a stored weekly or monthly expression:
+// { time, weekdays, day_of_month }, or {} for a cron schedule.
+export function scheduleFields(frequency, cron) {
+  const [minute, hour, dom, , dow] = String(cron || "").split(" ");
+  if (frequency !== "weekly" && frequency !== "monthly") return {};
+  const time = `${hour.padStart(2, "0")}:${minute.padStart(2, "0")}`;
+  if (frequency === "weekly") return { time, weekdays: dow.split(",").map((d) => WEEKDAY_NAMES[Number(d)]) };
+  return { time, day_of_month: Number(dom) };
+}
+
+// ISO 8601 week number of a calendar date.
+function isoWeek(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  const dow = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - dow);
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+}
+
+// PO number for one run. Placeholders take the run's date in the schedule's
+// zone: {date} (2026-10-19), {yyyy}, {yy}, {mm}, {dd}, {week} (ISO week, 01-53)
+// and {list} (the list name). Unknown placeholders are left as typed.
+export function renderPoTemplate(template, { date, timeZone = "UTC", listName = "" } = {}) {
+  const p = zonedParts(date.getTime(), timeZone);
+  const pad = (n) => String(n).padStart(2, "0");
+  const values = {
+    date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    yyyy: String(p.year),
+    yy: pad(p.year % 100),
+    mm: pad(p.month),
+    dd: pad(p.day),
+    week: pad(isoWeek(p.year, p.month, p.day)),
+    list: listName,
+  };
+  return String(template || "").replace(/\{(\w+)\}/g, (m, key) => (key in values ? values[key] : m));
+}
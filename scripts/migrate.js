@@ -0,0 +1,66 @@
+// scripts/migrate.js — apply, roll back or list database migrations
+//
+// Usage:
+//   node scripts/migrate.js                 # apply every pending migration
+//   node scripts/migrate.js up --to 3       # apply up to and including 0003
+//   node scripts/migrate.js down            # roll back the last migration
+//   node scripts/migrate.js down --steps 2
+//   node scripts/migrate.js status
+//
+// ENV required: DATABASE_URL
+
+import pg from "pg";
+import { migrate, rollback, migrationStatus } from "../migrate.js";
+
+const args = process.argv.slice(2);
+const command = args.find((a) => !a.startsWith("--") && !/^\d+$/.test(a)) || "up";
+
+function intArg(name) {
+  const at = args.indexOf(name);
+  if (at < 0) return undefined;
+  const n = Number.parseInt(args[at + 1] || "", 10);
+  if (!Number.isFinite(n) || n < 0) {
+    console.error(`${name} needs a number`);
+    process.exit(2);
+  }
+  return n;
+}
+
+if (!["up", "down", "status"].includes(command)) {
+  console.error("Usage: node scripts/migrate.js [up [--to N] | down [--steps N] | status]");
+  process.exit(2);
+}
+
+if (!process.env.DATABASE_URL) {
+  console.error("Missing env DATABASE_URL");
+  process.exit(2);
+}
+
+const pool = new pg.Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === "production" ? { rejectUnauthorized: false } : false,
+});
+
+try {
+  if (command === "status") {
+    const rows = await migrationStatus(pool);
+    for (const r of rows) {
+      const when = r.applied_at ? new Date(r.applied_at).toISOString() : "";
+      console.log(`${String(r.version).padStart(4, "0")}  ${r.name.padEnd(32)} ${r.status.padEnd(8)} ${when}`);
+    }
+    const pending = rows.filter((r) => r.status === "pending").length;
+    console.log(`\n${rows.length - pending} applied, ${pending} pending`);
+    process.exitCode = rows.some((r) => r.status === "changed" || r.status === "missing") ? 1 : 0;
+  } else if (command === "down") {
+    const done = await rollback(pool, { steps: intArg("--steps") ?? 1 });
+    console.log(done.length ? `Rolled back ${done.length} migration(s)` : "Nothing to roll back");
+  } else {
+    const done = await migrate(pool, { to: intArg("--to") ?? Infinity });
+    console.log(done.length ? `Applied ${done.length} migration(s)` : "Already up to date");
+  }
+} catch (e) {
+  console.error("Migration failed:", e.message || e);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,29 @@
+// scripts/sync-webhooks.js — print or apply the webhook subscription plan
+//
+// Usage:
+//   node scripts/sync-webhooks.js           # dry run: print the plan only
+//   node scripts/sync-webhooks.js --apply   # make the changes
+//
+// ENV required: SHOPIFY_STORE_DOMAIN, SHOPIFY_ADMIN_ACCESS_TOKEN, PUBLIC_BASE_URL
+
+import { planWebhookSync, applyWebhookSync, formatWebhookPlan } from "../webhook-sync.js";
+
+const apply = process.argv.includes("--apply");
+
+try {
+  const plan = await planWebhookSync(process.env.PUBLIC_BASE_URL);
+  console.log(formatWebhookPlan(plan));
+
+  if (!apply) {
+    const changes = plan.filter((s) => s.action !== "keep").length;
+    console.log(`\nDry run: ${changes} change(s). Re-run with --apply to make them.`);
+    process.exit(0);
+  }
+
+  const results = await applyWebhookSync(plan);
+  console.log("\nApplied:\n" + formatWebhookPlan(results.filter((s) => s.action !== "keep")));
+  process.exit(results.some((s) => s.error) ? 1 : 0);
+} catch (e) {
+  console.error("Webhook sync failed:", e.message || e);
+  process.exit(1);
+}
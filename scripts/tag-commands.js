@@ -0,0 +1,78 @@
+// scripts/tag-commands.js — run an `ID,Tags Command` CSV against the store
+//
+// Usage:
+//   node scripts/tag-commands.js bosch_promo_tags.csv                    # dry run
+//   node scripts/tag-commands.js bosch_promo_tags.csv --apply
+//   node scripts/tag-commands.js bosch_promo_tags.csv --apply --log out.csv
+//
+// The dry run prints each product's current tags next to the resulting ones.
+// --log writes the per-row result log as CSV (default: <file>.log.csv when
+// applying).
+//
+// ENV required: SHOPIFY_STORE_DOMAIN, SHOPIFY_ADMIN_ACCESS_TOKEN
+
+import fs from "fs/promises";
+import {
+  parseTagCommandCsv,
+  planTagCommands,
+  applyTagCommands,
+  summarizeTagCommands,
+  formatTagCommandLog,
+} from "../tag-commands.js";
+
+const args = process.argv.slice(2);
+const apply = args.includes("--apply");
+const logAt = args.indexOf("--log");
+const file = args.find((a, i) => !a.startsWith("--") && (logAt < 0 || i !== logAt + 1));
+
+if (!file) {
+  console.error("Usage: node scripts/tag-commands.js <file.csv> [--apply] [--log <out.csv>]");
+  process.exit(2);
+}
+
+const logFile = logAt >= 0 ? args[logAt + 1] : apply ? `${file.replace(/\.csv$/i, "")}.log.csv` : null;
+
+function printRows(rows) {
+  for (const r of rows) {
+    const head = `row ${String(r.row).padStart(4)}  ${(r.id || "").padEnd(14)} ${(r.command || "").padEnd(7)} ${r.status}`;
+    if (r.status === "invalid" || r.status === "not_found" || r.status === "error") {
+      console.log(`${head}  [${r.error}]`);
+    } else {
+      console.log(`${head}  ${r.title}\n      current: ${r.current_tags.join(", ") || "-"}\n      result:  ${r.result_tags.join(", ") || "-"}`);
+    }
+  }
+}
+
+try {
+  const parsed = parseTagCommandCsv(await fs.readFile(file, "utf8"));
+  const plan = await planTagCommands(parsed);
+
+  let rows = plan;
+  if (apply) {
+    rows = await applyTagCommands(plan, {
+      onProgress: (done) => {
+        const n = done.filter((r) => r.status === "updated" || r.status === "error").length;
+        process.stderr.write(`\rapplied ${n}/${plan.filter((r) => r.status === "change").length}`);
+      },
+    });
+    process.stderr.write("\n");
+  }
+
+  printRows(rows);
+  const counts = summarizeTagCommands(rows);
+  console.log(
+    `\n${apply ? "Applied" : "Dry run"}: ${Object.entries(counts)
+      .map(([k, v]) => `${v} ${k}`)
+      .join(", ")}${apply ? "" : ". Re-run with --apply to make the changes."}`
+  );
+
+  if (logFile) {
+    await fs.writeFile(logFile, formatTagCommandLog(rows));
+    console.log(`Result log: ${logFile}`);
+  }
+
+  process.exit(rows.some((r) => r.status === "error") ? 1 : 0);
+} catch (e) {
+  console.error("Tag commands failed:", e.message || e);
+  process.exit(1);
+}
@@ -1,832 +1,22 @@
-// server.js (ESM) — Express + Postgres + Shopify App Proxy verification
-// Supports actions: list, get, upsert, delete, orderify, draftpad
+// server.js (ESM) — starts the app built in app.js
 //
-// App Proxy endpoint: /proxy
-// Shopify proxy URL: https://YOUR-STORE.myshopify.com/apps/b2b-lists/proxy
+// ENV: see app.js. Optional: PORT (default 3000)
 //
-// ENV required:
-//   DATABASE_URL
-//   SHOPIFY_APP_SECRET
-//   SHOPIFY_STORE_DOMAIN
-//   SHOPIFY_ADMIN_ACCESS_TOKEN
-//
-// Optional:
-//   PORT (default 3000)
-
-import express from "express";
-import crypto from "crypto";
-import pg from "pg";
-
-const { Pool } = pg;
+// Migrations run (or, with MIGRATE_ON_START=0, are checked) before the port
+// opens; if that fails the process exits instead of serving a stale schema.
 
-const app = express();
-app.set("trust proxy", 1);
+import { app, migrateDatabase, startBackgroundJobs } from "./app.js";
 
 const PORT = process.env.PORT || 3000;
-const DATABASE_URL = process.env.DATABASE_URL;
-const SHOPIFY_APP_SECRET = process.env.SHOPIFY_APP_SECRET;
-const SHOPIFY_STORE_DOMAIN = process.env.SHOPIFY_STORE_DOMAIN;
-const SHOPIFY_ADMIN_ACCESS_TOKEN = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
-
-if (!DATABASE_URL) console.warn("Missing env DATABASE_URL");
-if (!SHOPIFY_APP_SECRET) console.warn("Missing env SHOPIFY_APP_SECRET");
-if (!SHOPIFY_STORE_DOMAIN) console.warn("Missing env SHOPIFY_STORE_DOMAIN");
-if (!SHOPIFY_ADMIN_ACCESS_TOKEN) console.warn("Missing env SHOPIFY_ADMIN_ACCESS_TOKEN");
-
-const pool = new Pool({
-  connectionString: DATABASE_URL,
-  ssl: process.env.NODE_ENV === "production" ? { rejectUnauthorized: false } : false,
-});
-
-// ---------- helpers ----------
-function json(res, status, obj) {
-  res.status(status);
-  res.setHeader("Content-Type", "application/json; charset=utf-8");
-  res.send(JSON.stringify(obj));
-}
-
-function customerGidFromNumericId(customerIdNumeric) {
-  if (!customerIdNumeric) return null;
-  return `gid://shopify/Customer/${customerIdNumeric}`;
-}
-
-function orderGidFromNumericId(orderIdNumeric) {
-  if (!orderIdNumeric) return null;
-  return `gid://shopify/Order/${orderIdNumeric}`;
-}
-
-function normalizeCustomerId(raw) {
-  if (raw == null) return null;
-  const s = String(raw).trim();
-  if (!s) return null;
-  if (!/^\d+$/.test(s)) return null;
-  return s;
-}
-
-function nowIso() {
-  return Date.now().toString();
-}
-
-function safeParseItems(itemsStr) {
-  if (!itemsStr) return [];
-  try {
-    const arr = JSON.parse(itemsStr);
-    if (!Array.isArray(arr)) return [];
-    return arr
-      .map((x) => ({
-        sku: (x?.sku || "").toString().trim(),
-        quantity: Number.parseInt(x?.quantity ?? 1, 10),
-      }))
-      .filter((x) => x.sku && Number.isFinite(x.quantity) && x.quantity > 0)
-      .map((x) => ({ sku: x.sku, quantity: x.quantity }));
-  } catch {
-    return [];
-  }
-}
-
-function safeParseCartItems(cartItemsStr) {
-  if (!cartItemsStr) return [];
-  try {
-    const arr = JSON.parse(cartItemsStr);
-    if (!Array.isArray(arr)) return [];
-    return arr;
-  } catch {
-    return [];
-  }
-}
 
-function toVariantGid(variantId) {
-  const n = Number.parseInt(String(variantId || "").trim(), 10);
-  if (!Number.isFinite(n) || n <= 0) return null;
-  return `gid://shopify/ProductVariant/${n}`;
+try {
+  await migrateDatabase();
+} catch (e) {
+  console.error("Database migration failed:", e.message || e);
+  process.exit(1);
 }
 
-async function shopifyGql(query, variables = {}) {
-  if (!SHOPIFY_STORE_DOMAIN || !SHOPIFY_ADMIN_ACCESS_TOKEN) {
-    throw new Error("Missing SHOPIFY_STORE_DOMAIN or SHOPIFY_ADMIN_ACCESS_TOKEN");
-  }
-
-  const url = `https://${SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/graphql.json`;
-
-  const r = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": SHOPIFY_ADMIN_ACCESS_TOKEN,
-      Accept: "application/json",
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const text = await r.text();
-  let data = null;
-  try {
-    data = JSON.parse(text);
-  } catch {
-    const snippet = (text || "").replace(/\s+/g, " ").slice(0, 220);
-    throw new Error(`Non-JSON from Shopify Admin API (${r.status}): ${snippet}`);
-  }
-
-  if (!r.ok) {
-    throw new Error(data?.errors?.[0]?.message || `Shopify Admin API HTTP ${r.status}`);
-  }
-
-  if (data?.errors && Array.isArray(data.errors) && data.errors.length) {
-    const msg = data.errors.map((e) => e.message).filter(Boolean).join(" | ");
-    throw new Error(msg || "Shopify GraphQL error");
-  }
-
-  return data.data;
-}
-
-function verifyAppProxy(req, res, next) {
-  try {
-    if (!SHOPIFY_APP_SECRET) return next();
-
-    const q = { ...req.query };
-    const provided = (q.signature || "").toString();
-    if (!provided) return json(res, 401, { ok: false, error: "Missing signature" });
-
-    delete q.signature;
-
-    const message = Object.keys(q)
-      .sort()
-      .map((k) => `${k}=${Array.isArray(q[k]) ? q[k].join(",") : q[k]}`)
-      .join("");
-
-    const digest = crypto.createHmac("sha256", SHOPIFY_APP_SECRET).update(message).digest("hex");
-
-    const a = Buffer.from(digest, "utf8");
-    const b = Buffer.from(provided, "utf8");
-    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
-      return json(res, 401, { ok: false, error: "Invalid signature" });
-    }
-
-    next();
-  } catch (e) {
-    console.error("Proxy verify error:", e);
-    return json(res, 500, { ok: false, error: "Proxy verification failed" });
-  }
-}
-
-function verifyWebhookHmac(rawBody, hmacHeader) {
-  if (!SHOPIFY_APP_SECRET || !rawBody || !hmacHeader) return false;
-
-  const digest = crypto
-    .createHmac("sha256", SHOPIFY_APP_SECRET)
-    .update(rawBody)
-    .digest("base64");
-
-  const a = Buffer.from(digest, "utf8");
-  const b = Buffer.from(hmacHeader, "utf8");
-  if (a.length !== b.length) return false;
-
-  return crypto.timingSafeEqual(a, b);
-}
-
-function extractOrderPadJsonFromNote(note) {
-  if (!note) return null;
-
-  const lines = String(note).split("\n");
-  const result = {
-    note: "",
-    raw_lines: [],
-    cart_items: [],
-    po_number: "",
-    contact_name: "",
-    contact_phone: "",
-    po_file_url: "",
-    company_name: "",
-    location_name: "",
-    customer_email: "",
-    created_at: new Date().toISOString(),
-  };
-
-  let seenDivider = false;
-
-  for (const raw of lines) {
-    const line = raw.trim();
-    if (!line) continue;
-
-    if (line === "---") {
-      seenDivider = true;
-      continue;
-    }
-
-    if (!seenDivider) {
-      if (line.startsWith("Email: ")) result.customer_email = line.replace("Email: ", "").trim();
-      else if (line.startsWith("Company: ")) result.company_name = line.replace("Company: ", "").trim();
-      else if (line.startsWith("Location: ")) result.location_name = line.replace("Location: ", "").trim();
-      else if (line.startsWith("PO Number: ")) result.po_number = line.replace("PO Number: ", "").trim();
-      else if (line.startsWith("Site Contact: ")) result.contact_name = line.replace("Site Contact: ", "").trim();
-      else if (line.startsWith("Site Contact Phone: ")) result.contact_phone = line.replace("Site Contact Phone: ", "").trim();
-      else if (line.startsWith("PO File: ")) result.po_file_url = line.replace("PO File: ", "").trim();
-      continue;
-    }
-
-    result.raw_lines.push(line);
-  }
-
-  result.note = result.raw_lines.join("\n");
-
-  if (
-    !result.note &&
-    !result.po_number &&
-    !result.contact_name &&
-    !result.contact_phone &&
-    !result.po_file_url &&
-    !result.company_name &&
-    !result.location_name &&
-    !result.customer_email
-  ) {
-    return null;
-  }
-
-  return result;
-}
-
-// ---------- webhook route FIRST ----------
-app.post("/webhooks/orders-create", express.raw({ type: "application/json" }), async (req, res) => {
-  try {
-    console.log("orders-create webhook hit");
-    console.log("orders-create webhook topic:", req.get("X-Shopify-Topic"));
-    console.log("orders-create webhook shop:", req.get("X-Shopify-Shop-Domain"));
-
-    const hmacHeader = req.get("X-Shopify-Hmac-SHA256") || "";
-    const rawBody = req.body;
-
-    if (!verifyWebhookHmac(rawBody, hmacHeader)) {
-      console.error("orders-create webhook invalid HMAC");
-      return res.status(401).send("Invalid HMAC");
-    }
-
-    const payload = JSON.parse(rawBody.toString("utf8"));
-    const orderId = payload?.id;
-    const note = (payload?.note || "").toString();
-
-    if (!orderId) {
-      return res.status(200).send("No order id");
-    }
-
-    if (!note.includes("Order Pad Submission")) {
-      return res.status(200).send("Not an order pad order");
-    }
-
-    const orderPadData = extractOrderPadJsonFromNote(note);
-    if (!orderPadData) {
-      return res.status(200).send("No order pad data found");
-    }
-
-    const mutation = `
-      mutation setOrderMetafield($metafields: [MetafieldsSetInput!]!) {
-        metafieldsSet(metafields: $metafields) {
-          metafields {
-            id
-            namespace
-            key
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-
-    const result = await shopifyGql(mutation, {
-      metafields: [
-        {
-          ownerId: orderGidFromNumericId(orderId),
-          namespace: "custom",
-          key: "orderpad_items",
-          type: "json",
-          value: JSON.stringify(orderPadData),
-        },
-      ],
-    });
-
-    const errs = result?.metafieldsSet?.userErrors || [];
-    if (errs.length) {
-      console.error("orders-create webhook metafield errors:", errs);
-    } else {
-      console.log("orders-create webhook metafield saved for order", orderId);
-    }
-
-    return res.status(200).send("OK");
-  } catch (e) {
-    console.error("orders-create webhook failed:", e);
-    return res.status(500).send("Server error");
-  }
+app.listen(PORT, () => {
+  console.log(`Server listening on ${PORT}`);
+  startBackgroundJobs();
 });
-
-// IMPORTANT: App Proxy often breaks with JSON bodies; keep urlencoded enabled.
-app.use(express.urlencoded({ extended: false }));
-
-// ---------- DB init ----------
-async function ensureSchema() {
-  try {
-    await pool.query(`CREATE EXTENSION IF NOT EXISTS pgcrypto;`);
-  } catch (e) {}
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS lists (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      customer_id BIGINT NOT NULL,
-      name TEXT NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    );
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS list_items (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      list_id UUID NOT NULL REFERENCES lists(id) ON DELETE CASCADE,
-      sku TEXT NOT NULL,
-      quantity INT NOT NULL DEFAULT 1,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    );
-  `);
-
-  await pool.query(`CREATE INDEX IF NOT EXISTS idx_lists_customer_id ON lists(customer_id);`);
-  await pool.query(`CREATE INDEX IF NOT EXISTS idx_list_items_list_id ON list_items(list_id);`);
-}
-
-ensureSchema().catch((e) => console.error("Schema init failed:", e));
-
-// ---------- routes ----------
-app.get("/health", (req, res) => json(res, 200, { ok: true, ts: nowIso() }));
-
-app.get("/proxy-ping/proxy", (req, res) =>
-  json(res, 200, {
-    ok: true,
-    pong: true,
-    shop: req.query.shop || null,
-    path_prefix: req.query.path_prefix || null,
-    ts: nowIso(),
-  })
-);
-
-app.get("/list-webhooks", async (req, res) => {
-  try {
-    const query = `
-      query {
-        webhookSubscriptions(first: 50) {
-          edges {
-            node {
-              id
-              topic
-              endpoint {
-                __typename
-                ... on WebhookHttpEndpoint {
-                  callbackUrl
-                }
-              }
-            }
-          }
-        }
-      }
-    `;
-
-    const result = await shopifyGql(query);
-    return json(res, 200, { ok: true, result });
-  } catch (e) {
-    console.error("List webhooks failed:", e);
-    return json(res, 500, { ok: false, error: e.message || "List webhooks failed" });
-  }
-});
-
-app.get("/delete-webhook", async (req, res) => {
-  try {
-    const id = (req.query.id || "").toString().trim();
-    if (!id) return json(res, 400, { ok: false, error: "Missing id" });
-
-    const mutation = `
-      mutation webhookSubscriptionDelete($id: ID!) {
-        webhookSubscriptionDelete(id: $id) {
-          deletedWebhookSubscriptionId
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-
-    const result = await shopifyGql(mutation, { id });
-    return json(res, 200, { ok: true, result });
-  } catch (e) {
-    console.error("Delete webhook failed:", e);
-    return json(res, 500, { ok: false, error: e.message || "Delete webhook failed" });
-  }
-});
-
-app.get("/register-orders-create-webhook", async (req, res) => {
-  try {
-    const mutation = `
-      mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $subscription: WebhookSubscriptionInput!) {
-        webhookSubscriptionCreate(topic: $topic, webhookSubscription: $subscription) {
-          webhookSubscription {
-            id
-            topic
-            endpoint {
-              __typename
-            }
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-
-    const callbackUrl = `https://${req.get("host")}/webhooks/orders-create`;
-
-    const result = await shopifyGql(mutation, {
-      topic: "ORDERS_CREATE",
-      subscription: {
-        callbackUrl,
-        format: "JSON",
-      },
-    });
-
-    return json(res, 200, { ok: true, callbackUrl, result });
-  } catch (e) {
-    console.error("Webhook registration failed:", e);
-    return json(res, 500, { ok: false, error: e.message || "Webhook registration failed" });
-  }
-});
-
-// ---------- Main App Proxy endpoint ----------
-app.all("/proxy", verifyAppProxy, async (req, res) => {
-  try {
-    const action = (req.query.action || req.query.actions || "").toString().trim();
-    const method = req.method.toUpperCase();
-
-    const customerId = normalizeCustomerId(req.query.customer_id || req.body?.customer_id);
-    if (!customerId) {
-      return json(res, 400, { ok: false, error: "Missing customer_id" });
-    }
-
-    const allowed = {
-      list: ["GET"],
-      get: ["GET"],
-      orderify: ["GET"],
-      upsert: ["POST"],
-      delete: ["POST"],
-      draftpad: ["POST"],
-    };
-
-    if (!action || !allowed[action] || !allowed[action].includes(method)) {
-      return json(res, 400, {
-        ok: false,
-        error: `Unsupported action/method. action=${action || "(missing)"} method=${method}`,
-      });
-    }
-
-    switch (action) {
-      case "list": {
-        const listsRes = await pool.query(
-          `
-          SELECT
-            l.id,
-            l.name,
-            EXTRACT(EPOCH FROM l.updated_at) * 1000 AS updated_at_ms,
-            (
-              SELECT COUNT(*)
-              FROM list_items li
-              WHERE li.list_id = l.id
-            ) AS item_count
-          FROM lists l
-          WHERE l.customer_id = $1
-          ORDER BY l.updated_at DESC
-        `,
-          [customerId]
-        );
-
-        const lists = listsRes.rows.map((r) => ({
-          id: r.id,
-          name: r.name,
-          updated_at: r.updated_at_ms ? String(Math.trunc(r.updated_at_ms)) : null,
-          items: [],
-          item_count: Number(r.item_count || 0),
-        }));
-
-        return json(res, 200, { ok: true, lists });
-      }
-
-      case "get": {
-        const listId = (req.query.list_id || req.body?.list_id || "").toString().trim();
-        if (!listId) return json(res, 400, { ok: false, error: "Missing list_id" });
-
-        const listRes = await pool.query(
-          `
-          SELECT id, name, EXTRACT(EPOCH FROM updated_at) * 1000 AS updated_at_ms
-          FROM lists
-          WHERE id = $1 AND customer_id = $2
-          LIMIT 1
-        `,
-          [listId, customerId]
-        );
-
-        if (!listRes.rows.length) return json(res, 404, { ok: false, error: "List not found" });
-
-        const itemsRes = await pool.query(
-          `
-          SELECT sku, quantity
-          FROM list_items
-          WHERE list_id = $1
-          ORDER BY created_at ASC
-        `,
-          [listId]
-        );
-
-        return json(res, 200, {
-          ok: true,
-          list: {
-            id: listRes.rows[0].id,
-            name: listRes.rows[0].name,
-            updated_at: listRes.rows[0].updated_at_ms
-              ? String(Math.trunc(listRes.rows[0].updated_at_ms))
-              : null,
-            items: itemsRes.rows.map((x) => ({ sku: x.sku, quantity: Number(x.quantity || 1) })),
-          },
-        });
-      }
-
-      case "upsert": {
-        const listIdRaw = (req.body?.list_id || "").toString().trim();
-        const name = (req.body?.name || "").toString().trim();
-        const items = safeParseItems(req.body?.items);
-
-        if (!name) return json(res, 400, { ok: false, error: "Missing name" });
-        if (!items.length) return json(res, 400, { ok: false, error: "No valid items provided" });
-
-        const client = await pool.connect();
-        try {
-          await client.query("BEGIN");
-
-          let listId = listIdRaw;
-
-          if (listId) {
-            const up = await client.query(
-              `
-              UPDATE lists
-              SET name = $1, updated_at = NOW()
-              WHERE id = $2 AND customer_id = $3
-              RETURNING id
-            `,
-              [name, listId, customerId]
-            );
-
-            if (!up.rows.length) {
-              const ins = await client.query(
-                `
-                INSERT INTO lists (customer_id, name)
-                VALUES ($1, $2)
-                RETURNING id
-              `,
-                [customerId, name]
-              );
-              listId = ins.rows[0].id;
-            }
-          } else {
-            const ins = await client.query(
-              `
-              INSERT INTO lists (customer_id, name)
-              VALUES ($1, $2)
-              RETURNING id
-            `,
-              [customerId, name]
-            );
-            listId = ins.rows[0].id;
-          }
-
-          await client.query(`DELETE FROM list_items WHERE list_id = $1`, [listId]);
-
-          const values = [];
-          const params = [];
-          let i = 1;
-          for (const it of items) {
-            values.push(`($${i++}, $${i++}, $${i++})`);
-            params.push(listId, it.sku, it.quantity);
-          }
-
-          await client.query(
-            `
-            INSERT INTO list_items (list_id, sku, quantity)
-            VALUES ${values.join(",")}
-          `,
-            params
-          );
-
-          await client.query("COMMIT");
-          return json(res, 200, { ok: true, list_id: listId });
-        } catch (e) {
-          await client.query("ROLLBACK");
-          console.error("Upsert failed:", e);
-          return json(res, 500, { ok: false, error: "Server error" });
-        } finally {
-          client.release();
-        }
-      }
-
-      case "delete": {
-        const listId = (req.body?.list_id || req.query.list_id || "").toString().trim();
-        if (!listId) return json(res, 400, { ok: false, error: "Missing list_id" });
-
-        const del = await pool.query(
-          `
-          DELETE FROM lists
-          WHERE id = $1 AND customer_id = $2
-          RETURNING id
-        `,
-          [listId, customerId]
-        );
-
-        if (!del.rows.length) return json(res, 404, { ok: false, error: "List not found" });
-        return json(res, 200, { ok: true });
-      }
-
-      case "orderify": {
-        const listId = (req.query.list_id || "").toString().trim();
-        if (!listId) return json(res, 400, { ok: false, error: "Missing list_id" });
-
-        const listRes = await pool.query(
-          `SELECT id FROM lists WHERE id = $1 AND customer_id = $2 LIMIT 1`,
-          [listId, customerId]
-        );
-        if (!listRes.rows.length) return json(res, 404, { ok: false, error: "List not found" });
-
-        const itemsRes = await pool.query(
-          `
-          SELECT sku, quantity
-          FROM list_items
-          WHERE list_id = $1
-          ORDER BY created_at ASC
-        `,
-          [listId]
-        );
-
-        return json(res, 200, {
-          ok: true,
-          items: itemsRes.rows.map((x) => ({ sku: x.sku, quantity: Number(x.quantity || 1) })),
-        });
-      }
-
-      case "draftpad": {
-        const note = (req.body?.note || "").toString().trim();
-        const companyName = (req.body?.company_name || "").toString().trim();
-        const locationName = (req.body?.location_name || "").toString().trim();
-        const customerEmail = (req.body?.customer_email || "").toString().trim();
-
-        const poNumber = (req.body?.po_number || "").toString().trim();
-        const siteContactName = (req.body?.site_contact_name || "").toString().trim();
-        const siteContactPhone = (req.body?.site_contact_phone || "").toString().trim();
-        const poFileUrl = (req.body?.po_file_url || "").toString().trim();
-
-        const cartItems = safeParseCartItems(req.body?.cart_items);
-
-        if (!note && (!cartItems || cartItems.length === 0)) {
-          return json(res, 400, { ok: false, error: "Please paste items or add items to cart." });
-        }
-
-        let header = "Order Pad Submission";
-        header += `\nCustomer ID: ${customerId}`;
-        if (customerEmail) header += `\nEmail: ${customerEmail}`;
-        if (companyName) header += `\nCompany: ${companyName}`;
-        if (locationName) header += `\nLocation: ${locationName}`;
-        if (poNumber) header += `\nPO Number: ${poNumber}`;
-        if (siteContactName) header += `\nSite Contact: ${siteContactName}`;
-        if (siteContactPhone) header += `\nSite Contact Phone: ${siteContactPhone}`;
-        if (poFileUrl) header += `\nPO File: ${poFileUrl}`;
-
-        const finalNote = (header + (note ? "\n\n---\n" + note : "")).trim();
-
-        const lineItems = [];
-        if (Array.isArray(cartItems) && cartItems.length) {
-          for (const it of cartItems) {
-            const gid = toVariantGid(it?.variant_id);
-            const qty = Number.parseInt(it?.quantity ?? 1, 10);
-            if (!gid || !Number.isFinite(qty) || qty <= 0) continue;
-            lineItems.push({ variantId: gid, quantity: qty });
-          }
-        }
-
-        if (!lineItems.length) {
-          lineItems.push({
-            title: "Order Pad Submission",
-            quantity: 1,
-            originalUnitPrice: "0.00",
-          });
-        }
-
-        const mutation = `
-          mutation DraftOrderCreate($input: DraftOrderInput!) {
-            draftOrderCreate(input: $input) {
-              draftOrder {
-                id
-                name
-                metafields(first: 10) {
-                  edges {
-                    node {
-                      namespace
-                      key
-                      type
-                      value
-                    }
-                  }
-                }
-              }
-              userErrors {
-                field
-                message
-              }
-            }
-          }
-        `;
-
-        const orderPadData = {
-          note,
-          raw_lines: note ? note.split("\n").map((line) => line.trim()).filter(Boolean) : [],
-          cart_items: (cartItems || []).map((it) => ({
-            sku: (it?.sku || it?.variant_sku || "").toString().trim(),
-            title: (it?.product_title || it?.title || "").toString().trim(),
-            quantity: Number(it?.quantity || 1),
-            variant_id: it?.variant_id ? String(it.variant_id) : "",
-          })),
-          po_number: poNumber || "",
-          contact_name: siteContactName || "",
-          contact_phone: siteContactPhone || "",
-          po_file_url: poFileUrl || "",
-          company_name: companyName || "",
-          location_name: locationName || "",
-          customer_email: customerEmail || "",
-          created_at: new Date().toISOString(),
-        };
-
-        const input = {
-          customerId: customerGidFromNumericId(customerId),
-          ...(customerEmail ? { email: customerEmail } : {}),
-          note: finalNote,
-          lineItems,
-          metafields: [
-            {
-              namespace: "custom",
-              key: "orderpad_items",
-              type: "json",
-              value: JSON.stringify(orderPadData),
-            },
-          ],
-        };
-
-        console.log("ORDERPAD DATA:", JSON.stringify(orderPadData, null, 2));
-        console.log("INPUT METAFIELDS:", JSON.stringify(input.metafields, null, 2));
-
-        try {
-          const data = await shopifyGql(mutation, { input });
-          const out = data?.draftOrderCreate;
-          const userErrors = out?.userErrors || [];
-
-          console.log("draftOrderCreate userErrors:", JSON.stringify(userErrors, null, 2));
-          console.log(
-            "draftOrderCreate metafields:",
-            JSON.stringify(out?.draftOrder?.metafields?.edges || [], null, 2)
-          );
-
-          if (userErrors.length) {
-            return json(res, 200, {
-              ok: false,
-              error: userErrors.map((e) => e.message).join(" | "),
-            });
-          }
-
-          if (!out?.draftOrder?.id) {
-            return json(res, 200, { ok: false, error: "Draft order not created" });
-          }
-
-          return json(res, 200, {
-            ok: true,
-            draft_order_id: out.draftOrder.id,
-            draft_order_name: out.draftOrder.name || null,
-          });
-        } catch (e) {
-          console.error("draftpad failed:", e);
-          return json(res, 200, { ok: false, error: e.message || "Draft order not created" });
-        }
-      }
-
-      default:
-        return json(res, 400, { ok: false, error: "Unsupported action" });
-    }
-  } catch (e) {
-    console.error("Proxy handler error:", e);
-    return json(res, 500, { ok: false, error: "Server error" });
-  }
-});
-
-app.use((req, res) => json(res, 404, { ok: false, error: "Not found" }));
-
-app.listen(PORT, () => console.log(`Server listening on ${PORT}`));
\ No newline at end of file
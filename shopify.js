@@ -0,0 +1,195 @@
+// shopify.js (ESM) — Shopify Admin GraphQL client shared by the server and CLI scripts
+//
+// ENV required:
+//   SHOPIFY_STORE_DOMAIN
+//   SHOPIFY_ADMIN_ACCESS_TOKEN
+//
+// Optional:
+//   SHOPIFY_API_VERSION (default 2025-01)
+//   SHOPIFY_ADMIN_API_URL (full GraphQL endpoint; overrides the store URL, e.g. a local mock server)
+//   SHOPIFY_TIMEOUT_MS (per request, default 30000)
+//   SHOPIFY_MAX_RETRIES (default 5)
+//
+// Requests wait for the cost bucket (extensions.cost.throttleStatus) to refill
+// before sending when the last query would not fit, and retry on HTTP 429,
+// 5xx, network errors, timeouts and THROTTLED errors with backoff. Mutations
+// are only retried when Shopify did not run them (429 / THROTTLED) unless the
+// caller passes { idempotent: true }, so a timed-out draftOrderCreate is never
+// sent twice.
+
+const DEFAULT_API_VERSION = "2025-01";
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function envInt(name, fallback) {
+  const n = Number.parseInt(process.env[name] || "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function backoffMs(attempt) {
+  const ms = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+  return Math.round(ms / 2 + Math.random() * (ms / 2));
+}
+
+function isMutation(query) {
+  return /^\s*mutation\b/.test(query.replace(/^\s*#.*$/gm, ""));
+}
+
+// An Error with what the caller may need to decide what to do next.
+function apiError(message, { status = null, retryable = false, code = null } = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.retryable = retryable;
+  e.code = code;
+  return e;
+}
+
+export function createShopifyClient({
+  storeDomain = process.env.SHOPIFY_STORE_DOMAIN,
+  accessToken = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN,
+  apiVersion = process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+  endpoint = process.env.SHOPIFY_ADMIN_API_URL,
+  timeoutMs = envInt("SHOPIFY_TIMEOUT_MS", 30 * 1000),
+  maxRetries = envInt("SHOPIFY_MAX_RETRIES", 5),
+  fetchImpl = (...args) => fetch(...args),
+} = {}) {
+  // Last seen cost bucket, used to wait before a query that would be throttled.
+  const bucket = { available: null, max: null, restoreRate: null, lastCost: 0, at: 0 };
+
+  function availableNow() {
+    if (bucket.available == null) return Infinity;
+    const refilled = bucket.available + (bucket.restoreRate * (Date.now() - bucket.at)) / 1000;
+    return Math.min(bucket.max ?? Infinity, refilled);
+  }
+
+  function noteCost(cost) {
+    const t = cost?.throttleStatus;
+    if (!t) return;
+    bucket.available = Number(t.currentlyAvailable);
+    bucket.max = Number(t.maximumAvailable);
+    bucket.restoreRate = Number(t.restoreRate) || 50;
+    bucket.lastCost = Number(cost.requestedQueryCost) || 0;
+    bucket.at = Date.now();
+  }
+
+  async function waitForBucket(cost) {
+    const short = cost - availableNow();
+    if (short > 0 && bucket.restoreRate) await sleep(Math.ceil((short / bucket.restoreRate) * 1000));
+  }
+
+  async function send(url, query, variables) {
+    const ac = new AbortController();
+    const timer = setTimeout(() => ac.abort(), timeoutMs);
+    let r;
+    let text;
+    try {
+      r = await fetchImpl(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Shopify-Access-Token": accessToken,
+          Accept: "application/json",
+        },
+        body: JSON.stringify({ query, variables }),
+        signal: ac.signal,
+      });
+      text = await r.text();
+    } catch (e) {
+      const msg = ac.signal.aborted ? `Shopify Admin API timed out after ${timeoutMs}ms` : e.message || String(e);
+      throw apiError(msg, { retryable: true, code: ac.signal.aborted ? "TIMEOUT" : "NETWORK" });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      const snippet = (text || "").replace(/\s+/g, " ").slice(0, 220);
+      throw apiError(`Non-JSON from Shopify Admin API (${r.status}): ${snippet}`, {
+        status: r.status,
+        retryable: r.status === 429 || r.status >= 500,
+      });
+    }
+
+    noteCost(data?.extensions?.cost);
+
+    if (!r.ok) {
+      const e = apiError(data?.errors?.[0]?.message || data?.errors || `Shopify Admin API HTTP ${r.status}`, {
+        status: r.status,
+        retryable: r.status === 429 || r.status >= 500,
+        code: r.status === 429 ? "THROTTLED" : null,
+      });
+      const retryAfter = Number.parseFloat(r.headers.get("Retry-After") || "");
+      if (Number.isFinite(retryAfter)) e.retryAfterMs = retryAfter * 1000;
+      throw e;
+    }
+
+    if (data?.errors && Array.isArray(data.errors) && data.errors.length) {
+      const throttled = data.errors.some((x) => x?.extensions?.code === "THROTTLED");
+      const msg = data.errors.map((x) => x.message).filter(Boolean).join(" | ");
+      throw apiError(msg || "Shopify GraphQL error", {
+        status: r.status,
+        retryable: throttled,
+        code: throttled ? "THROTTLED" : data.errors[0]?.extensions?.code || null,
+      });
+    }
+
+    return data.data;
+  }
+
+  async function gql(query, variables = {}, { idempotent = !isMutation(query) } = {}) {
+    if (!endpoint && (!storeDomain || !accessToken)) {
+      throw new Error("Missing SHOPIFY_STORE_DOMAIN or SHOPIFY_ADMIN_ACCESS_TOKEN");
+    }
+    const url = endpoint || `https://${storeDomain}/admin/api/${apiVersion}/graphql.json`;
+
+    for (let attempt = 1; ; attempt++) {
+      await waitForBucket(bucket.lastCost);
+      try {
+        return await send(url, query, variables);
+      } catch (e) {
+        // Throttled requests never ran; anything else may have.
+        const safe = e.code === "THROTTLED" || idempotent;
+        if (!e.retryable || !safe || attempt > maxRetries) throw e;
+
+        let wait = e.retryAfterMs ?? backoffMs(attempt);
+        if (e.code === "THROTTLED" && bucket.restoreRate) {
+          const short = bucket.lastCost - availableNow();
+          wait = Math.max(wait, Math.ceil((short / bucket.restoreRate) * 1000));
+        }
+        console.warn(`Shopify Admin API: ${e.message}; retry ${attempt}/${maxRetries} in ${wait}ms`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  // Yields every node of a cursor-paginated connection. The query must take
+  // $first and $after and select pageInfo { hasNextPage endCursor } plus
+  // edges { node } or nodes; getConnection picks the connection out of data.
+  async function* paginate(query, variables, getConnection, { pageSize = 100 } = {}) {
+    let after = null;
+    for (;;) {
+      const data = await gql(query, { ...variables, first: pageSize, after });
+      const conn = getConnection(data);
+      const nodes = conn?.nodes || (conn?.edges || []).map((e) => e?.node);
+      for (const n of nodes) if (n) yield n;
+      if (!conn?.pageInfo?.hasNextPage) return;
+      after = conn.pageInfo.endCursor;
+    }
+  }
+
+  return { gql, paginate, apiVersion };
+}
+
+const defaultClient = createShopifyClient();
+
+export function shopifyGql(query, variables = {}, options) {
+  return defaultClient.gql(query, variables, options);
+}
+
+export function shopifyPaginate(query, variables, getConnection, options) {
+  return defaultClient.paginate(query, variables, getConnection, options);
+}
@@ -0,0 +1,270 @@
+// tag-commands.js (ESM) — bulk product tag commands from CSV
+//
+// Reads the `ID,Tags Command` format used by promo files such as
+// bosch_promo_tags.csv:
+//
+//   ID,Tags Command
+//   8876602851615,Bosch-bonus-GBA18V40 | MERGE
+//
+// The tags before "|" are comma-separated; the command is MERGE (add the
+// tags), REPLACE (the product ends up with exactly these tags) or DELETE
+// (remove the tags). A cell without "|" is treated as MERGE.
+//
+// planTagCommands reads each product's current tags and computes the result
+// without writing anything (the dry run). applyTagCommands then sends the
+// changes in small batches of aliased mutations with a pause between
+// batches; shopify.js also waits on the Admin API cost bucket. Both return one result
+// row per CSV row; formatTagCommandLog turns them into a CSV log. Used by
+// scripts/tag-commands.js and the /admin/tag-commands routes.
+
+import { shopifyGql } from "./shopify.js";
+import { splitCsvLine, toCsv } from "./csv.js";
+
+export const TAG_COMMANDS = ["MERGE", "REPLACE", "DELETE"];
+
+const TAG_LOOKUP_BATCH = 50;
+const TAG_MUTATION_BATCH = 10;
+const TAG_BATCH_DELAY_MS = 1000;
+
+export function productGid(raw) {
+  const v = String(raw || "").trim();
+  if (/^\d+$/.test(v)) return `gid://shopify/Product/${v}`;
+  if (/^gid:\/\/shopify\/Product\/\d+$/.test(v)) return v;
+  return null;
+}
+
+// Shopify tags are case-insensitive; the first spelling wins.
+function uniqueTags(tags) {
+  const seen = new Set();
+  const out = [];
+  for (const t of tags) {
+    const tag = String(t || "").trim();
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) continue;
+    seen.add(key);
+    out.push(tag);
+  }
+  return out;
+}
+
+export function parseTagCommand(cell) {
+  const text = String(cell || "").trim();
+  const bar = text.lastIndexOf("|");
+  const tagsPart = bar >= 0 ? text.slice(0, bar) : text;
+  const command = bar >= 0 ? text.slice(bar + 1).trim().toUpperCase() : "MERGE";
+
+  if (!TAG_COMMANDS.includes(command)) return { error: `Unknown tags command "${command}"` };
+  const tags = uniqueTags(tagsPart.split(","));
+  if (!tags.length && command !== "REPLACE") return { error: "No tags" };
+  return { command, tags };
+}
+
+// Returns { commands: [{ row, id, product_id, command, tags }], errors: [{ row, id, error }] }.
+// row is the 1-based line number in the file.
+export function parseTagCommandCsv(text) {
+  const lines = String(text || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/);
+
+  const commands = [];
+  const errors = [];
+
+  const headerAt = lines.findIndex((l) => l.trim());
+  const header = headerAt >= 0 ? splitCsvLine(lines[headerAt]).map((c) => c.toLowerCase()) : [];
+  const idCol = header.indexOf("id");
+  const cmdCol = header.indexOf("tags command");
+  if (idCol < 0 || cmdCol < 0) {
+    errors.push({ row: headerAt + 1, id: "", error: 'Header must have "ID" and "Tags Command" columns' });
+    return { commands, errors };
+  }
+
+  for (let i = headerAt + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const cells = splitCsvLine(lines[i]);
+    const id = cells[idCol] || "";
+    const row = i + 1;
+
+    const product_id = productGid(id);
+    if (!product_id) {
+      errors.push({ row, id, error: "Invalid product ID" });
+      continue;
+    }
+
+    const parsed = parseTagCommand(cells[cmdCol]);
+    if (parsed.error) {
+      errors.push({ row, id, error: parsed.error });
+      continue;
+    }
+
+    commands.push({ row, id, product_id, command: parsed.command, tags: parsed.tags });
+  }
+
+  return { commands, errors };
+}
+
+export function resultingTags(current, command, tags) {
+  if (command === "REPLACE") return uniqueTags(tags);
+  if (command === "DELETE") {
+    const drop = new Set(tags.map((t) => t.toLowerCase()));
+    return current.filter((t) => !drop.has(t.toLowerCase()));
+  }
+  return uniqueTags([...current, ...tags]);
+}
+
+function sameTags(a, b) {
+  if (a.length !== b.length) return false;
+  const set = new Set(a.map((t) => t.toLowerCase()));
+  return b.every((t) => set.has(t.toLowerCase()));
+}
+
+// Map product GID -> { title, tags }. Missing or deleted products are absent.
+export async function fetchProductTags(productIds) {
+  const query = `
+    query ProductTags($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          title
+          tags
+        }
+      }
+    }
+  `;
+
+  const out = new Map();
+  const ids = [...new Set(productIds)];
+  for (let i = 0; i < ids.length; i += TAG_LOOKUP_BATCH) {
+    const data = await shopifyGql(query, { ids: ids.slice(i, i + TAG_LOOKUP_BATCH) });
+    for (const n of data?.nodes || []) {
+      if (n?.id) out.set(n.id, { title: n.title || "", tags: n.tags || [] });
+    }
+  }
+  return out;
+}
+
+// Dry run. Each row gets current_tags, result_tags and a status:
+// "change", "unchanged", "not_found" or "invalid" (from parse errors).
+export async function planTagCommands({ commands, errors = [] }) {
+  const products = await fetchProductTags(commands.map((c) => c.product_id));
+
+  const rows = commands.map((c) => {
+    const p = products.get(c.product_id);
+    if (!p) {
+      return { ...c, title: "", current_tags: [], result_tags: [], status: "not_found", error: "Product not found" };
+    }
+    const result = resultingTags(p.tags, c.command, c.tags);
+    return {
+      ...c,
+      title: p.title,
+      current_tags: p.tags,
+      result_tags: result,
+      status: sameTags(p.tags, result) ? "unchanged" : "change",
+      error: null,
+    };
+  });
+
+  for (const e of errors) {
+    rows.push({
+      row: e.row,
+      id: e.id,
+      product_id: null,
+      command: null,
+      tags: [],
+      title: "",
+      current_tags: [],
+      result_tags: [],
+      status: "invalid",
+      error: e.error,
+    });
+  }
+
+  return rows.sort((a, b) => a.row - b.row);
+}
+
+// MERGE and DELETE use tagsAdd/tagsRemove so tags edited elsewhere since the
+// plan was read are kept; REPLACE sets the full tag list.
+function tagMutationField(row, i) {
+  if (row.command === "REPLACE") {
+    return `productUpdate(product: { id: $id${i}, tags: $tags${i} }) { userErrors { field message } }`;
+  }
+  const name = row.command === "DELETE" ? "tagsRemove" : "tagsAdd";
+  return `${name}(id: $id${i}, tags: $tags${i}) { userErrors { field message } }`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Applies every "change" row. Other rows are passed through. Rows become
+// "updated" or "error"; a failed batch marks its rows and the run goes on.
+// onProgress(rowsSoFar) is called after each batch.
+export async function applyTagCommands(
+  plan,
+  { batchSize = TAG_MUTATION_BATCH, delayMs = TAG_BATCH_DELAY_MS, onProgress } = {}
+) {
+  const results = plan.map((r) => ({ ...r }));
+  const todo = results.filter((r) => r.status === "change");
+
+  for (let start = 0; start < todo.length; start += batchSize) {
+    if (start > 0 && delayMs > 0) await sleep(delayMs);
+
+    const batch = todo.slice(start, start + batchSize);
+    const vars = {};
+    const decls = [];
+    const fields = [];
+    batch.forEach((row, i) => {
+      decls.push(`$id${i}: ID!`, `$tags${i}: [String!]!`);
+      fields.push(`r${i}: ${tagMutationField(row, i)}`);
+      vars[`id${i}`] = row.product_id;
+      vars[`tags${i}`] = row.command === "REPLACE" ? row.result_tags : row.tags;
+    });
+
+    try {
+      // Tag mutations are safe to repeat, so timeouts and 5xx are retried too.
+      const data = await shopifyGql(`mutation TagCommands(${decls.join(", ")}) {\n${fields.join("\n")}\n}`, vars, {
+        idempotent: true,
+      });
+      batch.forEach((row, i) => {
+        const errs = data?.[`r${i}`]?.userErrors || [];
+        if (errs.length) {
+          row.status = "error";
+          row.error = errs.map((e) => e.message).filter(Boolean).join(" | ");
+        } else {
+          row.status = "updated";
+        }
+      });
+    } catch (e) {
+      for (const row of batch) {
+        row.status = "error";
+        row.error = e.message || String(e);
+      }
+    }
+
+    if (onProgress) await onProgress(results);
+  }
+
+  return results;
+}
+
+export function summarizeTagCommands(rows) {
+  const counts = {};
+  for (const r of rows) counts[r.status] = (counts[r.status] || 0) + 1;
+  return counts;
+}
+
+// Per-row result log, one line per CSV row.
+export function formatTagCommandLog(rows) {
+  const header = ["Row", "ID", "Title", "Command", "Tags", "Current Tags", "Result Tags", "Status", "Error"];
+  return toCsv([
+    header,
+    ...rows.map((r) => [
+      r.row,
+      r.id,
+      r.title,
+      r.command || "",
+      r.tags.join(", "),
+      r.current_tags.join(", "),
+      r.result_tags.join(", "),
+      r.status,
+      r.error || "",
+    ]),
+  ]);
+}
@@ -0,0 +1,116 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+
+// Customer 301 buys for Ruiz Concrete (company 9001) at its Fresno yard
+// (location 7001). Location 7999 belongs to another company. Customer 302
+// buys for both Ruiz Concrete and Valley Framing (company 9002, location 7002),
+// which requires a PO number.
+const BUYER = "301";
+const MULTI_BUYER = "302";
+const OWN_LOCATION = "7001";
+const FOREIGN_LOCATION = "7999";
+
+function companyProfile(companyId, name, locations, isMainContact = false) {
+  return {
+    isMainContact,
+    company: { id: `gid://shopify/Company/${companyId}`, name },
+    roleAssignments: {
+      edges: locations.map(([id, locationName]) => ({
+        node: {
+          role: { name: "Ordering only" },
+          companyLocation: { id: `gid://shopify/CompanyLocation/${id}`, name: locationName },
+        },
+      })),
+    },
+  };
+}
+
+const PROFILES = {
+  [`gid://shopify/Customer/${BUYER}`]: [companyProfile(9001, "Ruiz Concrete LLC", [[OWN_LOCATION, "Fresno yard"]])],
+  [`gid://shopify/Customer/${MULTI_BUYER}`]: [
+    companyProfile(9001, "Ruiz Concrete LLC", [[OWN_LOCATION, "Fresno yard"]]),
+    companyProfile(9002, "Valley Framing Inc", [["7002", "Clovis site"]]),
+  ],
+};
+
+describe("company location access", { skip: skipWithoutDb }, () => {
+  let t;
+  let listId;
+
+  const post = (action, form) => t.proxy({ action, customer_id: BUYER }, { method: "POST", form });
+  const get = (action, params) => t.proxy({ action, customer_id: BUYER, ...params });
+
+  before(async () => {
+    t = await startTestApp({
+      variants: { "GBH2-26": { id: "gid://shopify/ProductVariant/501", price: "219.00" } },
+    });
+    const saved = await post("upsert", { name: "Yard", items: [{ sku: "GBH2-26", quantity: 2 }] });
+    listId = saved.body.list_id;
+  });
+  after(() => stopTestApp(t));
+  beforeEach(() => {
+    t.shopify.reset();
+    t.shopify.on("customer", (vars) => ({ companyContactProfiles: PROFILES[vars.id] || [] }));
+  });
+
+  const pricedFor = () =>
+    t.shopify.callsTo("productVariants").map((c) => c.variables.context?.companyLocationId || null);
+
+  test("prices the customer's own location", async () => {
+    const r = await get("get", { list_id: listId, company_location_id: OWN_LOCATION });
+    assert.equal(r.status, 200);
+    assert.deepEqual(pricedFor(), [`gid://shopify/CompanyLocation/${OWN_LOCATION}`]);
+  });
+
+  test("refuses another company's location on every pricing and ordering action", async () => {
+    const foreign = { company_location_id: FOREIGN_LOCATION };
+    const gid = { company_location_id: `gid://shopify/CompanyLocation/${FOREIGN_LOCATION}` };
+    const responses = [
+      await get("get", { list_id: listId, ...foreign }),
+      await get("orderify", { list_id: listId, ...gid }),
+      await post("padpreview", { note: "GBH2-26 1", ...foreign }),
+      await post("draftpad", { note: "GBH2-26 1", ...foreign }),
+      await post("todraft", { list_id: listId, ...gid }),
+    ];
+
+    for (const r of responses) {
+      assert.equal(r.status, 403, JSON.stringify(r.body));
+      assert.match(r.body.error, /not one of your company locations/);
+    }
+    assert.equal(t.shopify.callsTo("productVariants").length, 0, "no catalog prices were read");
+    assert.equal(t.shopify.callsTo("draftOrderCreate").length, 0);
+  });
+
+  test("rejects a malformed location id", async () => {
+    const r = await get("get", { list_id: listId, company_location_id: "gid://shopify/Company/9001" });
+    assert.equal(r.status, 400);
+  });
+
+  describe("buyer of several companies", () => {
+    before(async () => {
+      const r = await t.admin("PUT", "/admin/companies/9002/approval-rules", { require_po: true });
+      assert.equal(r.status, 200);
+    });
+
+    const order = (form) => t.proxy({ action: "draftpad", customer_id: MULTI_BUYER }, { method: "POST", form });
+
+    test("must say which company location an order is for", async () => {
+      const r = await order({ note: "GBH2-26 1" });
+      assert.equal(r.body.ok, false);
+      assert.match(r.body.error, /company_location_id/);
+      assert.equal(t.shopify.callsTo("draftOrderCreate").length, 0, "no draft skips the approval rules");
+    });
+
+    test("gets that company's approval rules once it does", async () => {
+      const held = await order({ note: "GBH2-26 1", company_location_id: "7002" });
+      assert.equal(held.body.ok, true, JSON.stringify(held.body));
+      assert.equal(held.body.pending_approval, true);
+      assert.equal(t.shopify.callsTo("draftOrderCreate").length, 0);
+
+      const placed = await order({ note: "GBH2-26 1", company_location_id: OWN_LOCATION });
+      assert.equal(placed.body.ok, true);
+      assert.ok(placed.body.draft_order_id);
+    });
+  });
+});
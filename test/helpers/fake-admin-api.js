@@ -0,0 +1,130 @@
+// Fake Shopify Admin GraphQL endpoint for the tests. Point
+// SHOPIFY_ADMIN_API_URL at its url; every request is recorded by root field
+// (customer, productVariants, draftOrderCreate, metafieldsSet, ...) so tests
+// can assert on exactly what was sent.
+//
+// Built-in answers: customers have no companies, SKUs in `variants` resolve
+// (others are not found), draftOrderCreate returns D1, D2, ... and
+// metafieldsSet succeeds. on(field, fn) overrides a field; fn gets
+// (variables, call) and returns that field's value, or rawResponse(...) to
+// send a whole response itself (a 429, a 5xx, a slow reply, extensions).
+
+import http from "http";
+
+// First selection of the operation, skipping an alias ("r0: tagsAdd(...)").
+function rootFieldOf(query) {
+  const body = String(query || "").replace(/#.*$/gm, "");
+  return body.match(/\{\s*(?:\w+\s*:\s*)?(\w+)/)?.[1] || null;
+}
+
+class RawResponse {
+  constructor({ status = 200, body = {}, headers = {}, delayMs = 0 }) {
+    Object.assign(this, { status, body, headers, delayMs });
+  }
+}
+
+export function rawResponse(options = {}) {
+  return new RawResponse(options);
+}
+
+function variantNode(sku, v, i, withContext) {
+  return {
+    id: v.id || `gid://shopify/ProductVariant/${1000 + i}`,
+    sku,
+    title: v.title || "Default Title",
+    price: v.price || "10.00",
+    availableForSale: v.availableForSale ?? true,
+    inventoryQuantity: v.inventoryQuantity ?? 10,
+    image: null,
+    product: {
+      id: v.productId || `gid://shopify/Product/${2000 + i}`,
+      title: v.productTitle || `Product ${sku}`,
+      handle: sku.toLowerCase(),
+      status: v.status || "ACTIVE",
+      featuredImage: null,
+    },
+    ...(withContext ? { contextualPricing: { price: { amount: v.price || "10.00", currencyCode: "USD" } } } : {}),
+  };
+}
+
+export async function startFakeAdminApi({ variants = {} } = {}) {
+  const calls = [];
+  const overrides = new Map();
+  let draftSeq = 0;
+
+  const catalog = new Map(Object.entries(variants).map(([sku, v]) => [sku.toUpperCase(), { ...v, sku }]));
+
+  const defaults = {
+    customer: () => ({ companyContactProfiles: [] }),
+    productVariants: (vars) => {
+      const skus = [...String(vars.query || "").matchAll(/sku:"?([^"\s)]+)"?/g)].map((m) => m[1].toUpperCase());
+      const edges = [];
+      [...catalog.keys()].forEach((key, i) => {
+        if (skus.includes(key)) edges.push({ node: variantNode(catalog.get(key).sku, catalog.get(key), i, vars.withContext) });
+      });
+      return { edges };
+    },
+    draftOrderCreate: () => {
+      draftSeq += 1;
+      return {
+        draftOrder: { id: `gid://shopify/DraftOrder/${draftSeq}`, name: `#D${draftSeq}`, metafields: { edges: [] } },
+        userErrors: [],
+      };
+    },
+    metafieldsSet: (vars) => ({
+      metafields: (vars.metafields || []).map((m, i) => ({ id: `gid://shopify/Metafield/${i + 1}`, namespace: m.namespace, key: m.key })),
+      userErrors: [],
+    }),
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", async () => {
+      let body = {};
+      try {
+        body = JSON.parse(raw || "{}");
+      } catch {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ errors: [{ message: "Invalid JSON" }] }));
+      }
+
+      const field = rootFieldOf(body.query);
+      const call = { field, query: body.query, variables: body.variables || {}, headers: req.headers };
+      calls.push(call);
+
+      try {
+        const handler = overrides.get(field) || defaults[field];
+        const value = handler ? await handler(call.variables, call) : null;
+        if (value instanceof RawResponse) {
+          if (value.delayMs) await new Promise((resolve) => setTimeout(resolve, value.delayMs));
+          if (res.destroyed) return;
+          res.writeHead(value.status, { "Content-Type": "application/json", ...value.headers });
+          return res.end(typeof value.body === "string" ? value.body : JSON.stringify(value.body));
+        }
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ data: field ? { [field]: value } : {} }));
+      } catch (e) {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ errors: [{ message: e.message || String(e) }] }));
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/admin/api/graphql.json`,
+    calls,
+    callsTo: (field) => calls.filter((c) => c.field === field),
+    on(field, fn) {
+      overrides.set(field, fn);
+    },
+    reset() {
+      calls.length = 0;
+      overrides.clear();
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,161 @@
+// Test harness: runs app.js against a throwaway Postgres database and the
+// fake Admin API, and signs requests the way Shopify does.
+//
+// Needs TEST_DATABASE_URL, a connection string for a role that may CREATE
+// DATABASE (e.g. postgres://postgres@localhost:5432/postgres). Each test file
+// gets its own database, dropped again in stopTestApp. Without
+// TEST_DATABASE_URL the suites that need the app are skipped.
+//
+// app.js reads its env once on import, so there is one app per test file
+// (node --test runs every file in its own process).
+
+import crypto from "crypto";
+import os from "os";
+import path from "path";
+import pg from "pg";
+import { startFakeAdminApi } from "./fake-admin-api.js";
+
+export const TEST_SECRET = "test-app-secret";
+export const TEST_ADMIN_KEY = "test-admin-key";
+export const TEST_SHOP = "test-shop.myshopify.com";
+
+export const skipWithoutDb = process.env.TEST_DATABASE_URL ? false : "TEST_DATABASE_URL is not set";
+
+// App Proxy signature: hex HMAC of the sorted "key=value" pairs (arrays
+// joined with ","), concatenated without separators.
+export function signProxyParams(params, secret = TEST_SECRET) {
+  const message = Object.keys(params)
+    .sort()
+    .map((k) => `${k}=${Array.isArray(params[k]) ? params[k].join(",") : params[k]}`)
+    .join("");
+  return crypto.createHmac("sha256", secret).update(message).digest("hex");
+}
+
+export function signWebhookBody(body, secret = TEST_SECRET) {
+  return crypto.createHmac("sha256", secret).update(body).digest("base64");
+}
+
+let dbSeq = 0;
+
+// Returns { name, url } of a new, empty database.
+export async function createTestDatabase(adminUrl = process.env.TEST_DATABASE_URL) {
+  const name = `orderpad_test_${process.pid}_${Date.now()}_${++dbSeq}`;
+  const admin = new pg.Client({ connectionString: adminUrl });
+  await admin.connect();
+  try {
+    await admin.query(`CREATE DATABASE ${name}`);
+  } finally {
+    await admin.end();
+  }
+
+  const url = new URL(adminUrl);
+  url.pathname = `/${name}`;
+  return { name, url: url.toString() };
+}
+
+export async function dropTestDatabase(name, adminUrl = process.env.TEST_DATABASE_URL) {
+  const admin = new pg.Client({ connectionString: adminUrl });
+  await admin.connect();
+  try {
+    await admin.query(`DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+  } finally {
+    await admin.end();
+  }
+}
+
+// Returns { baseUrl, shopify, app, db, proxy, webhook, admin }. Pass the
+// result to stopTestApp when done.
+export async function startTestApp({ variants = {}, env = {} } = {}) {
+  const db = await createTestDatabase();
+  const shopify = await startFakeAdminApi({ variants });
+
+  Object.assign(process.env, {
+    DATABASE_URL: db.url,
+    SHOPIFY_APP_SECRET: TEST_SECRET,
+    SHOPIFY_STORE_DOMAIN: TEST_SHOP,
+    SHOPIFY_ADMIN_ACCESS_TOKEN: "test-token",
+    SHOPIFY_ADMIN_API_URL: shopify.url,
+    SHOPIFY_MAX_RETRIES: "0",
+    ADMIN_API_KEY: TEST_ADMIN_KEY,
+    PO_UPLOAD_STORAGE: "local",
+    PO_UPLOAD_DIR: path.join(os.tmpdir(), `orderpad-test-uploads-${process.pid}`),
+    ...env,
+  });
+
+  const app = await import("../../app.js");
+  await app.migrateDatabase();
+
+  const server = await new Promise((resolve) => {
+    const s = app.app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Signed App Proxy request. params is the query string Shopify would
+  // forward (action, customer_id, ...); shop, path_prefix, timestamp and
+  // logged_in_customer_id (= customer_id) are filled in unless given; pass
+  // undefined to leave one out. form is sent url-encoded, as the storefront
+  // does, or as multipart when it is a FormData (file uploads). raw returns
+  // { status, headers, text } for actions that do not answer JSON (export).
+  async function proxy(params, { method = "GET", form = null, signature, secret, raw = false } = {}) {
+    const query = {
+      shop: TEST_SHOP,
+      path_prefix: "/apps/b2b-lists",
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      logged_in_customer_id: params.customer_id ?? "",
+      ...params,
+    };
+    for (const k of Object.keys(query)) if (query[k] === undefined) delete query[k];
+    const qs = new URLSearchParams(query);
+    qs.set("signature", signature ?? signProxyParams(query, secret));
+
+    const init = { method };
+    if (form instanceof FormData) {
+      init.body = form;
+    } else if (form) {
+      init.headers = { "Content-Type": "application/x-www-form-urlencoded" };
+      init.body = new URLSearchParams(
+        Object.fromEntries(Object.entries(form).map(([k, v]) => [k, typeof v === "string" ? v : JSON.stringify(v)]))
+      ).toString();
+    }
+
+    const r = await fetch(`${baseUrl}/proxy?${qs}`, init);
+    if (raw) return { status: r.status, headers: r.headers, text: await r.text() };
+    return { status: r.status, body: await r.json() };
+  }
+
+  // Signed webhook delivery; hmac overrides the computed signature.
+  async function webhook(topic, payload, { hmac, webhookId = crypto.randomUUID(), path: route = "/webhooks" } = {}) {
+    const body = JSON.stringify(payload);
+    const r = await fetch(`${baseUrl}${route}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Topic": topic,
+        "X-Shopify-Shop-Domain": TEST_SHOP,
+        "X-Shopify-Webhook-Id": webhookId,
+        "X-Shopify-Hmac-SHA256": hmac ?? signWebhookBody(body),
+      },
+      body,
+    });
+    return { status: r.status, text: await r.text() };
+  }
+
+  async function admin(method, route, body) {
+    const r = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: { Authorization: `Bearer ${TEST_ADMIN_KEY}`, ...(body ? { "Content-Type": "application/json" } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: r.status, body: await r.json() };
+  }
+
+  return { baseUrl, shopify, app, db, server, proxy, webhook, admin };
+}
+
+export async function stopTestApp(t) {
+  if (!t) return;
+  await new Promise((resolve) => t.server.close(resolve));
+  await t.app.pool.end();
+  await t.shopify.close();
+  await dropTestDatabase(t.db.name);
+}
@@ -0,0 +1,80 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+import { splitCsvLine } from "../csv.js";
+
+const CUSTOMER = "101";
+const FORMULA_NOTE = '=HYPERLINK("http://evil","x")';
+
+describe("list import and export", { skip: skipWithoutDb }, () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({
+      variants: {
+        "GBH2-26": { id: "gid://shopify/ProductVariant/501", productTitle: "+Bosch GBH 2-26 Rotary Hammer" },
+        "2608690149": { id: "gid://shopify/ProductVariant/502", productTitle: "SDS-plus drill bit" },
+      },
+    });
+  });
+  after(() => stopTestApp(t));
+
+  const exportList = (listId, format = "csv") =>
+    t.proxy({ action: "export", customer_id: CUSTOMER, list_id: listId, format }, { raw: true });
+
+  function importCsv(text, form = {}) {
+    const data = new FormData();
+    for (const [k, v] of Object.entries(form)) data.append(k, v);
+    data.append("file", new Blob([text], { type: "text/csv" }), "site-order.csv");
+    return t.proxy({ action: "import", customer_id: CUSTOMER }, { method: "POST", form: data });
+  }
+
+  test("import reads a header row and merges repeated SKUs", async () => {
+    const r = await importCsv("Quantity,SKU,Note\r\n2,GBH2-26,level 3\r\n3,gbh2-26,\r\n10,2608690149,\r\n");
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+
+    const { list } = (await t.proxy({ action: "get", customer_id: CUSTOMER, list_id: r.body.list_id })).body;
+    assert.equal(list.name, "site-order");
+    assert.deepEqual(
+      list.items.map((x) => [x.sku, x.quantity, x.note]),
+      [
+        ["GBH2-26", 5, "level 3"],
+        ["2608690149", 10, ""],
+      ]
+    );
+  });
+
+  test("CSV export cannot smuggle formulas into a spreadsheet", async () => {
+    const saved = await t.proxy(
+      { action: "upsert", customer_id: CUSTOMER },
+      {
+        method: "POST",
+        form: {
+          name: "Formulas",
+          items: [
+            { sku: "GBH2-26", quantity: 1, note: FORMULA_NOTE },
+            { sku: "2608690149", quantity: 4, note: "@SUM(A1:A9)" },
+          ],
+        },
+      }
+    );
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+
+    const r = await exportList(saved.body.list_id);
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get("content-type"), /^text\/csv/);
+
+    const rows = r.text.trim().split("\r\n").map(splitCsvLine);
+    assert.deepEqual(rows, [
+      ["SKU", "Quantity", "Product Title", "Note"],
+      ["GBH2-26", "1", "'+Bosch GBH 2-26 Rotary Hammer", `'${FORMULA_NOTE}`],
+      ["2608690149", "4", "SDS-plus drill bit", "'@SUM(A1:A9)"],
+    ]);
+
+    // Importing the export gives the notes back as typed.
+    const again = await importCsv(r.text, { name: "Formulas again" });
+    assert.equal(again.status, 200, JSON.stringify(again.body));
+    const { list } = (await t.proxy({ action: "get", customer_id: CUSTOMER, list_id: again.body.list_id })).body;
+    assert.deepEqual(list.items.map((x) => x.note), [FORMULA_NOTE, "@SUM(A1:A9)"]);
+  });
+});
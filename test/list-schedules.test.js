@@ -0,0 +1,183 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { decodeOrderPadNote } from "../order-pad-note.js";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+
+const CUSTOMER = "101";
+
+describe("recurring list orders", { skip: skipWithoutDb }, () => {
+  let t;
+  let listId;
+
+  before(async () => {
+    t = await startTestApp({
+      variants: {
+        "GBH2-26": { id: "gid://shopify/ProductVariant/501" },
+        "2608690149": { id: "gid://shopify/ProductVariant/502" },
+      },
+    });
+    const saved = await post("upsert", {
+      name: "Weekly consumables",
+      jobsite: "Riverside Tower",
+      items: [
+        { sku: "GBH2-26", quantity: 1 },
+        { sku: "2608690149", quantity: 25, note: "SDS bits" },
+      ],
+    });
+    listId = saved.body.list_id;
+  });
+  after(() => stopTestApp(t));
+  beforeEach(() => t.shopify.reset());
+
+  function post(action, form, customerId = CUSTOMER) {
+    return t.proxy({ action, customer_id: customerId }, { method: "POST", form });
+  }
+  const get = (action, params = {}) => t.proxy({ action, customer_id: CUSTOMER, ...params });
+
+  async function createSchedule(form = {}) {
+    const r = await post("setschedule", {
+      list_id: listId,
+      frequency: "weekly",
+      weekdays: "mon",
+      time: "06:00",
+      timezone: "America/Chicago",
+      ...form,
+    });
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    return r.body.schedule;
+  }
+
+  // Makes the schedule due now and runs the worker once.
+  async function runNow(scheduleId) {
+    await t.app.pool.query(`UPDATE list_schedules SET next_run_at = NOW() - INTERVAL '1 minute' WHERE id = $1`, [
+      scheduleId,
+    ]);
+    await t.app.runDueSchedules();
+    return (await get("scheduleruns", { schedule_id: scheduleId })).body;
+  }
+
+  test("setschedule stores a weekly schedule with its next runs", async () => {
+    const s = await createSchedule({ weekdays: "mon,thu", po_template: "PO-{yyyy}{mm}{dd}" });
+    assert.equal(s.list_name, "Weekly consumables");
+    assert.equal(s.cron, "0 6 * * 1,4");
+    assert.deepEqual(s.weekdays, ["mon", "thu"]);
+    assert.equal(s.upcoming.length, 3);
+    assert.equal(s.upcoming[0], s.next_run_at);
+    assert.ok(Number(s.next_run_at) > Date.now());
+
+    const listed = (await get("schedules", { list_id: listId })).body.schedules;
+    assert.ok(listed.some((x) => x.id === s.id));
+  });
+
+  test("setschedule rejects bad input", async () => {
+    const bad = async (form) => post("setschedule", { list_id: listId, frequency: "weekly", weekdays: "mon", ...form });
+    assert.match((await bad({ timezone: "Mars/Olympus" })).body.error, /timezone/);
+    assert.match((await bad({ frequency: "cron", cron: "*/5 * * * *" })).body.error, /at most every 12 hours/);
+    assert.match((await bad({ company_location_id: "999" })).body.error, /company_location_id/);
+    assert.equal((await bad({ list_id: "00000000-0000-0000-0000-000000000000" })).status, 404);
+  });
+
+  test("a due schedule creates the draft order and records it in the run history", async () => {
+    const s = await createSchedule({
+      po_template: "PO-{list}-{date}",
+      site_contact_name: "Marco Ruiz",
+      site_contact_phone: "(559) 555-0142",
+    });
+
+    const { runs, schedule } = await runNow(s.id);
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].status, "draft_created", JSON.stringify(runs[0]));
+    assert.equal(runs[0].draft_order_id, "gid://shopify/DraftOrder/1");
+    assert.match(runs[0].po_number, /^PO-Weekly consumables-\d{4}-\d{2}-\d{2}$/);
+    assert.ok(Number(schedule.next_run_at) > Date.now(), "moves on to the next due time");
+
+    const [call] = t.shopify.callsTo("draftOrderCreate");
+    const { input } = call.variables;
+    assert.equal(input.customerId, "gid://shopify/Customer/101");
+    assert.deepEqual(
+      input.lineItems.map((l) => [l.variantId, l.quantity]),
+      [
+        ["gid://shopify/ProductVariant/501", 1],
+        ["gid://shopify/ProductVariant/502", 25],
+      ]
+    );
+    const header = decodeOrderPadNote(input.note);
+    assert.equal(header.fields.poNumber, runs[0].po_number);
+    assert.equal(header.fields.siteContactName, "Marco Ruiz");
+    assert.equal(header.fields.siteContactPhone, "(559) 555-0142");
+
+    const history = (await get("history")).body.submissions;
+    const sub = history.find((x) => x.id === runs[0].submission_id);
+    assert.equal(sub.source, "schedule");
+    assert.equal(sub.list_id, listId);
+
+    // Running again without a new due time does nothing.
+    await t.app.runDueSchedules();
+    assert.equal(t.shopify.callsTo("draftOrderCreate").length, 1);
+  });
+
+  test("the run history keeps the error that stopped a run", async () => {
+    t.shopify.on("draftOrderCreate", () => ({ draftOrder: null, userErrors: [{ field: ["lineItems"], message: "Bad line" }] }));
+    const s = await createSchedule();
+
+    const { runs } = await runNow(s.id);
+    assert.equal(runs[0].status, "failed");
+    assert.equal(runs[0].error, "Bad line");
+    assert.equal(runs[0].draft_order_id, null);
+  });
+
+  test("skipnext skips one run only", async () => {
+    const s = await createSchedule();
+    const skipped = await post("skipnext", { schedule_id: s.id });
+    assert.equal(skipped.body.schedule.skip_next, true);
+
+    let { runs, schedule } = await runNow(s.id);
+    assert.equal(runs[0].status, "skipped");
+    assert.equal(schedule.skip_next, false);
+    assert.equal(t.shopify.callsTo("draftOrderCreate").length, 0);
+
+    ({ runs } = await runNow(s.id));
+    assert.equal(runs[0].status, "draft_created");
+  });
+
+  test("a paused schedule does not run; resuming picks the next time from now", async () => {
+    const s = await createSchedule();
+    const paused = await post("pauseschedule", { schedule_id: s.id });
+    assert.equal(paused.body.schedule.paused, true);
+    assert.equal(paused.body.schedule.next_run_at, null);
+
+    const { runs } = await runNow(s.id);
+    assert.equal(runs.length, 0);
+    assert.equal(t.shopify.callsTo("draftOrderCreate").length, 0);
+
+    const resumed = await post("resumeschedule", { schedule_id: s.id });
+    assert.equal(resumed.body.schedule.paused, false);
+    assert.ok(Number(resumed.body.schedule.next_run_at) > Date.now(), "the missed run is not made up");
+  });
+
+  test("an interrupted run is marked failed instead of ordering twice", async () => {
+    const s = await createSchedule();
+    const r = await t.app.pool.query(
+      `UPDATE list_schedules SET next_run_at = NOW() - INTERVAL '1 minute' WHERE id = $1 RETURNING next_run_at`,
+      [s.id]
+    );
+    await t.app.pool.query(`INSERT INTO list_schedule_runs (schedule_id, due_at) VALUES ($1, $2)`, [
+      s.id,
+      r.rows[0].next_run_at,
+    ]);
+
+    await t.app.runDueSchedules();
+    const { runs } = (await get("scheduleruns", { schedule_id: s.id })).body;
+    assert.equal(runs[0].status, "failed");
+    assert.match(runs[0].error, /Interrupted/);
+    assert.equal(t.shopify.callsTo("draftOrderCreate").length, 0);
+  });
+
+  test("schedules are private to the customer who set them up", async () => {
+    const s = await createSchedule();
+    assert.equal((await post("pauseschedule", { schedule_id: s.id }, "202")).status, 404);
+    assert.equal((await t.proxy({ action: "scheduleruns", customer_id: "202", schedule_id: s.id })).status, 404);
+    assert.equal((await post("deleteschedule", { schedule_id: s.id })).body.deleted, true);
+    assert.equal((await get("scheduleruns", { schedule_id: s.id })).status, 404);
+  });
+});
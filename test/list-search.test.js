@@ -0,0 +1,117 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+
+const CUSTOMER = "101";
+
+describe("list search and pagination", { skip: skipWithoutDb }, () => {
+  let t;
+  const ids = {};
+
+  const post = (action, form) => t.proxy({ action, customer_id: CUSTOMER }, { method: "POST", form });
+  const list = (params = {}) => t.proxy({ action: "list", customer_id: CUSTOMER, ...params });
+
+  // Follows next_cursor to the end; returns the names in page order.
+  async function allPages(params) {
+    const names = [];
+    let cursor;
+    for (let page = 0; page < 20; page++) {
+      const r = await list({ ...params, ...(cursor ? { cursor } : {}) });
+      assert.equal(r.status, 200, JSON.stringify(r.body));
+      names.push(...r.body.lists.map((l) => l.name));
+      assert.equal(r.body.has_more, r.body.next_cursor != null);
+      if (!r.body.next_cursor) return names;
+      cursor = r.body.next_cursor;
+    }
+    throw new Error("too many pages");
+  }
+
+  before(async () => {
+    t = await startTestApp();
+    // Created in this order, one item more each time.
+    const specs = [
+      ["Yard restock", ["GBH2-26"]],
+      ["anchors stainless 100%", ["2608690149", "A-1"]],
+      ["Anchors zinc 100", ["A-1", "A-2", "A-3"]],
+      ["Bits", ["2608690149", "B-1", "B-2", "B-3"]],
+      ["Consumables", ["C-1", "C-2", "C-3", "C-4", "C-5"]],
+    ];
+    for (const [name, skus] of specs) {
+      const r = await post("upsert", { name, items: skus.map((sku) => ({ sku, quantity: 1 })) });
+      ids[name] = r.body.list_id;
+    }
+  });
+  after(() => stopTestApp(t));
+
+  test("returns item counts and pages by updated time, newest first", async () => {
+    const r = await list({ limit: 2 });
+    assert.deepEqual(
+      r.body.lists.map((l) => [l.name, l.item_count]),
+      [
+        ["Consumables", 5],
+        ["Bits", 4],
+      ]
+    );
+    assert.equal(r.body.has_more, true);
+
+    assert.deepEqual(await allPages({ limit: 2 }), [
+      "Consumables",
+      "Bits",
+      "Anchors zinc 100",
+      "anchors stainless 100%",
+      "Yard restock",
+    ]);
+  });
+
+  test("sorts by name (case-insensitive) and created, either direction", async () => {
+    assert.deepEqual(await allPages({ sort: "name", limit: 2 }), [
+      "anchors stainless 100%",
+      "Anchors zinc 100",
+      "Bits",
+      "Consumables",
+      "Yard restock",
+    ]);
+    assert.deepEqual(await allPages({ sort: "created", dir: "asc", limit: 3 }), [
+      "Yard restock",
+      "anchors stainless 100%",
+      "Anchors zinc 100",
+      "Bits",
+      "Consumables",
+    ]);
+  });
+
+  test("searches names, with % and _ taken literally", async () => {
+    assert.deepEqual(await allPages({ q: "ANCHORS", sort: "name" }), ["anchors stainless 100%", "Anchors zinc 100"]);
+    assert.deepEqual(await allPages({ q: "100%" }), ["anchors stainless 100%"]);
+    assert.deepEqual(await allPages({ q: "_" }), []);
+  });
+
+  test("filters by a contained SKU, case-insensitively", async () => {
+    assert.deepEqual(await allPages({ sku: "a-1", sort: "name" }), ["anchors stainless 100%", "Anchors zinc 100"]);
+    assert.deepEqual(await allPages({ sku: "2608690149", q: "bit" }), ["Bits"]);
+  });
+
+  test("pinned lists stay first across pages", async () => {
+    await post("setmeta", { list_id: ids["Yard restock"], pinned: "1" });
+    await post("setmeta", { list_id: ids["Bits"], pinned: "1" });
+
+    assert.deepEqual(await allPages({ sort: "name", limit: 1 }), [
+      "Bits",
+      "Yard restock",
+      "anchors stainless 100%",
+      "Anchors zinc 100",
+      "Consumables",
+    ]);
+  });
+
+  test("rejects a bad sort, dir or cursor, and a cursor from another sort", async () => {
+    assert.equal((await list({ sort: "price" })).status, 400);
+    assert.equal((await list({ dir: "sideways" })).status, 400);
+    assert.equal((await list({ cursor: "not-a-cursor" })).status, 400);
+
+    const { next_cursor } = (await list({ sort: "name", limit: 1 })).body;
+    const r = await list({ sort: "created", cursor: next_cursor });
+    assert.equal(r.status, 400);
+    assert.match(r.body.error, /different sort/);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+
+const CUSTOMER = "101";
+
+describe("list metadata and line notes", { skip: skipWithoutDb }, () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({
+      variants: {
+        "GBH2-26": { id: "gid://shopify/ProductVariant/501" },
+        "2608690149": { id: "gid://shopify/ProductVariant/502" },
+      },
+    });
+  });
+  after(() => stopTestApp(t));
+  beforeEach(() => t.shopify.reset());
+
+  const post = (action, form) => t.proxy({ action, customer_id: CUSTOMER }, { method: "POST", form });
+  const get = (action, params = {}) => t.proxy({ action, customer_id: CUSTOMER, ...params });
+
+  async function createList(form) {
+    const r = await post("upsert", form);
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    return r.body.list_id;
+  }
+
+  test("upsert stores metadata and notes; list and get return them", async () => {
+    const listId = await createList({
+      name: "Riverside Tower",
+      description: "Framing and anchors for phase 2",
+      jobsite: "Riverside Tower – Lot 4",
+      label: "Phase 2",
+      color: "#1E88E5",
+      items: [
+        { sku: "GBH2-26", quantity: 2, note: "for level 3 framing" },
+        { sku: "2608690149", quantity: 10 },
+      ],
+    });
+
+    const listed = (await get("list")).body.lists.find((l) => l.id === listId);
+    assert.equal(listed.description, "Framing and anchors for phase 2");
+    assert.equal(listed.jobsite, "Riverside Tower – Lot 4");
+    assert.equal(listed.label, "Phase 2");
+    assert.equal(listed.color, "#1e88e5");
+    assert.equal(listed.pinned, false);
+
+    const { list } = (await get("get", { list_id: listId })).body;
+    assert.equal(list.jobsite, "Riverside Tower – Lot 4");
+    assert.deepEqual(
+      list.items.map((i) => [i.sku, i.position, i.note]),
+      [
+        ["GBH2-26", 0, "for level 3 framing"],
+        ["2608690149", 1, ""],
+      ]
+    );
+  });
+
+  test("upsert without metadata keeps what is stored", async () => {
+    const listId = await createList({ name: "Keep", jobsite: "Yard 2", items: [{ sku: "GBH2-26", quantity: 1 }] });
+    await post("upsert", { list_id: listId, name: "Keep renamed", items: [{ sku: "GBH2-26", quantity: 3 }] });
+
+    const { list } = (await get("get", { list_id: listId })).body;
+    assert.equal(list.name, "Keep renamed");
+    assert.equal(list.jobsite, "Yard 2");
+  });
+
+  test("setmeta edits fields and pinned lists come first", async () => {
+    const older = await createList({ name: "Older", items: [{ sku: "GBH2-26", quantity: 1 }] });
+    await createList({ name: "Newer", items: [{ sku: "GBH2-26", quantity: 1 }] });
+
+    const r = await post("setmeta", { list_id: older, pinned: "true", label: "Weekly" });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.pinned, true);
+    assert.equal(r.body.label, "Weekly");
+    assert.equal(typeof r.body.version, "number");
+
+    const lists = (await get("list")).body.lists;
+    assert.equal(lists[0].id, older);
+  });
+
+  test("setmeta rejects bad values and empty requests", async () => {
+    const listId = await createList({ name: "Bad", items: [{ sku: "GBH2-26", quantity: 1 }] });
+
+    assert.equal((await post("setmeta", { list_id: listId, color: "blue" })).status, 400);
+    assert.equal((await post("setmeta", { list_id: listId, pinned: "maybe" })).status, 400);
+    assert.equal((await post("setmeta", { list_id: listId, label: "x".repeat(51) })).status, 400);
+    assert.equal((await post("setmeta", { list_id: listId })).status, 400);
+  });
+
+  test("setnote and additem edit line notes", async () => {
+    const listId = await createList({ name: "Notes", items: [{ sku: "GBH2-26", quantity: 1 }] });
+
+    const noted = await post("setnote", { list_id: listId, sku: "gbh2-26", note: "level 3" });
+    assert.equal(noted.status, 200);
+    assert.equal(noted.body.item.note, "level 3");
+
+    const added = await post("additem", { list_id: listId, sku: "2608690149", quantity: "4", note: "spares" });
+    assert.equal(added.body.item.note, "spares");
+
+    // Topping up without a note keeps the existing one.
+    await post("additem", { list_id: listId, sku: "GBH2-26", quantity: "1" });
+
+    const { list } = (await get("get", { list_id: listId })).body;
+    assert.deepEqual(
+      list.items.map((i) => [i.sku, i.quantity, i.note]),
+      [
+        ["GBH2-26", 2, "level 3"],
+        ["2608690149", 4, "spares"],
+      ]
+    );
+  });
+
+  test("todraft carries notes and jobsite into line item custom attributes", async () => {
+    const listId = await createList({
+      name: "Order me",
+      jobsite: "Riverside Tower – Lot 4",
+      items: [
+        { sku: "GBH2-26", quantity: 2, note: "for level 3 framing" },
+        { sku: "2608690149", quantity: 10 },
+      ],
+    });
+
+    const r = await post("todraft", { list_id: listId });
+    assert.equal(r.body.ok, true, JSON.stringify(r.body));
+
+    const { input } = t.shopify.callsTo("draftOrderCreate")[0].variables;
+    assert.deepEqual(input.lineItems, [
+      {
+        variantId: "gid://shopify/ProductVariant/501",
+        quantity: 2,
+        customAttributes: [
+          { key: "Note", value: "for level 3 framing" },
+          { key: "Jobsite", value: "Riverside Tower – Lot 4" },
+        ],
+      },
+      {
+        variantId: "gid://shopify/ProductVariant/502",
+        quantity: 10,
+        customAttributes: [{ key: "Jobsite", value: "Riverside Tower – Lot 4" }],
+      },
+    ]);
+
+    const data = JSON.parse(input.metafields[0].value);
+    assert.equal(data.jobsite, "Riverside Tower – Lot 4");
+    assert.equal(data.cart_items[0].note, "for level 3 framing");
+  });
+});
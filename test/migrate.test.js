@@ -0,0 +1,133 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import pg from "pg";
+import { migrate, rollback, migrationStatus, loadMigrations } from "../migrate.js";
+import { createTestDatabase, dropTestDatabase, skipWithoutDb } from "./helpers/harness.js";
+
+const quiet = { log: () => {} };
+
+async function tables(pool) {
+  const r = await pool.query(
+    `SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' ORDER BY table_name`
+  );
+  return r.rows.map((x) => x.table_name);
+}
+
+test("migration files are numbered uniquely and the baseline can be rolled back", async () => {
+  const migrations = await loadMigrations();
+  assert.ok(migrations.length >= 1);
+  assert.equal(migrations[0].name, "baseline");
+  assert.equal(new Set(migrations.map((m) => m.version)).size, migrations.length);
+  for (const m of migrations) assert.ok(m.down != null, `${m.version}_${m.name} has a down file`);
+});
+
+describe("migrations", { skip: skipWithoutDb }, () => {
+  let db;
+  let pool;
+  let dir;
+
+  before(async () => {
+    db = await createTestDatabase();
+    pool = new pg.Pool({ connectionString: db.url });
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "migrations-"));
+  });
+  after(async () => {
+    await pool?.end();
+    if (db) await dropTestDatabase(db.name);
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test("status on a fresh database reports everything pending and creates nothing", async () => {
+    const all = await loadMigrations();
+
+    const status = await migrationStatus(pool);
+    assert.deepEqual(
+      status.map((m) => [m.version, m.status]),
+      all.map((m) => [m.version, "pending"])
+    );
+    assert.deepEqual(await tables(pool), []);
+  });
+
+  test("the real migrations apply, roll back and apply again", async () => {
+    const all = await loadMigrations();
+
+    assert.deepEqual(
+      (await migrate(pool, quiet)).map((m) => m.version),
+      all.map((m) => m.version)
+    );
+    assert.ok((await tables(pool)).includes("lists"));
+    assert.ok((await migrationStatus(pool)).every((m) => m.status === "applied"));
+    assert.deepEqual(await migrate(pool, quiet), [], "second run has nothing to do");
+
+    await rollback(pool, { steps: all.length, ...quiet });
+    assert.deepEqual(await tables(pool), ["schema_migrations"]);
+    assert.ok((await migrationStatus(pool)).every((m) => m.status === "pending"));
+
+    await migrate(pool, quiet);
+    assert.ok((await tables(pool)).includes("order_pad_submissions"));
+  });
+
+  describe("with a scratch migrations directory", () => {
+    let scratch;
+
+    before(async () => {
+      scratch = await createTestDatabase();
+      await fs.writeFile(path.join(dir, "0001_widgets.up.sql"), "CREATE TABLE widgets (id INT PRIMARY KEY);");
+      await fs.writeFile(path.join(dir, "0001_widgets.down.sql"), "DROP TABLE widgets;");
+      await fs.writeFile(path.join(dir, "0002_widget_name.up.sql"), "ALTER TABLE widgets ADD COLUMN name TEXT;");
+      await fs.writeFile(path.join(dir, "0002_widget_name.down.sql"), "ALTER TABLE widgets DROP COLUMN name;");
+    });
+    after(() => dropTestDatabase(scratch.name));
+
+    test("instances starting together apply each migration once", async () => {
+      const pools = [1, 2, 3].map(() => new pg.Pool({ connectionString: scratch.url }));
+      try {
+        const results = await Promise.all(pools.map((p) => migrate(p, { dir, ...quiet })));
+        assert.deepEqual(results.map((r) => r.length).sort(), [0, 0, 2]);
+      } finally {
+        await Promise.all(pools.map((p) => p.end()));
+      }
+    });
+
+    test("--to and --steps move one migration at a time", async () => {
+      const p = new pg.Pool({ connectionString: scratch.url });
+      try {
+        assert.deepEqual(await rollback(p, { dir, ...quiet }), [{ version: 2, name: "widget_name" }]);
+        const status = await migrationStatus(p, { dir });
+        assert.deepEqual(status.map((m) => m.status), ["applied", "pending"]);
+
+        assert.deepEqual(await migrate(p, { dir, to: 1, ...quiet }), []);
+        assert.deepEqual(await migrate(p, { dir, to: 2, ...quiet }), [{ version: 2, name: "widget_name" }]);
+      } finally {
+        await p.end();
+      }
+    });
+
+    test("a failing migration leaves nothing behind", async () => {
+      const p = new pg.Pool({ connectionString: scratch.url });
+      await fs.writeFile(path.join(dir, "0003_broken.up.sql"), "CREATE TABLE gadgets (id INT); SELECT nope FROM nowhere;");
+      try {
+        await assert.rejects(migrate(p, { dir, ...quiet }), /0003_broken failed/);
+        assert.ok(!(await tables(p)).includes("gadgets"));
+        assert.equal((await migrationStatus(p, { dir })).find((m) => m.version === 3).status, "pending");
+      } finally {
+        await fs.rm(path.join(dir, "0003_broken.up.sql"));
+        await p.end();
+      }
+    });
+
+    test("an applied migration edited on disk stops migrate", async () => {
+      const p = new pg.Pool({ connectionString: scratch.url });
+      await fs.writeFile(path.join(dir, "0001_widgets.up.sql"), "CREATE TABLE widgets (id BIGINT PRIMARY KEY);");
+      try {
+        await assert.rejects(migrate(p, { dir, ...quiet }), /changed on disk: 0001_widgets/);
+        assert.equal((await migrationStatus(p, { dir }))[0].status, "changed");
+      } finally {
+        await p.end();
+      }
+    });
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import { DEFAULT_TEMPLATES, renderTemplate, templateVars } from "../notifications.js";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+
+describe("renderTemplate", () => {
+  test("drops a line only when every placeholder on it is empty", () => {
+    const template = ["PO: {{po_number}}", "Company: {{company_name}} {{location_name}}", "PO file: {{po_file_url}}", "Thanks"];
+    const text = renderTemplate(template.join("\n"), {
+      po_number: "",
+      company_name: "",
+      location_name: "Yard 2",
+      po_file_url: null,
+    });
+    assert.equal(text, "Company:  Yard 2\nThanks");
+  });
+
+  test("unknown placeholders count as empty and spacing inside braces is allowed", () => {
+    assert.equal(renderTemplate("A {{ nope }}\nB {{ po_number }}", { po_number: "7" }), "B 7");
+  });
+
+  test("collapses the blank lines dropped lines leave and trims the ends", () => {
+    const text = renderTemplate("\nHello\n\n{{items}}\n\n\n{{unmatched}}\n\nBye  \n", { items: "", unmatched: "" });
+    assert.equal(text, "Hello\n\nBye");
+  });
+
+  test("values are inserted as-is, including placeholder-like text", () => {
+    assert.equal(renderTemplate("PO: {{po_number}}", { po_number: "{{error}}" }), "PO: {{error}}");
+  });
+});
+
+describe("templateVars", () => {
+  test("flattens a submission summary", () => {
+    const vars = templateVars(
+      {
+        id: "sub-1",
+        po_number: "RC-24-0981",
+        contact_name: "Marco Ruiz",
+        company_name: "Ruiz Construction",
+        items: [
+          { quantity: 2, sku: "GBH2-26", title: "Rotary Hammer" },
+          { quantity: 1, variant_id: "gid://shopify/ProductVariant/9" },
+        ],
+        unmatched_lines: [{ line: "mystery bit 3" }],
+        approval_reasons: [{ message: "PO required" }, { message: "Over 5000" }],
+        draft_order_id: "gid://shopify/DraftOrder/1234",
+        draft_order_name: "#D12",
+      },
+      { storeDomain: "test-shop.myshopify.com" }
+    );
+
+    assert.equal(vars.po_suffix, " (PO RC-24-0981)");
+    assert.equal(vars.company_suffix, " – Ruiz Construction");
+    assert.equal(vars.site_contact_name, "Marco Ruiz");
+    assert.equal(vars.site_contact_phone, "");
+    assert.equal(vars.item_count, "2");
+    assert.equal(vars.items, "- 2 x GBH2-26 – Rotary Hammer\n- 1 x gid://shopify/ProductVariant/9");
+    assert.equal(vars.unmatched, "Not matched (1):\n- mystery bit 3");
+    assert.equal(vars.approval_reasons, "PO required; Over 5000");
+    assert.equal(vars.draft_order_url, "https://test-shop.myshopify.com/admin/draft_orders/1234");
+    assert.equal(vars.submission_id, "sub-1");
+  });
+
+  test("leaves suffixes, unmatched and the draft link empty when there is nothing to show", () => {
+    const vars = templateVars({ draft_order_id: "gid://shopify/DraftOrder/1234" });
+    assert.equal(vars.po_suffix, "");
+    assert.equal(vars.company_suffix, "");
+    assert.equal(vars.unmatched, "");
+    assert.equal(vars.draft_order_url, "");
+    // A subject is one line like any other: with all its placeholders empty it
+    // renders to nothing.
+    assert.equal(renderTemplate(DEFAULT_TEMPLATES.draft_created.subject, vars), "");
+  });
+});
+
+describe("notification queue", { skip: skipWithoutDb }, () => {
+  let t;
+  let receiver;
+  let received;
+  let replyStatus;
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let raw = "";
+      req.on("data", (chunk) => (raw += chunk));
+      req.on("end", () => {
+        received.push(JSON.parse(raw));
+        res.writeHead(replyStatus, { "Content-Type": "text/plain" });
+        res.end(replyStatus === 200 ? "ok" : "upstream down");
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+
+    t = await startTestApp({
+      variants: { "GBH2-26": { id: "gid://shopify/ProductVariant/501" } },
+      env: {
+        NOTIFY_WEBHOOK_URL: `http://127.0.0.1:${receiver.address().port}/hook`,
+        NOTIFY_WEBHOOK_FORMAT: "json",
+        NOTIFY_EVENTS: "draft_created",
+      },
+    });
+  });
+  after(async () => {
+    await stopTestApp(t);
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+  beforeEach(async () => {
+    received = [];
+    replyStatus = 200;
+    await t.app.pool.query(`DELETE FROM notifications`);
+  });
+
+  async function submit() {
+    const r = await t.proxy(
+      { action: "draftpad", customer_id: "101" },
+      { method: "POST", form: { note: "GBH2-26 2", po_number: "RC-24-0981" } }
+    );
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    const n = await t.app.pool.query(`SELECT * FROM notifications`);
+    assert.equal(n.rows.length, 1);
+    return n.rows[0];
+  }
+
+  const row = async (id) => (await t.app.pool.query(`SELECT * FROM notifications WHERE id = $1`, [id])).rows[0];
+
+  test("a created draft queues one rendered message per recipient and sends it", async () => {
+    const queued = await submit();
+    assert.equal(queued.event, "draft_created");
+    assert.equal(queued.subject, "Draft order #D1 created (PO RC-24-0981)");
+    assert.match(queued.body, /^PO: RC-24-0981$/m);
+    assert.doesNotMatch(queued.body, /PO file:|Site contact:/);
+
+    await t.app.drainNotificationQueue();
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].event, "draft_created");
+    assert.equal(received[0].text, queued.body);
+    assert.equal(received[0].data.po_number, "RC-24-0981");
+    const sent = await row(queued.id);
+    assert.equal(sent.status, "sent");
+    assert.equal(sent.result, "HTTP 200");
+  });
+
+  test("failures back off, give up after six attempts, and retry starts over", async () => {
+    replyStatus = 500;
+    const { id } = await submit();
+
+    const waits = [];
+    for (let attempt = 1; attempt <= 6; attempt++) {
+      await t.app.pool.query(`UPDATE notifications SET next_attempt_at = NOW() WHERE id = $1`, [id]);
+      await t.app.drainNotificationQueue();
+      const r = await t.app.pool.query(
+        `
+        SELECT status, attempts, last_error, EXTRACT(EPOCH FROM next_attempt_at - updated_at) AS wait
+        FROM notifications
+        WHERE id = $1
+      `,
+        [id]
+      );
+      const n = r.rows[0];
+      assert.equal(n.attempts, attempt);
+      assert.equal(n.last_error, "Webhook HTTP 500: upstream down");
+      assert.equal(n.status, attempt < 6 ? "pending" : "dead");
+      waits.push(Math.round(Number(n.wait)));
+    }
+    assert.deepEqual(waits.slice(0, 5), [30, 60, 120, 240, 480]);
+    assert.equal(received.length, 6);
+
+    // A dead notification is not picked up again on its own.
+    await t.app.pool.query(`UPDATE notifications SET next_attempt_at = NOW() WHERE id = $1`, [id]);
+    await t.app.drainNotificationQueue();
+    assert.equal(received.length, 6);
+
+    const listed = await t.admin("GET", "/admin/notifications?status=dead");
+    assert.deepEqual(listed.body.notifications.map((n) => n.id), [id]);
+
+    replyStatus = 200;
+    const retry = await t.admin("POST", `/admin/notifications/${id}/retry`);
+    assert.equal(retry.status, 200);
+    const reset = await row(id);
+    assert.equal(reset.status, "pending");
+    assert.equal(reset.attempts, 0);
+
+    await t.app.drainNotificationQueue();
+    const sent = await row(id);
+    assert.equal(sent.status, "sent");
+    assert.equal(sent.attempts, 1);
+    assert.equal(sent.last_error, null);
+  });
+
+  test("retry refuses unknown ids and messages being sent", async () => {
+    const { id } = await submit();
+    await t.app.pool.query(`UPDATE notifications SET status = 'sending', locked_at = NOW() WHERE id = $1`, [id]);
+
+    assert.equal((await t.admin("POST", `/admin/notifications/${id}/retry`)).status, 404);
+    assert.equal((await t.admin("POST", "/admin/notifications/not-a-uuid/retry")).status, 404);
+    assert.equal((await t.admin("POST", `/admin/notifications/${crypto.randomUUID()}/retry`)).status, 404);
+  });
+});
@@ -0,0 +1,62 @@
+// Regression corpus for the order pad note header. Each fixture in
+// fixtures/order-pad-notes is a note as it reached the orders/create webhook
+// (<name>.txt) with what decodeOrderPadNote must read from it (<name>.json).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { encodeOrderPadNote, decodeOrderPadNote, ORDER_PAD_NOTE_VERSION } from "../order-pad-note.js";
+
+const dir = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "order-pad-notes");
+const fixtures = fs
+  .readdirSync(dir)
+  .filter((f) => f.endsWith(".txt"))
+  .map((f) => f.replace(/\.txt$/, ""));
+
+for (const name of fixtures) {
+  const note = fs.readFileSync(path.join(dir, `${name}.txt`), "utf8");
+  const expected = JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), "utf8"));
+
+  test(`decodes ${name}`, () => {
+    assert.deepEqual(decodeOrderPadNote(note), expected);
+  });
+
+  if (!expected) continue;
+
+  test(`re-encodes ${name} without loss`, () => {
+    const again = decodeOrderPadNote(encodeOrderPadNote(expected.customerId, expected.fields));
+    assert.equal(again.version, ORDER_PAD_NOTE_VERSION);
+    assert.equal(again.customerId, expected.customerId);
+    assert.deepEqual(again.fields, expected.fields);
+    assert.deepEqual(again.unparsed_lines, []);
+  });
+}
+
+test("values with line breaks, backslashes and labels round-trip", () => {
+  const fields = {
+    customerEmail: "a@b.co",
+    companyName: "Smith \\ Sons\nDivision: East",
+    locationName: "Site 4\r\nGate B",
+    poNumber: "PO\\n123",
+    siteContactName: "---",
+    siteContactPhone: "Email: x@y.z",
+    poFileUrl: "https://example.com/a\\b",
+    note: "Customer ID: 999\n---\nOrder Pad Submission v2",
+  };
+  const decoded = decodeOrderPadNote(encodeOrderPadNote("42", fields));
+
+  assert.equal(decoded.customerId, "42");
+  assert.deepEqual(decoded.fields, fields);
+});
+
+test("header values cannot start new header lines", () => {
+  const text = encodeOrderPadNote("1", { poNumber: "X\nCustomer ID: 2" });
+  assert.equal(text.split("\n").length, 3);
+  assert.equal(decodeOrderPadNote(text).customerId, "1");
+});
+
+test("empty fields are left out of the header", () => {
+  assert.equal(encodeOrderPadNote("7", { poNumber: "  ", note: "" }), "Order Pad Submission v2\nCustomer ID: 7");
+});
@@ -0,0 +1,100 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+
+const OWNER = "101";
+const OTHER = "202";
+const ORDER_ID = "5001";
+
+describe("past orders", { skip: skipWithoutDb }, () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({
+      variants: {
+        "GBH2-26": { id: "gid://shopify/ProductVariant/501" },
+        "2608690149": { id: "gid://shopify/ProductVariant/502" },
+      },
+    });
+  });
+  after(() => stopTestApp(t));
+  beforeEach(() => {
+    t.shopify.reset();
+    // Both order queries have the root field "order"; only the line items
+    // query is paginated.
+    t.shopify.on("order", (vars) => {
+      if (vars.id !== `gid://shopify/Order/${ORDER_ID}`) return null;
+      if (vars.first == null) {
+        const customer = { id: `gid://shopify/Customer/${OWNER}` };
+        return { id: vars.id, name: "#1001", customer, purchasingEntity: null };
+      }
+      return {
+        lineItems: {
+          nodes: [
+            { name: "Rotary Hammer", sku: "GBH2-26", currentQuantity: 2, variant: { sku: "GBH2-26" } },
+            { name: "Drill bit", sku: "", currentQuantity: 10, variant: { sku: "2608690149" } },
+            { name: "Rotary Hammer", sku: "gbh2-26", currentQuantity: 1, variant: null },
+            { name: "Removed line", sku: "GBH2-26", currentQuantity: 0, variant: { sku: "GBH2-26" } },
+            { name: "Custom delivery fee", sku: null, currentQuantity: 1, variant: null },
+          ],
+          pageInfo: { hasNextPage: false, endCursor: null },
+        },
+      };
+    });
+  });
+
+  const post = (customerId, action, form) =>
+    t.proxy({ action, customer_id: customerId }, { method: "POST", form: { order_id: ORDER_ID, ...form } });
+
+  test("reorder creates a draft from the order's current quantities", async () => {
+    const r = await post(OWNER, "orderdraft", { po_number: "RE-1001" });
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    assert.equal(r.body.ok, true);
+    assert.equal(r.body.reordered_from, "#1001");
+    assert.deepEqual(r.body.skipped_items, [{ sku: "", title: "Custom delivery fee", quantity: 1, reason: "no_sku" }]);
+
+    const [call] = t.shopify.callsTo("draftOrderCreate");
+    assert.equal(call.variables.input.customerId, `gid://shopify/Customer/${OWNER}`);
+    assert.deepEqual(call.variables.input.lineItems, [
+      { variantId: "gid://shopify/ProductVariant/501", quantity: 3 },
+      { variantId: "gid://shopify/ProductVariant/502", quantity: 10 },
+    ]);
+  });
+
+  test("save order as list copies its SKUs into a new list", async () => {
+    const r = await post(OWNER, "ordertolist", {});
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+
+    const { list } = (await t.proxy({ action: "get", customer_id: OWNER, list_id: r.body.list_id })).body;
+    assert.equal(list.name, "Order #1001");
+    assert.deepEqual(
+      list.items.map((x) => [x.sku, x.quantity]),
+      [
+        ["GBH2-26", 3],
+        ["2608690149", 10],
+      ]
+    );
+  });
+
+  test("another customer can neither reorder nor save the order", async () => {
+    const lists = async () => (await t.app.pool.query(`SELECT COUNT(*)::int AS n FROM lists`)).rows[0].n;
+    const before = await lists();
+
+    for (const action of ["orderdraft", "ordertolist"]) {
+      const r = await post(OTHER, action, { name: "Stolen" });
+      assert.equal(r.status, 404, action);
+      assert.equal(r.body.error, "Order not found");
+    }
+
+    assert.equal(t.shopify.callsTo("draftOrderCreate").length, 0);
+    assert.equal(await lists(), before);
+    // The line items are never read for someone else's order.
+    assert.ok(t.shopify.callsTo("order").every((c) => c.variables.first == null));
+  });
+
+  test("an order id that does not parse is a 400", async () => {
+    const r = await post(OWNER, "orderdraft", { order_id: "#1001" });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.error, "Missing order_id");
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+
+const PRODUCT = "gid://shopify/Product/4001";
+
+describe("promo campaigns", { skip: skipWithoutDb }, () => {
+  let t;
+  let productTags;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  after(() => stopTestApp(t));
+  beforeEach(() => {
+    t.shopify.reset();
+    productTags = ["bosch"];
+    t.shopify.on("nodes", (vars) => vars.ids.map((id) => ({ id, title: "GBH2-26", tags: productTags })));
+  });
+
+  const tagCalls = (field) => t.shopify.callsTo(field).map((c) => c.variables.tags0);
+
+  async function createCampaign(name, tags) {
+    const r = await t.admin("POST", "/admin/promo-campaigns", {
+      name,
+      starts_at: new Date(Date.now() - 60 * 1000).toISOString(),
+      ends_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      product_ids: [PRODUCT],
+      tags,
+    });
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    return r.body.campaign.id;
+  }
+
+  async function product(campaignId) {
+    const r = await t.app.pool.query(
+      `SELECT status, added_tags FROM promo_campaign_products WHERE campaign_id = $1 AND product_id = $2`,
+      [campaignId, PRODUCT]
+    );
+    return r.rows[0];
+  }
+
+  async function endNow(campaignId) {
+    await t.app.pool.query(`UPDATE promo_campaigns SET ends_at = NOW() - INTERVAL '1 second' WHERE id = $1`, [campaignId]);
+    await t.app.runPromoScheduler();
+  }
+
+  test("adds only missing tags and removes exactly those at the end", async () => {
+    const id = await createCampaign("Spring", ["bosch", "promo-spring"]);
+    await t.app.runPromoScheduler();
+
+    assert.deepEqual(tagCalls("tagsAdd"), [["promo-spring"]]);
+    assert.deepEqual(await product(id), { status: "applied", added_tags: ["promo-spring"] });
+
+    await endNow(id);
+    assert.deepEqual(tagCalls("tagsRemove"), [["promo-spring"]]);
+  });
+
+  test("a start interrupted after tagging still removes its tags at the end", async () => {
+    const id = await createCampaign("Summer", ["promo-summer"]);
+
+    // State a crash between planning and recording the result leaves behind:
+    // the plan is stored and Shopify already has the tag.
+    await t.app.pool.query(
+      `UPDATE promo_campaigns SET status = 'starting', locked_at = NOW() - INTERVAL '1 hour' WHERE id = $1`,
+      [id]
+    );
+    await t.app.pool.query(
+      `UPDATE promo_campaign_products SET status = 'applying', added_tags = '["promo-summer"]' WHERE campaign_id = $1`,
+      [id]
+    );
+    productTags = ["bosch", "promo-summer"];
+
+    await t.app.runPromoScheduler();
+    assert.deepEqual(await product(id), { status: "applied", added_tags: ["promo-summer"] });
+
+    await endNow(id);
+    assert.deepEqual(tagCalls("tagsRemove"), [["promo-summer"]]);
+  });
+
+  test("a start interrupted past the end date takes its tags back", async () => {
+    const id = await createCampaign("Flash", ["promo-flash"]);
+    await t.app.pool.query(
+      `
+      UPDATE promo_campaigns
+      SET status = 'starting', locked_at = NOW() - INTERVAL '1 hour', ends_at = NOW() - INTERVAL '1 second'
+      WHERE id = $1
+    `,
+      [id]
+    );
+    await t.app.pool.query(
+      `UPDATE promo_campaign_products SET status = 'applying', added_tags = '["promo-flash"]' WHERE campaign_id = $1`,
+      [id]
+    );
+
+    await t.app.runPromoScheduler();
+    assert.deepEqual(tagCalls("tagsRemove"), [["promo-flash"]]);
+    const r = await t.app.pool.query(`SELECT status FROM promo_campaigns WHERE id = $1`, [id]);
+    assert.equal(r.rows[0].status, "ended");
+  });
+
+  test("validates before taking a connection and answers 500 when none can be had", async () => {
+    const connect = t.app.pool.connect;
+    let connects = 0;
+    t.app.pool.connect = async () => {
+      connects++;
+      throw new Error("connect ECONNREFUSED");
+    };
+    try {
+      const bad = await t.admin("POST", "/admin/promo-campaigns", { name: "", product_ids: [PRODUCT], tags: ["x"] });
+      assert.equal(bad.status, 400);
+      assert.equal(connects, 0);
+
+      const r = await t.admin("POST", "/admin/promo-campaigns", {
+        name: "Down",
+        starts_at: new Date(Date.now() + 60 * 1000).toISOString(),
+        ends_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        product_ids: [PRODUCT],
+        tags: ["promo-down"],
+      });
+      assert.equal(r.status, 500);
+      assert.equal(connects, 1);
+    } finally {
+      t.app.pool.connect = connect;
+    }
+
+    const list = await t.admin("GET", "/admin/promo-campaigns");
+    assert.equal(list.status, 200);
+  });
+});
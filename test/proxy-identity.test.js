@@ -0,0 +1,95 @@
+// Spoofing attempts against the App Proxy: the shopper is whoever Shopify
+// signed into logged_in_customer_id, whatever customer_id says.
+
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+
+const VICTIM = "101";
+const ATTACKER = "202";
+
+describe("App Proxy identity", { skip: skipWithoutDb }, () => {
+  let t;
+  let victimListId;
+
+  before(async () => {
+    t = await startTestApp({ variants: { "GBH2-26": { id: "gid://shopify/ProductVariant/501" } } });
+    const saved = await t.proxy(
+      { action: "upsert", customer_id: VICTIM },
+      { method: "POST", form: { name: "Victim list", items: [{ sku: "GBH2-26", quantity: 3 }] } }
+    );
+    victimListId = saved.body.list_id;
+  });
+  after(() => stopTestApp(t));
+
+  const asAttacker = (params) => ({ logged_in_customer_id: ATTACKER, ...params });
+
+  test("customer_id in the query cannot name another customer", async () => {
+    const r = await t.proxy(asAttacker({ action: "list", customer_id: VICTIM }));
+    assert.equal(r.status, 403);
+    assert.equal(r.body.lists, undefined);
+  });
+
+  test("customer_id in the body cannot name another customer", async () => {
+    const r = await t.proxy(asAttacker({ action: "delete" }), {
+      method: "POST",
+      form: { customer_id: VICTIM, list_id: victimListId },
+    });
+    assert.equal(r.status, 403);
+  });
+
+  test("overwriting another customer's list is refused", async () => {
+    const r = await t.proxy(asAttacker({ action: "upsert", customer_id: VICTIM }), {
+      method: "POST",
+      form: { list_id: victimListId, name: "Owned", items: [{ sku: "GBH2-26", quantity: 1 }] },
+    });
+    assert.equal(r.status, 403);
+  });
+
+  test("logged_in_customer_id in the body is ignored", async () => {
+    const r = await t.proxy(asAttacker({ action: "delete" }), {
+      method: "POST",
+      form: { logged_in_customer_id: VICTIM, list_id: victimListId },
+    });
+    assert.equal(r.status, 404);
+  });
+
+  test("the signed customer reaches their own lists without customer_id", async () => {
+    const r = await t.proxy({ action: "get", logged_in_customer_id: VICTIM, list_id: victimListId });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.list.name, "Victim list");
+  });
+
+  test("another customer's list id is not found for the attacker", async () => {
+    const r = await t.proxy(asAttacker({ action: "get", customer_id: ATTACKER, list_id: victimListId }));
+    assert.equal(r.status, 404);
+  });
+
+  test("anonymous requests are rejected", async () => {
+    const blank = await t.proxy({ action: "list", customer_id: VICTIM, logged_in_customer_id: "" });
+    assert.equal(blank.status, 401);
+
+    const missing = await t.proxy({ action: "list", customer_id: VICTIM, logged_in_customer_id: undefined });
+    assert.equal(missing.status, 401);
+  });
+
+  test("stale and future timestamps are rejected", async () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    const stale = await t.proxy({ action: "list", customer_id: VICTIM, timestamp: String(now - 3600) });
+    assert.equal(stale.status, 401);
+    assert.equal(stale.body.error, "Expired signature");
+
+    const future = await t.proxy({ action: "list", customer_id: VICTIM, timestamp: String(now + 3600) });
+    assert.equal(future.status, 401);
+
+    const missing = await t.proxy({ action: "list", customer_id: VICTIM, timestamp: undefined });
+    assert.equal(missing.status, 401);
+  });
+
+  test("the victim's list is untouched", async () => {
+    const r = await t.proxy({ action: "get", customer_id: VICTIM, list_id: victimListId });
+    assert.equal(r.body.list.name, "Victim list");
+    assert.deepEqual(r.body.list.items.map((i) => [i.sku, i.quantity]), [["GBH2-26", 3]]);
+  });
+});
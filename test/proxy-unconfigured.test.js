@@ -0,0 +1,32 @@
+// Without SHOPIFY_APP_SECRET nothing Shopify signed can be checked, so the
+// proxy must not fall back to trusting logged_in_customer_id.
+
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+
+describe("App Proxy without SHOPIFY_APP_SECRET", { skip: skipWithoutDb }, () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ env: { SHOPIFY_APP_SECRET: "" } });
+  });
+  after(() => stopTestApp(t));
+
+  test("unsigned requests are refused", async () => {
+    const r = await t.proxy({ action: "list", customer_id: "101" }, { signature: "" });
+    assert.equal(r.status, 500);
+    assert.equal(r.body.error, "App proxy not configured");
+  });
+
+  test("a saved list cannot be written or read by naming a customer", async () => {
+    const saved = await t.proxy(
+      { action: "upsert", logged_in_customer_id: "101" },
+      { method: "POST", form: { name: "Mine", items: [{ sku: "GBH2-26", quantity: 1 }] } }
+    );
+    assert.equal(saved.status, 500);
+
+    const r = await t.app.pool.query(`SELECT COUNT(*)::int AS n FROM lists`);
+    assert.equal(r.rows[0].n, 0);
+  });
+});
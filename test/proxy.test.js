@@ -0,0 +1,165 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { decodeOrderPadNote } from "../order-pad-note.js";
+import { startTestApp, stopTestApp, signProxyParams, skipWithoutDb } from "./helpers/harness.js";
+
+describe("App Proxy", { skip: skipWithoutDb }, () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({
+      variants: {
+        "GBH2-26": { id: "gid://shopify/ProductVariant/501", price: "219.00" },
+        "2608690149": { id: "gid://shopify/ProductVariant/502", price: "4.50" },
+      },
+    });
+  });
+  after(() => stopTestApp(t));
+  beforeEach(() => t.shopify.reset());
+
+  describe("signature", () => {
+    test("rejects a request without a signature", async () => {
+      const r = await t.proxy({ action: "list", customer_id: "101" }, { signature: "" });
+      assert.equal(r.status, 401);
+      assert.equal(r.body.error, "Missing signature");
+    });
+
+    test("rejects a request signed with another secret", async () => {
+      const r = await t.proxy({ action: "list", customer_id: "101" }, { secret: "not-the-secret" });
+      assert.equal(r.status, 401);
+      assert.equal(r.body.error, "Invalid signature");
+    });
+
+    test("rejects a signed query that was changed afterwards", async () => {
+      const r = await t.proxy(
+        { action: "list", customer_id: "101" },
+        { signature: signProxyParams({ action: "list", customer_id: "102" }) }
+      );
+      assert.equal(r.status, 401);
+    });
+  });
+
+  describe("lists", () => {
+    test("upsert, list, get and delete", async () => {
+      const items = [
+        { sku: "GBH2-26", quantity: 2 },
+        { sku: "2608690149", quantity: 10 },
+      ];
+      const saved = await t.proxy(
+        { action: "upsert", customer_id: "101" },
+        { method: "POST", form: { name: "Yard restock", items } }
+      );
+      assert.equal(saved.status, 200);
+      assert.equal(saved.body.ok, true);
+      const listId = saved.body.list_id;
+
+      const listed = await t.proxy({ action: "list", customer_id: "101" });
+      assert.deepEqual(
+        listed.body.lists.map((l) => [l.id, l.name, l.item_count]),
+        [[listId, "Yard restock", 2]]
+      );
+
+      const got = await t.proxy({ action: "get", customer_id: "101", list_id: listId });
+      assert.equal(got.status, 200);
+      assert.deepEqual(
+        got.body.list.items.map((i) => [i.sku, i.quantity, i.variant_id]),
+        [
+          ["GBH2-26", 2, "501"],
+          ["2608690149", 10, "502"],
+        ]
+      );
+
+      const deleted = await t.proxy({ action: "delete", customer_id: "101" }, { method: "POST", form: { list_id: listId } });
+      assert.equal(deleted.body.ok, true);
+      assert.equal((await t.proxy({ action: "list", customer_id: "101" })).body.lists.length, 0);
+    });
+
+    test("another customer cannot see or delete the list", async () => {
+      const saved = await t.proxy(
+        { action: "upsert", customer_id: "101" },
+        { method: "POST", form: { name: "Private", items: [{ sku: "GBH2-26", quantity: 1 }] } }
+      );
+      const listId = saved.body.list_id;
+
+      assert.equal((await t.proxy({ action: "get", customer_id: "202", list_id: listId })).status, 404);
+      const del = await t.proxy({ action: "delete", customer_id: "202" }, { method: "POST", form: { list_id: listId } });
+      assert.equal(del.status, 404);
+      assert.equal((await t.proxy({ action: "get", customer_id: "101", list_id: listId })).status, 200);
+    });
+
+    test("rejects an unknown action", async () => {
+      const r = await t.proxy({ action: "nope", customer_id: "101" });
+      assert.equal(r.status, 400);
+    });
+  });
+
+  describe("draftpad", () => {
+    test("sends the matched lines and note header to draftOrderCreate", async () => {
+      const r = await t.proxy(
+        { action: "draftpad", customer_id: "101" },
+        {
+          method: "POST",
+          form: {
+            note: "GBH2-26 2\n2608690149, 10\nmystery bit 3",
+            po_number: "RC-24-0981",
+            customer_email: "buyer@example.com",
+            site_contact_name: "Marco Ruiz",
+          },
+        }
+      );
+      assert.equal(r.status, 200);
+      assert.equal(r.body.ok, true);
+      assert.equal(r.body.draft_order_id, "gid://shopify/DraftOrder/1");
+      assert.deepEqual(r.body.unmatched_lines.map((u) => u.line), ["mystery bit 3"]);
+
+      const calls = t.shopify.callsTo("draftOrderCreate");
+      assert.equal(calls.length, 1);
+      const { input } = calls[0].variables;
+
+      assert.equal(input.customerId, "gid://shopify/Customer/101");
+      assert.equal(input.email, "buyer@example.com");
+      assert.deepEqual(input.lineItems, [
+        { variantId: "gid://shopify/ProductVariant/501", quantity: 2 },
+        { variantId: "gid://shopify/ProductVariant/502", quantity: 10 },
+      ]);
+
+      const header = decodeOrderPadNote(input.note);
+      assert.equal(header.customerId, "101");
+      assert.equal(header.fields.poNumber, "RC-24-0981");
+      assert.equal(header.fields.siteContactName, "Marco Ruiz");
+      assert.equal(header.fields.note, "GBH2-26 2\n2608690149, 10\nmystery bit 3");
+
+      const [metafield] = input.metafields;
+      assert.equal(metafield.key, "orderpad_items");
+      const data = JSON.parse(metafield.value);
+      assert.equal(data.po_number, "RC-24-0981");
+      assert.deepEqual(
+        data.cart_items.map((c) => [c.sku, c.quantity]),
+        [
+          ["GBH2-26", 2],
+          ["2608690149", 10],
+        ]
+      );
+    });
+
+    test("returns the Shopify error when draftOrderCreate fails", async () => {
+      t.shopify.on("draftOrderCreate", () => ({ draftOrder: null, userErrors: [{ field: ["lineItems"], message: "Bad line" }] }));
+
+      const r = await t.proxy(
+        { action: "draftpad", customer_id: "101" },
+        { method: "POST", form: { note: "GBH2-26 1" } }
+      );
+      assert.equal(r.body.ok, false);
+      assert.equal(r.body.error, "Bad line");
+
+      const history = await t.proxy({ action: "history", customer_id: "101" });
+      assert.equal(history.body.submissions[0].status, "failed");
+    });
+
+    test("rejects an empty order pad without calling Shopify", async () => {
+      const r = await t.proxy({ action: "draftpad", customer_id: "101" }, { method: "POST", form: { note: "" } });
+      assert.equal(r.status, 400);
+      assert.equal(t.shopify.callsTo("draftOrderCreate").length, 0);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCron, nextRunAt, upcomingRuns, scheduleCron, scheduleFields, renderPoTemplate } from "../schedule.js";
+
+const iso = (dates) => dates.map((d) => d.toISOString());
+
+describe("parseCron", () => {
+  test("expands ranges, steps, lists and names", () => {
+    const c = parseCron("*/20 6-8 1,15 jan-mar mon-fri");
+    assert.deepEqual(c.minutes, [0, 20, 40]);
+    assert.deepEqual(c.hours, [6, 7, 8]);
+    assert.deepEqual([...c.days], [1, 15]);
+    assert.deepEqual([...c.months], [1, 2, 3]);
+    assert.deepEqual([...c.weekdays], [1, 2, 3, 4, 5]);
+  });
+
+  test("treats weekday 7 as Sunday", () => {
+    assert.deepEqual([...parseCron("0 0 * * 7").weekdays], [0]);
+  });
+
+  for (const bad of ["", "* * * *", "60 * * * *", "* 24 * * *", "* * 0 * *", "5-1 * * * *", "*/0 * * * *", "x * * * *"]) {
+    test(`rejects ${JSON.stringify(bad)}`, () => {
+      assert.throws(() => parseCron(bad));
+    });
+  }
+});
+
+describe("nextRunAt", () => {
+  // Monday 2026-10-19, 07:00 in Chicago (CDT, UTC-5).
+  const monday = new Date("2026-10-19T12:00:00Z");
+
+  test("uses wall-clock time in the schedule's zone across a DST change", () => {
+    assert.deepEqual(iso(upcomingRuns("0 6 * * mon,thu", "America/Chicago", monday, 4)), [
+      "2026-10-22T11:00:00.000Z",
+      "2026-10-26T11:00:00.000Z",
+      "2026-10-29T11:00:00.000Z",
+      "2026-11-02T12:00:00.000Z",
+    ]);
+  });
+
+  test("is strictly after the given time", () => {
+    const at = new Date("2026-10-22T11:00:00Z");
+    assert.equal(nextRunAt("0 6 * * 4", "America/Chicago", at).toISOString(), "2026-10-29T11:00:00.000Z");
+  });
+
+  test("fires on either day when day of month and weekday are both set", () => {
+    assert.equal(nextRunAt("0 0 13 * fri", "UTC", monday).toISOString(), "2026-10-23T00:00:00.000Z");
+  });
+
+  test("finds the next Feb 29 and gives up on dates that never exist", () => {
+    assert.equal(nextRunAt("0 0 29 2 *", "UTC", monday).toISOString(), "2028-02-29T00:00:00.000Z");
+    assert.equal(nextRunAt("0 0 31 2 *", "UTC", monday), null);
+  });
+});
+
+describe("scheduleCron", () => {
+  test("builds weekly and monthly expressions", () => {
+    assert.deepEqual(scheduleCron({ frequency: "weekly", weekdays: "mon,Thursday", time: "7:30" }), { cron: "30 7 * * 1,4" });
+    assert.deepEqual(scheduleCron({ frequency: "weekly", weekdays: ["0", "7"] }), { cron: "0 6 * * 0" });
+    assert.deepEqual(scheduleCron({ frequency: "monthly", day_of_month: "15" }), { cron: "0 6 15 * *" });
+    assert.deepEqual(scheduleCron({ frequency: "cron", cron: " 0  5 * * 1-5 " }), { cron: "0 5 * * 1-5" });
+  });
+
+  test("rejects what it cannot schedule", () => {
+    assert.match(scheduleCron({ frequency: "daily" }).error, /frequency/);
+    assert.match(scheduleCron({ frequency: "weekly", weekdays: "" }).error, /weekdays/);
+    assert.match(scheduleCron({ frequency: "weekly", weekdays: "mon", time: "25:00" }).error, /time/);
+    assert.match(scheduleCron({ frequency: "monthly", day_of_month: "31" }).error, /1-28/);
+    assert.match(scheduleCron({ frequency: "cron", cron: "* *" }).error, /5 fields/);
+  });
+
+  test("scheduleFields reads weekly and monthly expressions back", () => {
+    assert.deepEqual(scheduleFields("weekly", "30 7 * * 1,4"), { time: "07:30", weekdays: ["mon", "thu"] });
+    assert.deepEqual(scheduleFields("monthly", "0 6 15 * *"), { time: "06:00", day_of_month: 15 });
+    assert.deepEqual(scheduleFields("cron", "0 5 * * 1-5"), {});
+  });
+});
+
+describe("renderPoTemplate", () => {
+  test("fills in the run date in the schedule's zone", () => {
+    // 2027-01-01 03:00 UTC is still New Year's Eve in Chicago (ISO week 53 of 2026).
+    const date = new Date("2027-01-01T03:00:00Z");
+    assert.equal(
+      renderPoTemplate("PO-{yyyy}{mm}{dd}-W{week} {list} {date} {yy} {unknown}", {
+        date,
+        timeZone: "America/Chicago",
+        listName: "Yard",
+      }),
+      "PO-20261231-W53 Yard 2026-12-31 26 {unknown}"
+    );
+  });
+});
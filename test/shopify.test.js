@@ -0,0 +1,111 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeAdminApi, rawResponse } from "./helpers/fake-admin-api.js";
+import { createShopifyClient } from "../shopify.js";
+
+const SHOP_QUERY = `query { shop { name } }`;
+const CREATE_MUTATION = `mutation { draftOrderCreate(input: {}) { draftOrder { id } } }`;
+
+describe("shopify client", () => {
+  let api;
+
+  before(async () => {
+    api = await startFakeAdminApi();
+  });
+  after(() => api.close());
+  beforeEach(() => api.reset());
+
+  const client = (options = {}) =>
+    createShopifyClient({ endpoint: api.url, accessToken: "test-token", maxRetries: 2, timeoutMs: 2000, ...options });
+
+  // Answers with each of `replies` in turn, then with { name: "Test Shop" }.
+  function shopReplies(...replies) {
+    api.on("shop", () => replies.shift() ?? { name: "Test Shop" });
+  }
+
+  test("waits out a THROTTLED response and retries", async () => {
+    shopReplies(
+      rawResponse({
+        body: {
+          errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+          extensions: {
+            cost: {
+              requestedQueryCost: 10,
+              throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 0, restoreRate: 1000 },
+            },
+          },
+        },
+      })
+    );
+
+    const data = await client().gql(SHOP_QUERY);
+
+    assert.deepEqual(data, { shop: { name: "Test Shop" } });
+    assert.equal(api.callsTo("shop").length, 2);
+  });
+
+  test("honours Retry-After on HTTP 429, even for a mutation", async () => {
+    let created = 0;
+    api.on("draftOrderCreate", () =>
+      created++
+        ? { draftOrder: { id: "gid://shopify/DraftOrder/1" } }
+        : rawResponse({ status: 429, headers: { "Retry-After": "0.05" }, body: {} })
+    );
+
+    const data = await client().gql(CREATE_MUTATION);
+
+    assert.equal(data.draftOrderCreate.draftOrder.id, "gid://shopify/DraftOrder/1");
+    assert.equal(api.callsTo("draftOrderCreate").length, 2);
+  });
+
+  test("retries a query after a 5xx", async () => {
+    shopReplies(
+      rawResponse({ status: 502, body: "<html>Bad Gateway</html>" }),
+      rawResponse({ status: 503, body: { errors: "Unavailable" } })
+    );
+
+    const data = await client().gql(SHOP_QUERY);
+
+    assert.deepEqual(data, { shop: { name: "Test Shop" } });
+    assert.equal(api.callsTo("shop").length, 3);
+  });
+
+  test("gives up after maxRetries 5xx responses", async () => {
+    api.on("shop", () => rawResponse({ status: 500, body: { errors: "Internal error" } }));
+
+    await assert.rejects(client({ maxRetries: 1 }).gql(SHOP_QUERY), { status: 500, retryable: true });
+    assert.equal(api.callsTo("shop").length, 2);
+  });
+
+  test("does not resend a mutation after a 5xx unless it is idempotent", async () => {
+    api.on("draftOrderCreate", () => rawResponse({ status: 500, body: { errors: "Internal error" } }));
+
+    await assert.rejects(client().gql(CREATE_MUTATION), { status: 500 });
+    assert.equal(api.callsTo("draftOrderCreate").length, 1);
+
+    api.reset();
+    let created = 0;
+    api.on("draftOrderCreate", () =>
+      created++ ? { draftOrder: { id: "gid://shopify/DraftOrder/2" } } : rawResponse({ status: 500, body: {} })
+    );
+    const data = await client().gql(CREATE_MUTATION, {}, { idempotent: true });
+    assert.equal(data.draftOrderCreate.draftOrder.id, "gid://shopify/DraftOrder/2");
+    assert.equal(api.callsTo("draftOrderCreate").length, 2);
+  });
+
+  test("times out a slow response and retries a query", async () => {
+    shopReplies(rawResponse({ delayMs: 300, body: { data: { shop: { name: "Too Late" } } } }));
+
+    const data = await client({ timeoutMs: 100 }).gql(SHOP_QUERY);
+
+    assert.deepEqual(data, { shop: { name: "Test Shop" } });
+    assert.equal(api.callsTo("shop").length, 2);
+  });
+
+  test("a timed-out mutation fails without being sent twice", async () => {
+    api.on("draftOrderCreate", () => rawResponse({ delayMs: 300, body: {} }));
+
+    await assert.rejects(client({ timeoutMs: 100 }).gql(CREATE_MUTATION), { code: "TIMEOUT", retryable: true });
+    assert.equal(api.callsTo("draftOrderCreate").length, 1);
+  });
+});
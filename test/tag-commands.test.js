@@ -0,0 +1,222 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeAdminApi, rawResponse } from "./helpers/fake-admin-api.js";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+
+// shopify.js builds its client from the env on import, so the fake Admin API
+// has to be up before tag-commands.js is loaded.
+const api = await startFakeAdminApi();
+Object.assign(process.env, {
+  SHOPIFY_ADMIN_API_URL: api.url,
+  SHOPIFY_ADMIN_ACCESS_TOKEN: "test-token",
+  SHOPIFY_MAX_RETRIES: "0",
+});
+const { parseTagCommand, parseTagCommandCsv, resultingTags, planTagCommands, applyTagCommands } = await import(
+  "../tag-commands.js"
+);
+
+after(() => api.close());
+
+describe("parseTagCommand", () => {
+  test("reads tags and the command after the last |", () => {
+    assert.deepEqual(parseTagCommand("Bosch-bonus, promo | merge"), {
+      command: "MERGE",
+      tags: ["Bosch-bonus", "promo"],
+    });
+    assert.deepEqual(parseTagCommand("a|b | DELETE"), { command: "DELETE", tags: ["a|b"] });
+  });
+
+  test("a cell without | is a MERGE and repeated tags count once", () => {
+    assert.deepEqual(parseTagCommand("Promo, promo ,PROMO, sale"), { command: "MERGE", tags: ["Promo", "sale"] });
+  });
+
+  test("REPLACE may clear every tag; other commands need tags", () => {
+    assert.deepEqual(parseTagCommand(" | REPLACE"), { command: "REPLACE", tags: [] });
+    assert.deepEqual(parseTagCommand(" | DELETE"), { error: "No tags" });
+    assert.deepEqual(parseTagCommand("x | RENAME"), { error: 'Unknown tags command "RENAME"' });
+  });
+});
+
+describe("parseTagCommandCsv", () => {
+  test("reads rows by header name and reports bad rows with their line number", () => {
+    const csv = [
+      "\uFEFFTags Command,ID",
+      '"Bosch-bonus-GBA18V40, promo | MERGE",8876602851615',
+      "",
+      "old | DELETE,gid://shopify/Product/42",
+      "x | MERGE,not-a-product",
+      "x | SWAP,43",
+    ].join("\r\n");
+
+    assert.deepEqual(parseTagCommandCsv(csv), {
+      commands: [
+        {
+          row: 2,
+          id: "8876602851615",
+          product_id: "gid://shopify/Product/8876602851615",
+          command: "MERGE",
+          tags: ["Bosch-bonus-GBA18V40", "promo"],
+        },
+        {
+          row: 4,
+          id: "gid://shopify/Product/42",
+          product_id: "gid://shopify/Product/42",
+          command: "DELETE",
+          tags: ["old"],
+        },
+      ],
+      errors: [
+        { row: 5, id: "not-a-product", error: "Invalid product ID" },
+        { row: 6, id: "43", error: 'Unknown tags command "SWAP"' },
+      ],
+    });
+  });
+
+  test("a file without the two columns is one error", () => {
+    assert.deepEqual(parseTagCommandCsv("\nProduct,Tags\n1,a\n"), {
+      commands: [],
+      errors: [{ row: 2, id: "", error: 'Header must have "ID" and "Tags Command" columns' }],
+    });
+  });
+});
+
+describe("resultingTags", () => {
+  test("MERGE adds missing tags and keeps the existing spelling", () => {
+    assert.deepEqual(resultingTags(["Bosch", "sale"], "MERGE", ["bosch", "promo"]), ["Bosch", "sale", "promo"]);
+  });
+
+  test("DELETE removes tags case-insensitively", () => {
+    assert.deepEqual(resultingTags(["Bosch", "Promo", "sale"], "DELETE", ["promo", "missing"]), ["Bosch", "sale"]);
+  });
+
+  test("REPLACE ends up with exactly the given tags", () => {
+    assert.deepEqual(resultingTags(["Bosch", "sale"], "REPLACE", ["new", "NEW"]), ["new"]);
+  });
+});
+
+describe("planTagCommands and applyTagCommands", () => {
+  const tags = {
+    "gid://shopify/Product/1": ["bosch"],
+    "gid://shopify/Product/2": ["bosch", "promo"],
+    "gid://shopify/Product/3": [],
+    "gid://shopify/Product/4": ["old"],
+  };
+
+  beforeEach(() => {
+    api.reset();
+    api.on("nodes", (vars) =>
+      vars.ids.map((id) => (tags[id] ? { id, title: `Product ${id.split("/").pop()}`, tags: tags[id] } : null))
+    );
+  });
+
+  const csv = [
+    "ID,Tags Command",
+    "1,promo | MERGE",
+    "2,promo | MERGE",
+    "3,promo | MERGE",
+    "4,old | DELETE",
+    "5,promo | MERGE",
+    "6,x | BAD",
+  ].join("\n");
+
+  test("the dry run reads current tags and writes nothing", async () => {
+    const plan = await planTagCommands(parseTagCommandCsv(csv));
+
+    assert.deepEqual(
+      plan.map((r) => [r.row, r.status, r.result_tags]),
+      [
+        [2, "change", ["bosch", "promo"]],
+        [3, "unchanged", ["bosch", "promo"]],
+        [4, "change", ["promo"]],
+        [5, "change", []],
+        [6, "not_found", []],
+        [7, "invalid", []],
+      ]
+    );
+    assert.equal(api.callsTo("nodes").length, 1);
+    assert.equal(api.callsTo("tagsAdd").length + api.callsTo("tagsRemove").length, 0);
+  });
+
+  test("changes go out in batches and a row's userErrors fail only that row", async () => {
+    const plan = await planTagCommands(parseTagCommandCsv(csv));
+    api.on("tagsAdd", (vars) =>
+      rawResponse({
+        body: {
+          data: Object.fromEntries(
+            Object.keys(vars)
+              .filter((k) => k.startsWith("id"))
+              .map((k) => {
+                const i = k.slice(2);
+                const bad = vars[k] === "gid://shopify/Product/3";
+                return [`r${i}`, { userErrors: bad ? [{ field: ["tags"], message: "Tags are locked" }] : [] }];
+              })
+          ),
+        },
+      })
+    );
+    api.on("tagsRemove", () => rawResponse({ status: 500, body: { errors: "Internal error" } }));
+
+    const progress = [];
+    const rows = await applyTagCommands(plan, {
+      batchSize: 2,
+      delayMs: 0,
+      onProgress: (done) => progress.push(done.filter((r) => r.status === "change").length),
+    });
+
+    // Two rows per batch: rows 2 and 4, then row 5.
+    const calls = api.calls.filter((c) => c.field !== "nodes");
+    assert.deepEqual(
+      calls.map((c) => [c.field, c.variables.id0, c.variables.id1]),
+      [
+        ["tagsAdd", "gid://shopify/Product/1", "gid://shopify/Product/3"],
+        ["tagsRemove", "gid://shopify/Product/4", undefined],
+      ]
+    );
+    assert.deepEqual(calls[0].variables.tags0, ["promo"]);
+    assert.deepEqual(progress, [1, 0]);
+
+    assert.deepEqual(
+      rows.map((r) => [r.row, r.status, r.error]),
+      [
+        [2, "updated", null],
+        [3, "unchanged", null],
+        [4, "error", "Tags are locked"],
+        [5, "error", "Internal error"],
+        [6, "not_found", "Product not found"],
+        [7, "invalid", 'Unknown tags command "BAD"'],
+      ]
+    );
+  });
+});
+
+describe("interrupted tag command runs", { skip: skipWithoutDb }, () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  after(() => stopTestApp(t));
+
+  test("a run nobody has touched for a while is marked failed, a live one is left alone", async () => {
+    const r = await t.app.pool.query(
+      `
+      INSERT INTO tag_command_runs (file_name, dry_run, rows, updated_at)
+      VALUES ('crashed.csv', FALSE, '[{"row": 2, "status": "updated"}]', NOW() - INTERVAL '1 hour'),
+             ('live.csv', FALSE, '[]', NOW())
+      RETURNING id, file_name
+    `
+    );
+    const ids = Object.fromEntries(r.rows.map((x) => [x.file_name, x.id]));
+
+    assert.equal(await t.app.failStaleTagCommandRuns(), 1);
+
+    const crashed = await t.admin("GET", `/admin/tag-commands/${ids["crashed.csv"]}`);
+    assert.equal(crashed.body.run.status, "failed");
+    assert.match(crashed.body.run.error, /^Interrupted/);
+    assert.ok(crashed.body.run.finished_at);
+    assert.deepEqual(crashed.body.run.rows, [{ row: 2, status: "updated" }]);
+
+    const live = await t.admin("GET", `/admin/tag-commands/${ids["live.csv"]}`);
+    assert.equal(live.body.run.status, "running");
+  });
+});
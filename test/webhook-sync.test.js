@@ -0,0 +1,121 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+
+const BASE = "https://lists.example.com";
+const OLD = "https://old-tunnel.example.net";
+
+const http = (id, topic, callbackUrl) => ({
+  id: `gid://shopify/WebhookSubscription/${id}`,
+  topic,
+  endpoint: { __typename: "WebhookHttpEndpoint", callbackUrl },
+});
+
+// What the shop has before the sync, served over two pages.
+const EXISTING = [
+  http(1, "ORDERS_CREATE", `${BASE}/webhooks`),
+  http(2, "ORDERS_CREATE", `${OLD}/webhooks`),
+  http(3, "ORDERS_UPDATED", `${OLD}/webhooks`),
+  http(4, "PRODUCTS_UPDATE", `${BASE}/webhooks`),
+  {
+    id: "gid://shopify/WebhookSubscription/5",
+    topic: "ORDERS_CANCELLED",
+    endpoint: { __typename: "WebhookEventBridgeEndpoint" },
+  },
+];
+
+describe("webhook subscription sync", { skip: skipWithoutDb }, () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ env: { PUBLIC_BASE_URL: `${BASE}/` } });
+  });
+  after(() => stopTestApp(t));
+  beforeEach(() => {
+    t.shopify.reset();
+    t.shopify.on("webhookSubscriptions", (vars) => {
+      const page = vars.after === "page-2" ? EXISTING.slice(3) : EXISTING.slice(0, 3);
+      return {
+        nodes: page,
+        pageInfo: { hasNextPage: !vars.after, endCursor: vars.after ? null : "page-2" },
+      };
+    });
+  });
+
+  const MUTATION_RE = /^webhookSubscription(Create|Update|Delete)$/;
+  const mutationCalls = () => t.shopify.calls.filter((c) => MUTATION_RE.test(c.field));
+
+  test("the dry run plans creates, updates and deletes without changing anything", async () => {
+    const r = await t.admin("GET", "/admin/webhook-subscriptions");
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+
+    assert.deepEqual(r.body.plan, [
+      { action: "keep", topic: "ORDERS_CREATE", id: EXISTING[0].id, callbackUrl: `${BASE}/webhooks` },
+      { action: "delete", topic: "ORDERS_CREATE", id: EXISTING[1].id, callbackUrl: `${OLD}/webhooks` },
+      {
+        action: "update",
+        topic: "ORDERS_UPDATED",
+        id: EXISTING[2].id,
+        callbackUrl: `${BASE}/webhooks`,
+        from: `${OLD}/webhooks`,
+      },
+      // The EventBridge subscription is not ours to manage.
+      { action: "create", topic: "ORDERS_CANCELLED", callbackUrl: `${BASE}/webhooks` },
+      { action: "create", topic: "DRAFT_ORDERS_UPDATE", callbackUrl: `${BASE}/webhooks` },
+      { action: "create", topic: "APP_UNINSTALLED", callbackUrl: `${BASE}/webhooks` },
+      { action: "delete", topic: "PRODUCTS_UPDATE", id: EXISTING[3].id, callbackUrl: `${BASE}/webhooks` },
+    ]);
+
+    assert.equal(t.shopify.callsTo("webhookSubscriptions").length, 2);
+    assert.deepEqual(mutationCalls(), []);
+  });
+
+  test("sync applies every change and reports the ones Shopify refused", async () => {
+    let created = 0;
+    t.shopify.on("webhookSubscriptionCreate", (vars) =>
+      vars.topic === "APP_UNINSTALLED"
+        ? { webhookSubscription: null, userErrors: [{ field: ["topic"], message: "Topic is not allowed" }] }
+        : { webhookSubscription: { id: `gid://shopify/WebhookSubscription/10${++created}` }, userErrors: [] }
+    );
+    t.shopify.on("webhookSubscriptionUpdate", (vars) => ({ webhookSubscription: { id: vars.id }, userErrors: [] }));
+    t.shopify.on("webhookSubscriptionDelete", (vars) => ({ deletedWebhookSubscriptionId: vars.id, userErrors: [] }));
+
+    const r = await t.admin("POST", "/admin/webhook-subscriptions/sync");
+    assert.equal(r.status, 200);
+    assert.equal(r.body.ok, false);
+
+    assert.deepEqual(
+      mutationCalls().map((c) => [c.field, c.variables.topic || c.variables.id, c.variables.subscription || null]),
+      [
+        ["webhookSubscriptionDelete", EXISTING[1].id, null],
+        ["webhookSubscriptionUpdate", EXISTING[2].id, { callbackUrl: `${BASE}/webhooks` }],
+        ["webhookSubscriptionCreate", "ORDERS_CANCELLED", { callbackUrl: `${BASE}/webhooks`, format: "JSON" }],
+        ["webhookSubscriptionCreate", "DRAFT_ORDERS_UPDATE", { callbackUrl: `${BASE}/webhooks`, format: "JSON" }],
+        ["webhookSubscriptionCreate", "APP_UNINSTALLED", { callbackUrl: `${BASE}/webhooks`, format: "JSON" }],
+        ["webhookSubscriptionDelete", EXISTING[3].id, null],
+      ]
+    );
+
+    const byTopic = (action, topic) => r.body.results.find((s) => s.action === action && s.topic === topic);
+    assert.equal(byTopic("create", "ORDERS_CANCELLED").id, "gid://shopify/WebhookSubscription/101");
+    assert.equal(byTopic("create", "APP_UNINSTALLED").error, "Topic is not allowed");
+    assert.equal(r.body.results.filter((s) => s.error).length, 1);
+  });
+
+  test("a failed step does not stop the ones after it", async () => {
+    t.shopify.on("webhookSubscriptionDelete", () => {
+      throw new Error("Access denied");
+    });
+
+    const r = await t.admin("POST", "/admin/webhook-subscriptions/sync");
+    assert.equal(r.body.ok, false);
+    assert.deepEqual(
+      r.body.results.filter((s) => s.error).map((s) => [s.action, s.id, s.error]),
+      [
+        ["delete", EXISTING[1].id, "Access denied"],
+        ["delete", EXISTING[3].id, "Access denied"],
+      ]
+    );
+    assert.equal(t.shopify.callsTo("webhookSubscriptionCreate").length, 3);
+  });
+});
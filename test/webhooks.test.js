@@ -0,0 +1,147 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { encodeOrderPadNote } from "../order-pad-note.js";
+import { startTestApp, stopTestApp, skipWithoutDb } from "./helpers/harness.js";
+
+describe("webhooks", { skip: skipWithoutDb }, () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  after(() => stopTestApp(t));
+  beforeEach(() => t.shopify.reset());
+
+  async function deliveries() {
+    const r = await t.app.pool.query(`SELECT webhook_id, topic, status, result FROM webhook_deliveries`);
+    return r.rows;
+  }
+
+  test("rejects a delivery with a bad HMAC", async () => {
+    const r = await t.webhook("orders/create", { id: 1 }, { hmac: "bm9wZQ==" });
+    assert.equal(r.status, 401);
+  });
+
+  test("queues a delivery once per webhook id", async () => {
+    const webhookId = "dup-1";
+    assert.equal((await t.webhook("orders/create", { id: 2, note: "" }, { webhookId })).text, "Queued");
+    assert.equal((await t.webhook("orders/create", { id: 2, note: "" }, { webhookId })).text, "Duplicate");
+    assert.equal((await deliveries()).filter((d) => d.webhook_id === webhookId).length, 1);
+    await t.app.drainWebhookQueue();
+  });
+
+  test("orders/create writes the order pad metafield", async () => {
+    const note = encodeOrderPadNote("101", {
+      poNumber: "RC-24-0981",
+      companyName: "Ruiz Concrete LLC",
+      siteContactPhone: "(559) 555-0142",
+      note: "GBH2-26 2",
+    });
+
+    const r = await t.webhook("orders/create", { id: 7001, name: "#1001", note }, { webhookId: "order-7001" });
+    assert.equal(r.status, 200);
+    assert.equal(t.shopify.callsTo("metafieldsSet").length, 0, "work happens in the queue, not the request");
+
+    await t.app.drainWebhookQueue();
+
+    const calls = t.shopify.callsTo("metafieldsSet");
+    assert.equal(calls.length, 1);
+    const [metafield] = calls[0].variables.metafields;
+    assert.equal(metafield.ownerId, "gid://shopify/Order/7001");
+    assert.equal(metafield.namespace, "custom");
+    assert.equal(metafield.key, "orderpad_items");
+
+    const data = JSON.parse(metafield.value);
+    assert.equal(data.customer_id, "101");
+    assert.equal(data.po_number, "RC-24-0981");
+    assert.equal(data.company_name, "Ruiz Concrete LLC");
+    assert.equal(data.contact_phone, "(559) 555-0142");
+    assert.equal(data.note, "GBH2-26 2");
+
+    const row = (await deliveries()).find((d) => d.webhook_id === "order-7001");
+    assert.equal(row.status, "done");
+    assert.equal(row.result, "Metafield saved");
+  });
+
+  test("orders/create ignores orders that did not come from the order pad", async () => {
+    await t.webhook("orders/create", { id: 7002, note: "Leave at the side door" }, { webhookId: "order-7002" });
+    await t.app.drainWebhookQueue();
+
+    assert.equal(t.shopify.callsTo("metafieldsSet").length, 0);
+    const row = (await deliveries()).find((d) => d.webhook_id === "order-7002");
+    assert.equal(row.result, "Not an order pad order");
+  });
+
+  test("a failed metafieldsSet leaves the delivery pending for retry", async () => {
+    t.shopify.on("metafieldsSet", () => ({ metafields: [], userErrors: [{ field: ["value"], message: "Invalid" }] }));
+
+    await t.webhook("orders/create", { id: 7003, note: encodeOrderPadNote("101", { poNumber: "X1" }) }, { webhookId: "order-7003" });
+    await t.app.drainWebhookQueue();
+
+    const r = await t.app.pool.query(`SELECT status, attempts, last_error FROM webhook_deliveries WHERE webhook_id = 'order-7003'`);
+    assert.equal(r.rows[0].status, "pending");
+    assert.equal(r.rows[0].attempts, 1);
+    assert.match(r.rows[0].last_error, /metafieldsSet: Invalid/);
+  });
+
+  test("the legacy /webhooks/orders-create route still works", async () => {
+    const note = encodeOrderPadNote("101", { poNumber: "LEGACY-1" });
+    const r = await t.webhook("orders/create", { id: 7004, note }, { webhookId: "order-7004", path: "/webhooks/orders-create" });
+    assert.equal(r.status, 200);
+
+    await t.app.drainWebhookQueue();
+    assert.equal(JSON.parse(t.shopify.callsTo("metafieldsSet")[0].variables.metafields[0].value).po_number, "LEGACY-1");
+  });
+
+  describe("compliance", () => {
+    const customer = { id: 8801, email: "gone@example.com", phone: "+15595550100" };
+
+    test("customers/redact scrubs exports and queued deliveries about the customer", async () => {
+      await t.webhook("customers/data_request", { shop_domain: "test-shop.myshopify.com", customer }, { webhookId: "dr-8801" });
+      await t.app.drainWebhookQueue();
+
+      // Still queued when the redact arrives: one waiting for retry, one given up on.
+      await t.webhook("orders/create", { id: 7101, note: "", customer }, { webhookId: "order-7101" });
+      await t.webhook("orders/create", { id: 7102, note: "", customer }, { webhookId: "order-7102" });
+      await t.app.pool.query(`UPDATE webhook_deliveries SET status = 'dead' WHERE webhook_id = 'order-7102'`);
+      await t.app.pool.query(
+        `UPDATE webhook_deliveries SET next_attempt_at = NOW() + INTERVAL '1 hour' WHERE webhook_id = 'order-7101'`
+      );
+
+      await t.webhook("customers/redact", { shop_domain: "test-shop.myshopify.com", customer }, { webhookId: "rd-8801" });
+      await t.app.drainWebhookQueue();
+
+      const left = await t.app.pool.query(
+        `SELECT webhook_id, payload FROM webhook_deliveries WHERE payload->'customer'->>'id' = '8801' ORDER BY webhook_id`
+      );
+      assert.deepEqual(left.rows.map((r) => r.webhook_id), ["rd-8801"]);
+      assert.doesNotMatch(JSON.stringify(left.rows[0].payload), /gone@example\.com/);
+
+      const requests = await t.app.pool.query(`SELECT topic, request_payload, export FROM compliance_requests WHERE customer_id = 8801`);
+      assert.deepEqual(requests.rows.map((r) => r.topic).sort(), ["customers/data_request", "customers/redact"]);
+      for (const r of requests.rows) {
+        assert.equal(r.export, null);
+        assert.doesNotMatch(JSON.stringify(r.request_payload), /gone@example\.com/);
+      }
+    });
+
+    test("shop/redact clears tag command runs and promo campaigns", async () => {
+      await t.app.pool.query(`INSERT INTO tag_command_runs (file_name) VALUES ('promo.csv')`);
+      await t.admin("POST", "/admin/promo-campaigns", {
+        name: "Spring",
+        starts_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        ends_at: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+        product_ids: ["gid://shopify/Product/1"],
+        tags: "promo",
+      });
+
+      await t.webhook("shop/redact", { shop_domain: "test-shop.myshopify.com" }, { webhookId: "shop-redact-1" });
+      await t.app.drainWebhookQueue();
+
+      for (const table of ["tag_command_runs", "promo_campaigns", "promo_campaign_products"]) {
+        const r = await t.app.pool.query(`SELECT COUNT(*)::int AS n FROM ${table}`);
+        assert.equal(r.rows[0].n, 0, table);
+      }
+    });
+  });
+});
@@ -0,0 +1,184 @@
+// webhook-sync.js (ESM) — desired-state Shopify webhook subscriptions
+//
+// WEBHOOK_SUBSCRIPTIONS is the full set of HTTP subscriptions this app wants.
+// planWebhookSync diffs it against webhookSubscriptions: missing topics are
+// created, wrong callback URLs updated, duplicates and topics no longer listed
+// deleted. Used by scripts/sync-webhooks.js, the /admin routes and (with
+// WEBHOOK_SYNC_ON_START=1) server startup.
+//
+// The compliance topics (customers/data_request, customers/redact,
+// shop/redact) cannot be subscribed through the API; point them at
+// <PUBLIC_BASE_URL>/webhooks in the app configuration instead.
+
+import { shopifyGql, shopifyPaginate } from "./shopify.js";
+
+export const WEBHOOK_SUBSCRIPTIONS = [
+  { topic: "ORDERS_CREATE", path: "/webhooks" },
+  { topic: "ORDERS_UPDATED", path: "/webhooks" },
+  { topic: "ORDERS_CANCELLED", path: "/webhooks" },
+  { topic: "DRAFT_ORDERS_UPDATE", path: "/webhooks" },
+  { topic: "APP_UNINSTALLED", path: "/webhooks" },
+];
+
+export async function fetchWebhookSubscriptions() {
+  const query = `
+    query WebhookSubscriptions($first: Int!, $after: String) {
+      webhookSubscriptions(first: $first, after: $after) {
+        nodes {
+          id
+          topic
+          endpoint {
+            __typename
+            ... on WebhookHttpEndpoint {
+              callbackUrl
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const out = [];
+  for await (const n of shopifyPaginate(query, {}, (data) => data?.webhookSubscriptions)) {
+    out.push({
+      id: n.id,
+      topic: n.topic,
+      type: n.endpoint?.__typename || null,
+      callbackUrl: n.endpoint?.callbackUrl || null,
+    });
+  }
+  return out;
+}
+
+// Returns [{ action: "keep" | "create" | "update" | "delete", topic, id?, callbackUrl?, from? }].
+// Only HTTP subscriptions are managed; EventBridge/PubSub ones are left alone.
+export function diffWebhookSubscriptions(existing, desired, baseUrl) {
+  const plan = [];
+  const http = existing.filter((s) => s.type === "WebhookHttpEndpoint");
+  const wantedTopics = new Set(desired.map((d) => d.topic));
+
+  for (const d of desired) {
+    const callbackUrl = `${baseUrl}${d.path}`;
+    const current = http.filter((s) => s.topic === d.topic);
+    const keep = current.find((s) => s.callbackUrl === callbackUrl) || current[0] || null;
+
+    if (!keep) {
+      plan.push({ action: "create", topic: d.topic, callbackUrl });
+    } else if (keep.callbackUrl !== callbackUrl) {
+      plan.push({ action: "update", topic: d.topic, id: keep.id, callbackUrl, from: keep.callbackUrl });
+    } else {
+      plan.push({ action: "keep", topic: d.topic, id: keep.id, callbackUrl });
+    }
+
+    for (const dup of current.filter((s) => s !== keep)) {
+      plan.push({ action: "delete", topic: d.topic, id: dup.id, callbackUrl: dup.callbackUrl });
+    }
+  }
+
+  for (const s of http) {
+    if (!wantedTopics.has(s.topic)) {
+      plan.push({ action: "delete", topic: s.topic, id: s.id, callbackUrl: s.callbackUrl });
+    }
+  }
+
+  return plan;
+}
+
+export async function planWebhookSync(baseUrl, desired = WEBHOOK_SUBSCRIPTIONS) {
+  const base = (baseUrl || "").replace(/\/+$/, "");
+  if (!/^https:\/\//.test(base)) {
+    throw new Error("Webhook sync needs PUBLIC_BASE_URL set to the app's https:// URL");
+  }
+  return diffWebhookSubscriptions(await fetchWebhookSubscriptions(), desired, base);
+}
+
+function userErrorsMessage(errs) {
+  return (errs || []).map((e) => e.message).filter(Boolean).join(" | ");
+}
+
+// Applies every non-"keep" step. A failed step is recorded on the step
+// (error) and does not stop the rest.
+export async function applyWebhookSync(plan) {
+  const createMutation = `
+    mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $subscription: WebhookSubscriptionInput!) {
+      webhookSubscriptionCreate(topic: $topic, webhookSubscription: $subscription) {
+        webhookSubscription {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const updateMutation = `
+    mutation webhookSubscriptionUpdate($id: ID!, $subscription: WebhookSubscriptionInput!) {
+      webhookSubscriptionUpdate(id: $id, webhookSubscription: $subscription) {
+        webhookSubscription {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const deleteMutation = `
+    mutation webhookSubscriptionDelete($id: ID!) {
+      webhookSubscriptionDelete(id: $id) {
+        deletedWebhookSubscriptionId
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const results = [];
+  for (const step of plan) {
+    const done = { ...step };
+    try {
+      let errs = [];
+      if (step.action === "create") {
+        const data = await shopifyGql(createMutation, {
+          topic: step.topic,
+          subscription: { callbackUrl: step.callbackUrl, format: "JSON" },
+        });
+        errs = data?.webhookSubscriptionCreate?.userErrors;
+        done.id = data?.webhookSubscriptionCreate?.webhookSubscription?.id || null;
+      } else if (step.action === "update") {
+        const data = await shopifyGql(updateMutation, {
+          id: step.id,
+          subscription: { callbackUrl: step.callbackUrl },
+        });
+        errs = data?.webhookSubscriptionUpdate?.userErrors;
+      } else if (step.action === "delete") {
+        const data = await shopifyGql(deleteMutation, { id: step.id });
+        errs = data?.webhookSubscriptionDelete?.userErrors;
+      }
+      if (errs?.length) done.error = userErrorsMessage(errs);
+    } catch (e) {
+      done.error = e.message || String(e);
+    }
+    results.push(done);
+  }
+  return results;
+}
+
+export function formatWebhookPlan(plan) {
+  if (!plan.length) return "No webhook subscriptions wanted or found.";
+  return plan
+    .map((s) => {
+      const head = `${s.action.toUpperCase().padEnd(6)} ${s.topic}`;
+      const where = s.action === "update" ? `${s.from} -> ${s.callbackUrl}` : s.callbackUrl || "";
+      return `${head}  ${where}${s.error ? `  [error: ${s.error}]` : ""}`;
+    })
+    .join("\n");
+}